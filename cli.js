@@ -1,11 +1,24 @@
 #!/usr/bin/env node
 
 const chalk = require('chalk');
+const fs = require('fs-extra');
 const { redoOperation, redoLast } = require('./core/redo');
-const { undoOperation, undoLast } = require('./core/undo');
-const { listOperations } = require('./core/list');
-const { previewOperation } = require('./core/preview');
-const { deleteOperation } = require('./core/delete');
+const { 
+  undoOperation, 
+  undoOnly, 
+  undoLast, 
+  switchBranch, 
+  undoTo, 
+  redoTo,
+  undoSince,
+  undoPath,
+  getFirstOperationSince
+} = require('./core/undo');
+const { listOperations, listBranches, listCheckpoints, listAuditTrail } = require('./core/list');
+const { previewOperation, previewToPoint, previewPathUndo } = require('./core/preview');
+const { deleteOperation, deleteAllUndone, deleteOlderThan, compactLog, migrateLog } = require('./core/delete');
+const { runGc } = require('./core/gc');
+const { parseTimeExpression } = require('./core/time');
 const { 
   getSessionStats, 
   getRecentActivity,
@@ -17,30 +30,249 @@ const {
   logFileCreate, 
   logFileDelete, 
   logCommandExecution,
+  logCheckpoint,
+  recoverLog,
   OPERATION_TYPES,
   OPERATION_MODES 
 } = require('./core/logger');
+const { ConflictError, describeConflict, CONFLICT_KINDS, CONFLICT_STRATEGIES } = require('./core/conflicts');
+const { describePlan } = require('./core/plan');
+const { rebuildIndex, logPath } = require('./core/segments');
+const { verifyLog, printVerifyReport } = require('./core/chain');
+const { encryptStore } = require('./core/blobs');
+const { encryptBackups } = require('./core/encryption');
+const { listBackups, printBackupList, showBackup, restoreBackup } = require('./core/backups');
+const { captureSnapshot, planSnapshotRestore, printSnapshotPlan, applySnapshotRestore } = require('./core/snapshot');
+const { exportPatches } = require('./core/export');
+const { importGitRange, printImportReport } = require('./core/git-import');
+const { initProject, findLegacyLog, gcundoHome, homeSource } = require('./core/project');
+const { readContent } = require('./core/content');
 const FileSystemMonitor = require('./core/monitor');
 
+// Flags that never take a value
+const BOOLEAN_FLAGS = ['force', 'merge', 'only', 'redo', 'dry-run', 'json', 'undone', 'no-snapshot', 'yes', 'keep-extra'];
+
+// Split command arguments into positionals and --flags
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      positional.push(token);
+      continue;
+    }
+
+    const eq = token.indexOf('=');
+    const name = token.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) {
+      flags[name] = token.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.includes(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      flags[name] = true;
+    } else {
+      flags[name] = argv[++i];
+    }
+  }
+
+  return { positional, flags };
+}
+
+// Print the files an undo/redo would clobber
+function printConflicts(error) {
+  console.log(chalk.red(`\n⚠️  Conflicts detected - ${error.action} aborted before touching any file:`));
+  error.conflicts.forEach(conflict => {
+    console.log(`  ${chalk.red('✗')} ${describeConflict(conflict)}`);
+  });
+}
+
+// Ask how to proceed after a conflict; non-interactive runs always abort
+async function chooseConflictStrategy(error) {
+  // Binary files and masked text cannot be merged, only overwritten
+  const mergeable = !error.conflicts.every(conflict => conflict.binary || conflict.kind === CONFLICT_KINDS.MASKED);
+
+  if (!process.stdin.isTTY || process.env.CI) {
+    if (!mergeable) {
+      console.log(chalk.yellow(`\nRe-run with ${chalk.cyan('--force')} to overwrite them (binary files and masked text cannot be merged).`));
+    } else {
+      console.log(chalk.yellow(`\nRe-run with ${chalk.cyan('--merge')} to keep these changes, or ${chalk.cyan('--force')} to overwrite them.`));
+    }
+    return CONFLICT_STRATEGIES.ABORT;
+  }
+
+  const inquirer = require('inquirer').default;
+  const { strategy } = await inquirer.prompt([{
+    type: 'select',
+    name: 'strategy',
+    message: `How do you want to ${error.action}?`,
+    choices: [
+      { name: 'Abort (leave files untouched)', value: CONFLICT_STRATEGIES.ABORT },
+      ...(mergeable ? [{ name: 'Merge (keep changes made since the operation where possible)', value: CONFLICT_STRATEGIES.MERGE }] : []),
+      { name: 'Force (overwrite changes made since the operation)', value: CONFLICT_STRATEGIES.FORCE }
+    ]
+  }]);
+  return strategy;
+}
+
+// Ask whether a snapshot restore may delete the files that were not in the
+// snapshot. Returns true to delete them, false to keep them, null to abort;
+// non-interactive runs abort unless told with --yes or --keep-extra.
+async function confirmSnapshotDeletes(plan) {
+  if (!process.stdin.isTTY || process.env.CI) {
+    console.log(chalk.yellow(`\nRe-run with ${chalk.cyan('--yes')} to delete them, or ${chalk.cyan('--keep-extra')} to restore everything else and leave them.`));
+    return null;
+  }
+
+  const unprotected = plan.deletes.filter(file => file.unprotected).length;
+  const inquirer = require('inquirer').default;
+  const { choice } = await inquirer.prompt([{
+    type: 'select',
+    name: 'choice',
+    message: `${plan.deletes.length} file(s) above were not in the snapshot. Delete them?`,
+    choices: [
+      { name: 'Abort (leave the working tree untouched)', value: null },
+      {
+        name: unprotected > 0
+          ? `Delete them (${unprotected} marked above are not backed up and cannot be brought back)`
+          : 'Delete them (each is backed up first, see gcundo backups)',
+        value: true
+      },
+      { name: 'Keep them (restore everything else)', value: false }
+    ]
+  }]);
+  return choice;
+}
+
+// Report files that were three-way merged rather than overwritten
+function printMergeReport(merged = []) {
+  merged.forEach(merge => {
+    if (merge.clean) {
+      console.log(chalk.green(`  ✓ Merged cleanly: ${merge.file}`));
+      return;
+    }
+
+    const lines = merge.conflicts.map(conflict => conflict.line).join(', ');
+    console.log(chalk.yellow(`  ⚠️  Merged with ${merge.conflicts.length} conflict(s): ${merge.file} (line ${lines})`));
+  });
+
+  if (merged.some(merge => !merge.clean)) {
+    console.log(chalk.yellow('  Resolve the <<<<<<< / >>>>>>> blocks in the files above.'));
+  }
+}
+
+// Print the plan of a --dry-run, as JSON for scripts or as a short report
+function printDryRun(plan, action, json) {
+  const description = describePlan(plan, action);
+  process.exitCode = description.ok ? 0 : 1;
+
+  if (json) {
+    console.log(JSON.stringify(description, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold(`\nDry run: ${action} would apply ${description.operations.length} operation(s):`));
+  description.operations.forEach(op => {
+    console.log(`  ${op.order}. ${op.action.padEnd(4)} ${op.summary} ${chalk.gray(`(${op.id})`)}`);
+  });
+
+  if (description.files.length > 0) {
+    console.log(chalk.bold('\nFiles:'));
+    description.files.forEach(file => {
+      const size = file.action === 'delete' ? '' : chalk.dim(` (${file.size} bytes)`);
+      console.log(`  ${file.action.padEnd(7)} ${file.file}${size}`);
+    });
+  }
+
+  description.conflicts.forEach(conflict => console.log(`  ${chalk.red('✗')} ${describeConflict(conflict)}`));
+  description.merged.forEach(merge => {
+    const outcome = merge.clean ? 'merges cleanly' : `merges with conflicts at line ${merge.conflicts.join(', ')}`;
+    console.log(`  ${chalk.cyan('↳')} ${merge.file}: ${outcome}`);
+  });
+  description.errors.forEach(error => console.log(`  ${chalk.red('✗')} ${error.operationId}: ${error.message}`));
+  description.warnings.forEach(warning => console.log(`  ${chalk.yellow('!')} ${warning.message}`));
+
+  console.log(chalk.dim('\nNo changes were made.'));
+}
+
+// Run an undo/redo, resolving conflicts with the user when they come up.
+// With --dry-run the command only plans and the plan is printed instead.
+async function runWithConflictResolution(run, flags, action) {
+  const onConflict = flags.force ? CONFLICT_STRATEGIES.FORCE
+    : flags.merge ? CONFLICT_STRATEGIES.MERGE
+    : CONFLICT_STRATEGIES.ABORT;
+
+  if (flags['dry-run']) {
+    const result = await run({ onConflict, dryRun: true });
+    printDryRun(result.plan, action, flags.json);
+    return null;
+  }
+
+  try {
+    return await run({ onConflict });
+  } catch (error) {
+    if (!(error instanceof ConflictError)) throw error;
+
+    printConflicts(error);
+    const strategy = await chooseConflictStrategy(error);
+    if (strategy === CONFLICT_STRATEGIES.ABORT) {
+      console.log(chalk.yellow('Aborted. No changes were made.'));
+      process.exitCode = 1;
+      return null;
+    }
+
+    return await run({ onConflict: strategy });
+  }
+}
+
 (async () => {
   const cmd = process.argv[2];
-  const arg = process.argv[3];
+  const { positional, flags } = parseArgs(process.argv.slice(3));
+  const arg = positional[0];
 
   function printUsage() {
     console.log(chalk.bold('gcundo - Sophisticated Undo/Redo for Gemini CLI\n'));
     console.log('Usage: ' + chalk.green('gcundo') + ' ' + chalk.cyan('<command>') + ' [options]\n');
     
     console.log(chalk.bold('Core Commands:'));
-    console.log('  ' + chalk.cyan('list') + '                    List recent operations');
+    console.log('  ' + chalk.cyan('list') + ' ' + chalk.yellow('[all|undone]') + '      List the newest operations (--limit <n>, 0 for all; --since/--until <time>)');
     console.log('  ' + chalk.cyan('undo') + ' ' + chalk.yellow('[id|index]') + '       Undo operation (last if no arg)');
     console.log('  ' + chalk.cyan('redo') + ' ' + chalk.yellow('[id|index]') + '       Redo operation (last undone if no arg)');
-    console.log('  ' + chalk.cyan('preview') + ' ' + chalk.yellow('<id|index>') + '     Preview operation effects');
-    console.log('  ' + chalk.cyan('delete') + ' ' + chalk.yellow('<id|index>') + '      Delete operation from log');
+    console.log('  ' + chalk.cyan('preview') + ' ' + chalk.yellow('<id|index>') + '     Preview operation effects (--redo for redo)');
+    console.log('  ' + chalk.cyan('delete') + ' ' + chalk.yellow('<id|index>') + '      Delete operation from log (--undone, --older-than <time>)');
+    console.log('  ' + chalk.cyan('branches') + '                List branches of the undo tree');
+    console.log('  ' + chalk.cyan('switch') + ' ' + chalk.yellow('<branch|id>') + '    Switch to another branch of the undo tree');
+    console.log('  ' + chalk.cyan('checkpoint') + ' ' + chalk.yellow('<name>') + '     Record a named checkpoint and a snapshot of the tree (--no-snapshot)');
+    console.log('  ' + chalk.cyan('checkpoints') + '             List checkpoints');
+
+    console.log(chalk.bold('\nUndo/Redo Options:'));
+    console.log('  ' + chalk.yellow('--to <checkpoint|time>') + '   Undo/redo everything back/forward to a checkpoint or time');
+    console.log('  ' + chalk.yellow('--since <time>') + '           Undo everything logged since a time (e.g. 15m, 14:30)');
+    console.log('  ' + chalk.yellow('--path <glob>') + '            Undo only operations on matching files (with --exclude <glob>)');
+    console.log('  ' + chalk.yellow('--only') + '                   Undo just this operation, rebasing later edits');
+    console.log('  ' + chalk.yellow('--merge') + '                  Three-way merge files changed since the operation');
+    console.log('  ' + chalk.yellow('--force') + '                  Overwrite files changed since the operation');
+    console.log('  ' + chalk.yellow('--dry-run') + '                Show the plan without changing anything (--json for scripts)');
+    
+    console.log(chalk.bold('\nProject:'));
+    console.log('  ' + chalk.cyan('init') + ' ' + chalk.yellow('[dir]') + '             Keep the log, backups and config in <dir>/.gcundo');
     
     console.log(chalk.bold('\nInformation Commands:'));
     console.log('  ' + chalk.cyan('stats') + '                    Show session statistics');
     console.log('  ' + chalk.cyan('recent') + '                   Show recent activity');
     console.log('  ' + chalk.cyan('history') + ' ' + chalk.yellow('<file>') + '       Show file modification history');
+    console.log('  ' + chalk.cyan('audit') + ' ' + chalk.yellow('[id]') + '             Show who undid/redid what and when (--limit <n>)');
+    console.log('  ' + chalk.cyan('reindex') + '                  Rebuild the log index from the segments');
+    console.log('  ' + chalk.cyan('migrate') + '                  Rewrite older log records in the current schema (--dry-run)');
+    console.log('  ' + chalk.cyan('verify') + '                   Check the log hash chain and stored bodies (--json)');
+    console.log('  ' + chalk.cyan('encrypt') + '                  Encrypt bodies and backups stored before a key was set');
+    console.log('  ' + chalk.cyan('compact') + '                  Rewrite the log with undo states folded into the records');
+    console.log('  ' + chalk.cyan('gc') + '                       Apply the retention policy, drop unused bodies and old backups (--dry-run)');
+    console.log('  ' + chalk.cyan('snapshot restore') + ' ' + chalk.yellow('<name>') + '  Put the whole working tree back to a checkpoint (--dry-run, --yes, --keep-extra)');
+    console.log('  ' + chalk.cyan('export') + '                   Write operations as a git patch series (--from, --to, --per op|checkpoint, --output <dir>)');
+    console.log('  ' + chalk.cyan('import git') + ' ' + chalk.yellow('<range>') + '       Log the file changes of git commits as operations (--dry-run)');
+    console.log('  ' + chalk.cyan('backups list') + ' ' + chalk.yellow('[file]') + '      List the copies taken before undo, redo and log rewrites');
+    console.log('  ' + chalk.cyan('backups show') + ' ' + chalk.yellow('<id>') + '        Show where a backup came from and what it holds');
+    console.log('  ' + chalk.cyan('backups restore') + ' ' + chalk.yellow('<id>') + '     Put a backup back (--to <path>, --dry-run)');
     
     console.log(chalk.bold('\nAutomatic Monitoring:'));
     console.log('  ' + chalk.cyan('monitor:start') + '             Start automatic filesystem monitoring');
@@ -54,10 +286,18 @@ const FileSystemMonitor = require('./core/monitor');
     console.log('  ' + chalk.cyan('log:command') + ' ' + chalk.yellow('<cmd>') + '      Log command execution');
     
     console.log(chalk.bold('\nExamples:'));
+    console.log('  ' + chalk.green('gcundo init') + '                     # Keep history in ./.gcundo');
     console.log('  ' + chalk.green('gcundo list') + '                     # List recent operations');
     console.log('  ' + chalk.green('gcundo undo') + '                      # Undo last operation');
     console.log('  ' + chalk.green('gcundo undo op_1234567890') + '        # Undo specific operation');
     console.log('  ' + chalk.green('gcundo redo 3') + '                    # Redo operation at index 3');
+    console.log('  ' + chalk.green('gcundo checkpoint before-refactor') + ' # Mark the current state');
+    console.log('  ' + chalk.green('gcundo undo --to before-refactor') + '  # Rewind to the checkpoint');
+    console.log('  ' + chalk.green('gcundo undo --since 15m') + '          # Undo the last 15 minutes');
+    console.log('  ' + chalk.green('gcundo list --since 1h --until 10m') + ' # Operations from 1h to 10m ago');
+    console.log('  ' + chalk.green("gcundo undo --since 1h --path 'src/api/**'") + ' # Revert the last hour in src/api only');
+    console.log('  ' + chalk.green('gcundo export --from before-refactor | git am') + ' # Replay agent work as commits');
+    console.log('  ' + chalk.green('gcundo backups list src/index.js') + ' # Copies taken before src/index.js was overwritten');
     console.log('  ' + chalk.green('gcundo monitor:start') + '             # Start automatic monitoring');
     console.log('  ' + chalk.green('gcundo log:edit src/index.js') + '     # Manually log file edit');
   }
@@ -67,54 +307,243 @@ const FileSystemMonitor = require('./core/monitor');
     return;
   }
 
-  // Create monitor instance
-  const monitor = new FileSystemMonitor();
+  // --path/--exclude scope for path-scoped undo and preview
+  const pathScope = (flags.path || flags.exclude) && {
+    paths: flags.path,
+    exclude: flags.exclude,
+    from: arg,
+    since: flags.since,
+    to: flags.to
+  };
+
+  // Report a rewind/replay to a checkpoint or time
+  function printPointMove(result, verb) {
+    const count = result.undone.length + result.redone.length;
+    console.log(chalk.green(`✓ ${verb} to ${result.point.label} (${count} operation(s))`));
+    printMergeReport(result.merged);
+  }
+
+  // Set up a project before anything touches the log, which would otherwise
+  // be created wherever the current home resolves to
+  if (cmd === 'init') {
+    const result = initProject(arg);
+    if (result.created) {
+      console.log(chalk.green(`✓ Initialised ${result.home}`));
+    } else {
+      console.log(chalk.yellow(`${result.home} already exists; left it as it is`));
+    }
+    if (process.env.GCUNDO_HOME) {
+      console.log(chalk.yellow(`⚠️  GCUNDO_HOME is set, so gcundo will keep using ${gcundoHome} until it is unset`));
+    }
+    if (result.legacyLog) {
+      console.log(chalk.gray(`An older log is still at ${result.legacyLog}; move its logs/ and blobs/ folders into ${result.home} to keep that history.`));
+    }
+    return;
+  }
 
   try {
+    // Create monitor instance
+    const monitor = new FileSystemMonitor();
+
+    // Repair a record left half written by a process that died mid-append
+    const recovered = recoverLog();
+    if (recovered && recovered.repaired === 'truncated') {
+      console.warn(chalk.yellow(`⚠️  Removed a torn record from the end of the log (kept in ${logPath}.torn)`));
+    }
+
+    // History an older version kept in the package directory is not read
+    // any more; say so on every command until it is moved or deleted
+    const legacyLog = findLegacyLog();
+    if (legacyLog) {
+      console.warn(chalk.yellow(
+        `⚠️  ${legacyLog} holds history from an older version that gcundo no longer reads. ` +
+        `Move its logs/ and blobs/ folders into ${gcundoHome} to keep it, or delete them to silence this warning.`
+      ));
+    }
+
     switch (cmd) {
       case 'list':
-        await listOperations(arg);
+        await listOperations(arg, {
+          since: flags.since,
+          until: flags.until,
+          limit: flags.limit !== undefined ? parseInt(flags.limit, 10) || 0 : 100
+        });
         break;
 
-      case 'undo':
-        if (!arg) {
-          // Undo last operation
-          const result = await undoLast();
+      case 'undo': {
+        if (flags.only && !arg) {
+          console.log(chalk.red('Error: undo --only requires an operation ID'));
+          return;
+        }
+
+        if (pathScope) {
+          const result = await runWithConflictResolution(options => undoPath(pathScope, options), flags, 'undo');
+          if (result) {
+            console.log(chalk.green(`✓ Undone ${result.undone.length} operation(s) on ${result.files.length} file(s)`));
+            result.files.forEach(entry => console.log(chalk.dim(`  ${entry.file}: ${entry.operations.length} operation(s)`)));
+            printMergeReport(result.merged);
+          }
+          break;
+        }
+
+        if (flags.to) {
+          const result = await runWithConflictResolution(options => undoTo(flags.to, options), flags, 'undo');
+          if (result) printPointMove(result, 'Rewound');
+          break;
+        }
+
+        // Undo last operation, or a specific one (by ID or index), optionally
+        // on its own (--only) instead of cascading
+        const result = await runWithConflictResolution(
+          options => {
+            if (flags.only) return undoOnly(arg, options);
+            if (flags.since) return undoSince(flags.since, options);
+            return arg ? undoOperation(arg, options) : undoLast(options);
+          },
+          flags,
+          'undo'
+        );
+        if (result) {
           console.log(chalk.green(`✓ Undone: ${generateOperationSummary(result.undone)}`));
           if (result.cascading?.length > 0) {
             console.log(chalk.yellow(`  Also undone ${result.cascading.length} cascading operations`));
           }
-        } else {
-          // Undo specific operation (by ID or index)
-          const result = await undoOperation(arg);
-          console.log(chalk.green(`✓ Undone: ${generateOperationSummary(result.undone)}`));
+          if (result.rebased?.length > 0) {
+            console.log(chalk.cyan(`  Rebased ${result.rebased.length} later operation(s) on the same file`));
+          }
+          if (result.untouched?.length > 0) {
+            console.log(chalk.gray(`  Kept ${result.untouched.length} later operation(s) on other files untouched`));
+          }
+          printMergeReport(result.merged);
+        }
+        break;
+      }
+
+      case 'redo': {
+        if (flags.to) {
+          const result = await runWithConflictResolution(options => redoTo(flags.to, options), flags, 'redo');
+          if (result) printPointMove(result, 'Replayed');
+          break;
+        }
+
+        // Redo last undone operation, or a specific one (by ID or index)
+        const result = await runWithConflictResolution(
+          options => arg ? redoOperation(arg, options) : redoLast(options),
+          flags,
+          'redo'
+        );
+        if (result) {
+          console.log(chalk.green(`✓ Redone: ${generateOperationSummary(result.redone)}`));
           if (result.cascading?.length > 0) {
-            console.log(chalk.yellow(`  Also undone ${result.cascading.length} cascading operations`));
+            console.log(chalk.yellow(`  Also redone ${result.cascading.length} cascading operations`));
+          }
+          if (result.rebased?.length > 0) {
+            console.log(chalk.cyan(`  Rebased ${result.rebased.length} later operation(s) on the same file`));
           }
+          printMergeReport(result.merged);
         }
         break;
+      }
 
-      case 'redo':
+      case 'branches':
+        await listBranches();
+        break;
+
+      case 'switch': {
         if (!arg) {
-          // Redo last undone operation
-          const result = await redoLast();
-          console.log(chalk.green(`✓ Redone: ${generateOperationSummary(result.redone)}`));
+          console.log(chalk.red('Error: Switch requires a branch name or operation ID'));
+          return;
+        }
+        const result = await runWithConflictResolution(options => switchBranch(arg, options), flags, 'switch');
+        if (result) {
+          console.log(chalk.green(`✓ Switched to ${result.branch} at ${result.target.id}`));
+          console.log(chalk.dim(`  Undone ${result.undone.length}, redone ${result.redone.length} operation(s)`));
+          printMergeReport(result.merged);
+        }
+        break;
+      }
+
+      case 'checkpoint': {
+        if (!arg) {
+          console.log(chalk.red('Error: Checkpoint requires a name'));
+          return;
+        }
+        const snapshot = flags['no-snapshot'] ? null : captureSnapshot();
+        const checkpoint = logCheckpoint(arg, positional[1], { snapshot });
+        console.log(chalk.green(`✓ Checkpoint "${checkpoint.name}" recorded: ${checkpoint.id}`));
+        if (snapshot) {
+          console.log(chalk.dim(`  Snapshot of ${snapshot.files} files`));
+        }
+        break;
+      }
+
+      case 'checkpoints':
+        await listCheckpoints();
+        break;
+
+      case 'audit':
+        await listAuditTrail(arg, parseInt(flags.limit) || 50);
+        break;
+
+      case 'reindex': {
+        const index = rebuildIndex();
+        const segments = [...index.sealed, index.active];
+        const records = segments.reduce((sum, segment) => sum + segment.records, 0);
+        console.log(chalk.green(`✓ Index rebuilt: ${records} records in ${segments.length} segment(s)`));
+        break;
+      }
+
+      case 'verify': {
+        const report = verifyLog();
+        if (flags.json) {
+          console.log(JSON.stringify(report, null, 2));
         } else {
-          // Redo specific operation (by ID or index)
-          const result = await redoOperation(arg);
-          console.log(chalk.green(`✓ Redone: ${generateOperationSummary(result.redone)}`));
+          printVerifyReport(report);
         }
+        if (!report.ok) process.exitCode = 1;
+        break;
+      }
+
+      case 'encrypt': {
+        const blobs = encryptStore();
+        const backups = await encryptBackups();
+        console.log(chalk.green(`✓ Encrypted ${blobs} stored bodies and ${backups} backups`));
+        break;
+      }
+
+      case 'migrate':
+        await migrateLog({ dryRun: flags['dry-run'] });
         break;
 
       case 'preview':
+        if (pathScope) {
+          await previewPathUndo(pathScope);
+          break;
+        }
+        if (flags.to) {
+          await previewToPoint(flags.to, flags.redo ? 'redo' : 'undo');
+          break;
+        }
+        if (flags.since) {
+          await previewOperation(getFirstOperationSince(flags.since).id, 'undo');
+          break;
+        }
         if (!arg) {
           console.log(chalk.red('Error: Preview requires an operation ID or index'));
           return;
         }
-        await previewOperation(arg);
+        await previewOperation(arg, flags.redo ? 'redo' : 'undo', { only: flags.only });
         break;
 
       case 'delete':
+        if (flags.undone) {
+          await deleteAllUndone();
+          break;
+        }
+        if (flags['older-than']) {
+          await deleteOlderThan(parseTimeExpression(flags['older-than']));
+          break;
+        }
         if (!arg) {
           console.log(chalk.red('Error: Delete requires an operation ID or index'));
           return;
@@ -122,9 +551,102 @@ const FileSystemMonitor = require('./core/monitor');
         await deleteOperation(arg);
         break;
 
+      case 'compact':
+        await compactLog();
+        break;
+
+      case 'gc':
+        await runGc({
+          dryRun: flags['dry-run'],
+          maxAge: flags['max-age'],
+          maxTotalSize: flags['max-size'],
+          keepPerFile: flags.keep !== undefined ? parseInt(flags.keep, 10) : undefined,
+          pruneUndone: flags.undone || undefined
+        });
+        break;
+
+      case 'backups': {
+        const target = positional[1];
+        switch (arg || 'list') {
+          case 'list':
+            printBackupList(listBackups(target), target);
+            break;
+          case 'show':
+            if (!target) {
+              console.log(chalk.red('Error: backups show requires a backup id'));
+              return;
+            }
+            showBackup(target);
+            break;
+          case 'restore':
+            if (!target) {
+              console.log(chalk.red('Error: backups restore requires a backup id'));
+              return;
+            }
+            await restoreBackup(target, { to: flags.to, dryRun: flags['dry-run'] });
+            break;
+          default:
+            console.log(chalk.red(`Unknown backups command: ${arg} (expected list, show or restore)`));
+        }
+        break;
+      }
+
+      case 'snapshot': {
+        if (arg !== 'restore' || !positional[1]) {
+          console.log(chalk.red('Error: Usage: gcundo snapshot restore <checkpoint>'));
+          return;
+        }
+
+        const plan = planSnapshotRestore(positional[1]);
+        printSnapshotPlan(plan);
+        if (flags['dry-run'] || plan.writes.length + plan.deletes.length + plan.chmods.length + plan.links.length === 0) {
+          break;
+        }
+
+        let deleteExtra = !flags['keep-extra'];
+        if (deleteExtra && plan.deletes.length > 0 && !flags.yes) {
+          deleteExtra = await confirmSnapshotDeletes(plan);
+          if (deleteExtra === null) {
+            console.log(chalk.yellow('Aborted. No changes were made.'));
+            break;
+          }
+        }
+
+        const result = await applySnapshotRestore(plan, { deleteExtra });
+        console.log(chalk.green(`✓ Restored snapshot "${plan.checkpoint.name}" (${result.applied.length} file(s) written or deleted)`));
+        if (result.kept.length > 0) {
+          console.log(chalk.dim(`  Kept ${result.kept.length} file(s) not in the snapshot`));
+        }
+        if (result.operations.length > 0) {
+          console.log(chalk.dim(`  Logged as ${result.operations.length} operation(s); 'gcundo undo ${result.operations[0].id}' takes the restore back`));
+        }
+        break;
+      }
+
+      case 'export': {
+        const format = flags.format || 'patch';
+        if (format !== 'patch') {
+          console.log(chalk.red(`Error: Unknown export format '${format}' (only patch is supported)`));
+          return;
+        }
+        exportPatches({ from: flags.from, to: flags.to, per: flags.per, output: flags.output });
+        break;
+      }
+
+      case 'import': {
+        if (arg !== 'git') {
+          console.log(chalk.red('Error: Usage: gcundo import git <rev-range>'));
+          return;
+        }
+        const result = importGitRange(positional[1], { dryRun: flags['dry-run'] });
+        printImportReport(result, flags['dry-run']);
+        break;
+      }
+
       case 'stats':
         const stats = getSessionStats();
         console.log(chalk.bold('Session Statistics:'));
+        console.log(`  Log: ${gcundoHome} (${homeSource})`);
         console.log(`  Total operations: ${stats.total}`);
         console.log(`  Active operations: ${stats.active}`);
         console.log(`  Undone operations: ${stats.undone}`);
@@ -139,10 +661,15 @@ const FileSystemMonitor = require('./core/monitor');
       case 'recent':
         const activity = getRecentActivity(parseInt(arg) || 10);
         console.log(chalk.bold('Recent Activity:'));
-        activity.forEach((op, i) => {
+        let index = 0;
+        activity.forEach(op => {
           const status = op.undoState === 'undone' ? chalk.gray('(undone)') : '';
           const timestamp = new Date(op.timestamp).toLocaleTimeString();
-          console.log(`  ${i + 1}. [${timestamp}] ${op.summary} ${status}`);
+          if (op.type === OPERATION_TYPES.CHECKPOINT) {
+            console.log(`  ${chalk.blue('⚑')}  [${timestamp}] ${chalk.blue(op.summary)}`);
+            return;
+          }
+          console.log(`  ${++index}. [${timestamp}] ${op.summary} ${status}`);
         });
         break;
 
@@ -220,7 +747,7 @@ const FileSystemMonitor = require('./core/monitor');
         if (editOptions.oldString && editOptions.newString) {
           // String-based edit
           const op = logFileEdit(arg, editOptions);
-          console.log(chalk.green(`✓ Logged string-based edit: ${op.id}`));
+          if (op) console.log(chalk.green(`✓ Logged string-based edit: ${op.id}`));
         } else {
           console.log(chalk.yellow('Note: For string-based edits, use:'));
           console.log(chalk.cyan(`gcundo log:edit <file> "<oldString>" "<newString>" [lineNumber]`));
@@ -233,8 +760,10 @@ const FileSystemMonitor = require('./core/monitor');
           console.log(chalk.red('Error: log:create requires a file path'));
           return;
         }
-        const createOp = logFileCreate(arg, process.argv[4] || '');
-        console.log(chalk.green(`✓ Logged file creation: ${createOp.id}`));
+        // Without content on the command line, log the file as it is on disk
+        const createContent = process.argv[4] !== undefined || !fs.existsSync(arg) ? process.argv[4] || '' : readContent(arg);
+        const createOp = logFileCreate(arg, createContent);
+        if (createOp) console.log(chalk.green(`✓ Logged file creation: ${createOp.id}`));
         break;
 
       case 'log:delete':
@@ -243,7 +772,7 @@ const FileSystemMonitor = require('./core/monitor');
           return;
         }
         const deleteOp = logFileDelete(arg, process.argv[4] || '');
-        console.log(chalk.green(`✓ Logged file deletion: ${deleteOp.id}`));
+        if (deleteOp) console.log(chalk.green(`✓ Logged file deletion: ${deleteOp.id}`));
         break;
 
       case 'log:command':
@@ -256,7 +785,7 @@ const FileSystemMonitor = require('./core/monitor');
           exitCode: parseInt(process.argv[4]) || 0,
           output: process.argv[5] || ''
         });
-        console.log(chalk.green(`✓ Logged command execution: ${cmdOp.id}`));
+        if (cmdOp) console.log(chalk.green(`✓ Logged command execution: ${cmdOp.id}`));
         break;
 
       // Legacy session commands (if needed)
@@ -270,7 +799,11 @@ const FileSystemMonitor = require('./core/monitor');
         printUsage();
     }
   } catch (error) {
-    console.log(chalk.red(`Error: ${error.message}`));
+    if (flags.json) {
+      console.log(JSON.stringify({ ok: false, error: error.message }, null, 2));
+    } else {
+      console.log(chalk.red(`Error: ${error.message}`));
+    }
     process.exit(1);
   }
 })();
@@ -0,0 +1,343 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { gcundoHome, backupDir, ensureHome } = require('./project');
+const { writeBackupFile, readBackupFile, digest, digestMatches } = require('./encryption');
+const { mayBackUp } = require('./redaction');
+const { withFileLock, writeFileAtomic } = require('./lock');
+const { decodeContent, readContent, sameContent, isBinaryContent, contentSize } = require('./content');
+const { formatTime } = require('./time');
+
+// Every backup gets a line in backups.jsonl saying what it is a copy of:
+//   { id, timestamp, kind: 'file' | 'log', file, backup, action,
+//     operationIds, transaction, hash, size }
+// `file` is the absolute path the copy was taken from (null for copies of
+// the log) and `backup` the name it was written under in backups/. The
+// manifest lives beside backups/, not in it, so gc and `encrypt` only ever
+// see backup files there.
+const manifestPath = path.join(gcundoHome, 'backups.jsonl');
+
+function generateBackupId() {
+  return `bk_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// The id goes into the file name, so two files with the same name backed up
+// in the same millisecond still get a file each
+function backupFileName(baseName, id) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${baseName}.${timestamp}.${id.split('_').pop()}.bak`;
+}
+
+function appendEntry(entry) {
+  withFileLock(manifestPath, () => {
+    fs.appendFileSync(manifestPath, JSON.stringify(entry) + '\n');
+  });
+}
+
+async function writeBackup(baseName, data, fields) {
+  ensureHome();
+  await fs.ensureDir(backupDir);
+
+  const id = generateBackupId();
+  const written = await writeBackupFile(path.join(backupDir, backupFileName(baseName, id)), data);
+  const entry = {
+    id,
+    timestamp: new Date().toISOString(),
+    ...fields,
+    backup: path.basename(written),
+    hash: digest(data),
+    size: Buffer.byteLength(data)
+  };
+  appendEntry(entry);
+  return entry;
+}
+
+/**
+ * Copy a file into backups/ before gcundo overwrites it, and record the copy
+ * in the manifest
+ * @param {string} filePath - File about to be changed
+ * @param {Object} context - { action, operationIds, transaction } behind the change
+ * @returns {Promise<Object|undefined>} The manifest entry, if a copy was made
+ */
+async function createBackup(filePath, context = {}) {
+  if (!fs.existsSync(filePath)) return;
+
+  const data = await fs.readFile(filePath);
+  if (!mayBackUp(filePath, data)) return;
+
+  return writeBackup(path.basename(filePath), data, {
+    kind: 'file',
+    file: path.resolve(filePath),
+    action: context.action || null,
+    operationIds: context.operationIds || [],
+    transaction: context.transaction || null
+  });
+}
+
+// Copy the whole log (all segments, as one file) before a rewrite
+async function createLogBackup(action) {
+  // Required lazily - segments depends on the logger, which the rest of
+  // this module does not need
+  const { readLines } = require('./segments');
+  const lines = readLines();
+  if (lines.length === 0) return;
+
+  return writeBackup('log', lines.join('\n') + '\n', {
+    kind: 'log',
+    file: null,
+    action,
+    operationIds: [],
+    transaction: null
+  });
+}
+
+function readManifest() {
+  if (!fs.existsSync(manifestPath)) return [];
+
+  return fs.readFileSync(manifestPath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Where a backup file is now; `gcundo encrypt` may have added .enc since
+function locateBackup(name) {
+  for (const candidate of [name, `${name}.enc`]) {
+    const backupPath = path.join(backupDir, candidate);
+    if (fs.existsSync(backupPath)) return backupPath;
+  }
+  return null;
+}
+
+/**
+ * Every backup, newest first. Files in backups/ written before the manifest
+ * existed are listed too, with legacy set and nothing known about where
+ * they came from.
+ * @param {string} [filePath] - Only backups of this file
+ * @returns {Array<Object>} Manifest entries with `path` (null once deleted)
+ */
+function listBackups(filePath) {
+  const entries = readManifest().map(entry => ({ ...entry, path: locateBackup(entry.backup) }));
+  const known = new Set(entries.filter(entry => entry.path).map(entry => path.basename(entry.path)));
+
+  const legacy = fs.existsSync(backupDir)
+    ? fs.readdirSync(backupDir)
+      .filter(name => !known.has(name))
+      .map(name => ({ name, path: path.join(backupDir, name) }))
+      .filter(({ path: backupPath }) => fs.statSync(backupPath).isFile())
+      .map(({ name, path: backupPath }) => {
+        const stat = fs.statSync(backupPath);
+        return {
+          id: name,
+          timestamp: stat.mtime.toISOString(),
+          kind: name.startsWith('log.') ? 'log' : 'file',
+          file: null,
+          backup: name,
+          action: null,
+          operationIds: [],
+          size: stat.size,
+          path: backupPath,
+          legacy: true
+        };
+      })
+    : [];
+
+  const all = [...entries.filter(entry => entry.path), ...legacy]
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  if (!filePath) return all;
+
+  // Legacy backups only have the file's name to go on
+  const target = path.resolve(filePath);
+  return all.filter(entry => entry.file
+    ? entry.file === target
+    : entry.legacy && entry.kind === 'file' && entry.backup.startsWith(`${path.basename(target)}.`));
+}
+
+/**
+ * Find a backup by id, unique id prefix or backup file name
+ * @param {string} id - What the user typed
+ * @returns {Object} The entry, as listBackups returns it
+ */
+function findBackup(id) {
+  const backups = listBackups();
+  const exact = backups.find(entry => entry.id === id || entry.backup === id || (entry.path && path.basename(entry.path) === id));
+  if (exact) return exact;
+
+  const matches = backups.filter(entry => entry.id.startsWith(id));
+  if (matches.length > 1) {
+    throw new Error(`Backup id '${id}' is ambiguous: ${matches.length} backups start with it`);
+  }
+  if (matches.length === 0) {
+    throw new Error(`Backup not found: ${id}`);
+  }
+  return matches[0];
+}
+
+// The backed-up bytes, decoded the way file bodies are (text as a string,
+// binary as a Buffer). Refuses a copy that no longer matches its hash.
+function readBackup(entry) {
+  if (!entry.path) {
+    throw new Error(`Backup ${entry.id} has been deleted`);
+  }
+
+  const data = readBackupFile(entry.path);
+  if (entry.hash && !digestMatches(data, entry.hash)) {
+    throw new Error(`Backup ${entry.id} does not match the hash recorded when it was taken`);
+  }
+  return decodeContent(data);
+}
+
+// Drop manifest entries whose backup file is gone (gc deletes the files)
+function pruneManifest() {
+  if (!fs.existsSync(manifestPath)) return 0;
+
+  return withFileLock(manifestPath, () => {
+    const entries = readManifest();
+    const kept = entries.filter(entry => locateBackup(entry.backup));
+    if (kept.length < entries.length) {
+      writeFileAtomic(manifestPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
+    return entries.length - kept.length;
+  });
+}
+
+// Path as shown to the user: relative when it is under the working directory
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
+function describeSource(entry) {
+  if (entry.kind === 'log') return 'operation log';
+  return entry.file ? displayPath(entry.file) : `${entry.backup.replace(/\.\d{4}-\d{2}-\d{2}T[\d-]+Z\..*$/, '')} (path not recorded)`;
+}
+
+// How the file on disk compares with the backup
+function compareWithCurrent(entry, content) {
+  if (!entry.file) return null;
+  if (!fs.existsSync(entry.file)) return 'missing';
+  return sameContent(readContent(entry.file), content) ? 'identical' : 'differs';
+}
+
+function printBackupList(backups, filePath) {
+  if (backups.length === 0) {
+    console.log(chalk.yellow(filePath ? `No backups of ${filePath}` : 'No backups'));
+    return;
+  }
+
+  console.log(chalk.bold(filePath ? `Backups of ${filePath}:` : 'Backups:'));
+  backups.forEach(entry => {
+    const details = [
+      entry.action || (entry.legacy ? 'no manifest entry' : null),
+      entry.operationIds && entry.operationIds.length > 0 ? entry.operationIds.join(', ') : null,
+      `${entry.size} bytes`
+    ].filter(Boolean).join(', ');
+    console.log(`  ${chalk.cyan(entry.id)}  ${formatTime(entry.timestamp)}  ${describeSource(entry)}`);
+    console.log(chalk.gray(`      ${details}`));
+  });
+}
+
+/**
+ * Print a backup's manifest entry and contents
+ * @param {string} id - Backup id, id prefix or file name
+ * @returns {Object} The entry
+ */
+function showBackup(id) {
+  const entry = findBackup(id);
+  const content = readBackup(entry);
+
+  console.log(chalk.bold(`Backup ${entry.id}`));
+  console.log(`  Source: ${describeSource(entry)}`);
+  console.log(`  Taken: ${formatTime(entry.timestamp)}${entry.action ? ` before ${entry.action}` : ''}`);
+  if (entry.operationIds && entry.operationIds.length > 0) {
+    console.log(`  Operations: ${entry.operationIds.join(', ')}`);
+  }
+  if (entry.transaction) {
+    console.log(`  Transaction: ${entry.transaction}`);
+  }
+  console.log(`  Stored as: ${path.basename(entry.path)}${entry.hash ? ` (hash ${entry.hash.substring(0, 12)})` : ''}`);
+
+  const current = compareWithCurrent(entry, content);
+  if (current) {
+    console.log(`  Current file: ${current === 'identical' ? chalk.green('identical to this backup') : current === 'missing' ? chalk.yellow('missing') : chalk.yellow('differs from this backup')}`);
+  }
+
+  console.log('');
+  if (isBinaryContent(content)) {
+    console.log(chalk.gray(`(binary, ${contentSize(content)} bytes)`));
+  } else {
+    process.stdout.write(content.endsWith('\n') || content === '' ? content : `${content}\n`);
+  }
+  return entry;
+}
+
+/**
+ * Put a backed-up file back. What is on disk is backed up first, and the
+ * restore is logged as an operation, so it can itself be undone.
+ * @param {string} id - Backup id, id prefix or file name
+ * @param {Object} options - { to: write somewhere else, dryRun }
+ * @returns {Promise<Object>} { entry, target, restored, operation }
+ */
+async function restoreBackup(id, options = {}) {
+  const entry = findBackup(id);
+  const target = options.to ? path.resolve(options.to) : entry.file;
+  if (!target) {
+    throw new Error(`Backup ${entry.id} does not record where it came from; restore it with --to <path>`);
+  }
+
+  const content = readBackup(entry);
+  const exists = fs.existsSync(target);
+  const current = exists ? readContent(target) : undefined;
+
+  if (exists && sameContent(current, content)) {
+    console.log(chalk.green(`✓ ${displayPath(target)} already matches backup ${entry.id}`));
+    return { entry, target, restored: false };
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`Would ${exists ? 'overwrite' : 'create'} ${displayPath(target)} from backup ${entry.id} (${contentSize(content)} bytes)`));
+    return { entry, target, restored: false, dryRun: true };
+  }
+
+  // Required lazily - the logger pulls in the blob store and the log
+  const { logOperation, OPERATION_TYPES, OPERATION_MODES } = require('./logger');
+
+  if (exists) {
+    await createBackup(target, { action: 'restore', operationIds: [], transaction: null });
+  }
+  await fs.ensureDir(path.dirname(target));
+  await fs.writeFile(target, content);
+
+  const metadata = { restoredFrom: entry.id };
+  const operation = exists
+    ? logOperation({ type: OPERATION_TYPES.FILE_EDIT, file: displayPath(target), operation: OPERATION_MODES.FULL_CONTENT, before: current, after: content, metadata })
+    : logOperation({ type: OPERATION_TYPES.FILE_CREATE, file: displayPath(target), after: content, metadata });
+
+  console.log(chalk.green(`✓ Restored ${displayPath(target)} from backup ${entry.id}`));
+  if (operation) {
+    console.log(chalk.gray(`  Logged as ${operation.id}; 'gcundo undo' puts the previous contents back`));
+  }
+  return { entry, target, restored: true, operation };
+}
+
+module.exports = {
+  manifestPath,
+  createBackup,
+  createLogBackup,
+  listBackups,
+  findBackup,
+  readBackup,
+  pruneManifest,
+  displayPath,
+  printBackupList,
+  showBackup,
+  restoreBackup
+};
@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { blobDir, getConfig, ensureHome } = require('./project');
+const { toBuffer } = require('./content');
+const { encryptionEnabled, encrypt, decrypt, digest } = require('./encryption');
+
+// Record fields holding file or command bodies. Records keep only
+// `<field>Hash`; the body itself lives in the blob store.
+const BODY_FIELDS = ['before', 'after', 'output'];
+
+// Bodies smaller than this are not worth compressing
+const COMPRESS_MIN_BYTES = 1024;
+
+// Compression is on unless GCUNDO_BLOB_COMPRESSION (or blobCompression
+// in the config) is 'none'
+function compressionEnabled() {
+  return (process.env.GCUNDO_BLOB_COMPRESSION || getConfig().blobCompression) !== 'none';
+}
+
+function hashBody(content) {
+  return digest(content);
+}
+
+// Blobs are fanned out by the first two hex digits, git style. A blob is
+// stored as <path> (raw), <path>.gz (gzipped) or <path>.enc (encrypted,
+// gzipped inside when large enough).
+function blobPath(hash) {
+  return path.join(blobDir, hash.substring(0, 2), hash.substring(2));
+}
+
+function writeFileAtomically(finalPath, data) {
+  const tempPath = `${finalPath}.${process.pid}.tmp`;
+  ensureHome();
+  fs.ensureDirSync(path.dirname(finalPath));
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, finalPath);
+}
+
+// A body stored again is as good as new: gc leaves recently written blobs
+// alone, which covers a record about to be logged with an older body
+function touch(filePath) {
+  const now = new Date();
+  fs.utimesSync(filePath, now, now);
+}
+
+// Encrypt a blob, binding the ciphertext to its hash so blobs cannot be
+// swapped for one another
+function sealBlob(hash, data) {
+  const compress = compressionEnabled() && data.length >= COMPRESS_MIN_BYTES;
+  return encrypt(compress ? zlib.gzipSync(data) : data, { aad: hash, gzip: compress });
+}
+
+/**
+ * Store a body, returning its hash. Identical bodies are stored once.
+ * @param {string|Buffer} content - Body to store (text or raw bytes)
+ * @param {Object} options - { encrypt: encrypt it even if encryption is not on for everything }
+ * @returns {string} hex digest (the same value hashContent returns)
+ */
+function writeBlob(content, options = {}) {
+  const hash = hashBody(content);
+  storeBlob(hash, toBuffer(content), options);
+  return hash;
+}
+
+// Store bytes under a hash, encrypted when asked or when encryption is on
+function storeBlob(hash, data, options = {}) {
+  const target = blobPath(hash);
+
+  if (options.encrypt || encryptionEnabled()) {
+    if (fs.existsSync(`${target}.enc`)) {
+      touch(`${target}.enc`);
+    } else {
+      writeFileAtomically(`${target}.enc`, sealBlob(hash, data));
+    }
+    // A plaintext copy from before encryption was turned on goes away
+    fs.removeSync(target);
+    fs.removeSync(`${target}.gz`);
+    return;
+  }
+
+  const existing = findBlobFile(hash);
+  if (existing) {
+    touch(existing);
+    return;
+  }
+
+  const compress = compressionEnabled() && data.length >= COMPRESS_MIN_BYTES;
+  writeFileAtomically(compress ? `${target}.gz` : target, compress ? zlib.gzipSync(data) : data);
+}
+
+/**
+ * Read a body back by hash
+ * @param {string} hash - Hash of the body
+ * @param {Object} options - { binary: return the raw bytes instead of text }
+ * @returns {string|Buffer|undefined} The body, or undefined if it is not in the store
+ */
+function readBlob(hash, options = {}) {
+  const target = blobPath(hash);
+  let data;
+
+  if (fs.existsSync(`${target}.enc`)) {
+    const opened = decrypt(fs.readFileSync(`${target}.enc`), { aad: hash, what: `Body ${hash.substring(0, 12)}` });
+    data = opened.gzip ? zlib.gunzipSync(opened.data) : opened.data;
+  } else if (fs.existsSync(`${target}.gz`)) {
+    data = zlib.gunzipSync(fs.readFileSync(`${target}.gz`));
+  } else if (fs.existsSync(target)) {
+    data = fs.readFileSync(target);
+  } else {
+    return undefined;
+  }
+
+  return options.binary ? data : data.toString('utf-8');
+}
+
+// The file a blob is stored in, whichever form it is in
+function findBlobFile(hash) {
+  const target = blobPath(hash);
+  return [target, `${target}.gz`, `${target}.enc`].find(candidate => fs.existsSync(candidate)) || null;
+}
+
+function hasBlob(hash) {
+  return findBlobFile(hash) !== null;
+}
+
+// Every blob in the store, by hash
+function listBlobs() {
+  if (!fs.existsSync(blobDir)) return [];
+
+  return fs.readdirSync(blobDir)
+    .filter(prefix => /^[0-9a-f]{2}$/.test(prefix))
+    .flatMap(prefix => fs.readdirSync(path.join(blobDir, prefix))
+      .filter(name => /^[0-9a-f]+(\.gz|\.enc)?$/.test(name))
+      .map(name => {
+        const blobFile = path.join(blobDir, prefix, name);
+        const stat = fs.statSync(blobFile);
+        return {
+          hash: prefix + name.replace(/\.(gz|enc)$/, ''),
+          path: blobFile,
+          encrypted: name.endsWith('.enc'),
+          size: stat.size,
+          mtime: stat.mtimeMs
+        };
+      }));
+}
+
+/**
+ * Encrypt every blob still stored in plaintext (for turning encryption on
+ * in a project that already has history)
+ * @returns {number} How many blobs were encrypted
+ */
+function encryptStore() {
+  if (!encryptionEnabled()) {
+    throw new Error('Encryption is not configured; set GCUNDO_ENCRYPTION_KEY or GCUNDO_KEY_FILE first');
+  }
+
+  let count = 0;
+  for (const blob of listBlobs()) {
+    if (blob.encrypted) continue;
+    // Kept under the name the log refers to it by
+    storeBlob(blob.hash, readBlob(blob.hash, { binary: true }));
+    count++;
+  }
+  return count;
+}
+
+// How a field was redacted when it was logged (see redaction.js)
+function redactionOf(record, field) {
+  return record.redacted && record.redacted[field] ? record.redacted[field].policy : null;
+}
+
+// Move inline bodies of a record (or a set of record changes) into the
+// store, leaving their hashes behind. Bodies found to hold secrets under the
+// encrypt policy are stored encrypted whatever the global setting. Returns a
+// new object.
+function storeBodies(record) {
+  const stored = { ...record };
+
+  for (const field of BODY_FIELDS) {
+    if (typeof stored[field] === 'string' || Buffer.isBuffer(stored[field])) {
+      stored[`${field}Hash`] = writeBlob(stored[field], { encrypt: redactionOf(record, field) === 'encrypt' });
+      delete stored[field];
+    }
+  }
+
+  return stored;
+}
+
+// The single resolver for operation bodies. Records whose bodies live in
+// the store get lazy, read-only `before`/`after`/`output` properties, so
+// code reading `operation.before` works the same for inline (older) and
+// stored records. The properties are not enumerable, which keeps bodies out
+// of anything that re-serialises the record. Bodies of binary records come
+// back as Buffers. Bodies logged by hash only were never stored, and say so
+// when read.
+function resolveBodies(record) {
+  for (const field of Object.keys(record.redacted || {})) {
+    if (redactionOf(record, field) !== 'hash-only' || record[field] !== undefined) continue;
+
+    Object.defineProperty(record, field, {
+      configurable: true,
+      enumerable: false,
+      get() {
+        const error = new Error(`The ${field} of ${record.file || record.id} was logged by hash only (sensitive path or secrets); gcundo cannot restore it`);
+        error.code = 'GCUNDO_HASH_ONLY';
+        throw error;
+      }
+    });
+  }
+
+  for (const field of BODY_FIELDS) {
+    const hash = record[`${field}Hash`];
+    if (redactionOf(record, field) === 'hash-only' || record[field] !== undefined || !hash) continue;
+
+    let body;
+    Object.defineProperty(record, field, {
+      configurable: true,
+      enumerable: false,
+      get() {
+        if (body === undefined) {
+          body = readBlob(hash, { binary: record.binary });
+        }
+        return body;
+      }
+    });
+  }
+
+  return record;
+}
+
+module.exports = {
+  writeBlob,
+  readBlob,
+  hasBlob,
+  listBlobs,
+  encryptStore,
+  storeBodies,
+  resolveBodies,
+  blobDir,
+  BODY_FIELDS
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Every line of the log carries `prevHash`, the sha256 of the exact text of
+// the line before it (null for the first line), across segment boundaries.
+// Changing, inserting or removing any line breaks the link after it. Lines
+// written before the chain existed have no prevHash; they form an unchained
+// prefix that the chain starts after. Rewrites (delete, compact, migrate)
+// re-chain the whole log and end it with a `seal` event saying why.
+
+function hashLine(line) {
+  return crypto.createHash('sha256').update(line, 'utf-8').digest('hex');
+}
+
+// Serialise a record chained onto the line hashing to prevHash
+function chainLine(record, prevHash) {
+  const chained = { ...record };
+  delete chained.prevHash;
+  chained.prevHash = prevHash;
+  return JSON.stringify(chained);
+}
+
+/**
+ * Re-chain a list of lines from the start. Unreadable lines are kept as
+ * they are (verify reports them), but still hashed into the chain.
+ * @param {Array<string>} lines - Log lines in order
+ * @returns {Array<string>} The lines with fresh prevHash links
+ */
+function sealLines(lines) {
+  let prevHash = null;
+
+  return lines.map(line => {
+    let chained = line;
+    try {
+      chained = chainLine(JSON.parse(line), prevHash);
+    } catch (error) {
+      // Left as found
+    }
+    prevHash = hashLine(chained);
+    return chained;
+  });
+}
+
+// Where a problem was found, for people reading the report
+function describeLocation(location) {
+  return `${location.segment} line ${location.line}${location.id ? ` (${location.id})` : ''}`;
+}
+
+/**
+ * Walk the hash chain and check every stored body against its hash
+ * @returns {Object} { ok, lines, unchained, tip, brokenLink, invalid, missingSegments, danglingEvents, bodies, snapshots, seals }
+ */
+function verifyLog() {
+  // Required lazily - segments chains its appends with this module
+  const fs = require('fs-extra');
+  const path = require('path');
+  const { listSegments } = require('./segments');
+  const { readBlob, BODY_FIELDS } = require('./blobs');
+  const { matchesHash } = require('./logger');
+  const { readSnapshotManifest } = require('./snapshot');
+
+  const report = {
+    ok: true,
+    lines: 0,
+    unchained: 0,
+    tip: null,
+    brokenLink: null,
+    invalid: [],
+    missingSegments: [],
+    danglingEvents: [],
+    bodies: { checked: 0, encrypted: 0, missing: [], mismatched: [] },
+    snapshots: { checked: 0, broken: [] },
+    seals: []
+  };
+
+  const segments = listSegments();
+  const sealedIds = segments.slice(0, -1).map(segment => segment.id);
+  sealedIds.forEach((id, index) => {
+    if (id !== index + 1) {
+      for (let missing = (sealedIds[index - 1] || 0) + 1; missing < id; missing++) {
+        report.missingSegments.push(String(missing).padStart(6, '0'));
+      }
+    }
+  });
+
+  const operations = new Set();
+  const events = [];
+  const hashes = new Map(); // body hash -> first location using it
+  const snapshots = new Map(); // snapshot hash -> checkpoint location
+  let prevHash = null;
+  let chained = false;
+
+  for (const segment of segments) {
+    if (!fs.existsSync(segment.path)) continue;
+    const name = path.basename(segment.path);
+    const lines = fs.readFileSync(segment.path, 'utf-8').split('\n').filter(line => line.trim());
+
+    lines.forEach((line, index) => {
+      const location = { segment: name, line: index + 1 };
+      report.lines++;
+
+      let record = null;
+      try {
+        record = JSON.parse(line);
+        location.id = record.event ? record.operationId : record.id;
+      } catch (error) {
+        report.invalid.push(location);
+      }
+
+      if (record && record.prevHash === undefined) {
+        if (chained && !report.brokenLink) {
+          report.brokenLink = { ...location, expected: prevHash, found: null };
+        } else if (!chained) {
+          report.unchained++;
+        }
+      } else if (record) {
+        chained = true;
+        if (record.prevHash !== prevHash && !report.brokenLink) {
+          report.brokenLink = { ...location, expected: prevHash, found: record.prevHash };
+        }
+      }
+      prevHash = hashLine(line);
+
+      if (!record) return;
+
+      if (record.event === 'seal') {
+        report.seals.push({ ...location, reason: record.reason, timestamp: record.timestamp, actor: record.actor });
+        return;
+      }
+      if (record.event) {
+        events.push({ ...location, operationId: record.operationId });
+      } else {
+        operations.add(record.id);
+      }
+      if (record.snapshot && !snapshots.has(record.snapshot.hash)) {
+        snapshots.set(record.snapshot.hash, location);
+      }
+
+      const bodies = record.event ? record.changes || {} : record;
+      for (const field of BODY_FIELDS) {
+        const hash = bodies[`${field}Hash`];
+        if (!hash) continue;
+        // Bodies logged by hash only were never stored
+        if (bodies.redacted && bodies.redacted[field] && bodies.redacted[field].policy === 'hash-only') continue;
+
+        // Inline bodies (older records) are checked against their hash here
+        if (bodies[field] !== undefined) {
+          report.bodies.checked++;
+          if (!matchesHash(bodies[field], hash)) {
+            report.bodies.mismatched.push({ ...location, field, hash });
+          }
+        } else if (!hashes.has(hash)) {
+          hashes.set(hash, { ...location, field, hash });
+        }
+      }
+    });
+  }
+
+  report.tip = prevHash;
+  report.danglingEvents = events.filter(event => !operations.has(event.operationId));
+
+  for (const [hash, location] of hashes) {
+    let body;
+    try {
+      body = readBlob(hash, { binary: true });
+    } catch (error) {
+      // Encrypted bodies can only be checked with the key
+      if (error.code !== 'GCUNDO_NO_KEY') throw error;
+      report.bodies.encrypted++;
+      continue;
+    }
+
+    report.bodies.checked++;
+    if (body === undefined) {
+      report.bodies.missing.push(location);
+    } else if (!matchesHash(body, hash)) {
+      report.bodies.mismatched.push(location);
+    }
+  }
+
+  for (const [hash, location] of snapshots) {
+    report.snapshots.checked++;
+    try {
+      readSnapshotManifest(hash);
+    } catch (error) {
+      report.snapshots.broken.push({ ...location, hash, message: error.message });
+    }
+  }
+
+  report.ok = !report.brokenLink &&
+    report.invalid.length === 0 &&
+    report.missingSegments.length === 0 &&
+    report.danglingEvents.length === 0 &&
+    report.bodies.missing.length === 0 &&
+    report.bodies.mismatched.length === 0 &&
+    report.snapshots.broken.length === 0;
+
+  return report;
+}
+
+// Print a verify report
+function printVerifyReport(report) {
+  console.log(chalk.bold('Log Verification:'));
+  console.log(`  Lines: ${report.lines}${report.unchained > 0 ? ` (${report.unchained} written before the hash chain)` : ''}`);
+  console.log(`  Bodies checked: ${report.bodies.checked}${report.bodies.encrypted > 0 ? ` (${report.bodies.encrypted} encrypted, not checked without the key)` : ''}`);
+  if (report.snapshots.checked > 0) {
+    console.log(`  Snapshots checked: ${report.snapshots.checked}`);
+  }
+  console.log(`  Re-sealed: ${report.seals.length} time(s)`);
+  report.seals.forEach(seal => {
+    console.log(chalk.gray(`    ${seal.timestamp} ${seal.reason} by ${seal.actor || 'unknown'}`));
+  });
+
+  if (report.brokenLink) {
+    const link = report.brokenLink;
+    console.log(chalk.red(`  ✗ Chain broken at ${describeLocation(link)}: expected prevHash ${String(link.expected).substring(0, 12)}, found ${String(link.found).substring(0, 12)}`));
+  }
+  report.missingSegments.forEach(id => console.log(chalk.red(`  ✗ Segment ${id} is missing`)));
+  report.invalid.forEach(location => console.log(chalk.red(`  ✗ Unreadable line at ${describeLocation(location)}`)));
+  report.danglingEvents.forEach(event => console.log(chalk.red(`  ✗ Event at ${describeLocation(event)} refers to a missing record`)));
+  report.bodies.missing.forEach(body => console.log(chalk.red(`  ✗ Body ${body.hash.substring(0, 12)} (${body.field} of ${describeLocation(body)}) is missing from the blob store`)));
+  report.bodies.mismatched.forEach(body => console.log(chalk.red(`  ✗ Body ${body.hash.substring(0, 12)} (${body.field} of ${describeLocation(body)}) does not match its hash`)));
+  report.snapshots.broken.forEach(snapshot => console.log(chalk.red(`  ✗ ${snapshot.message} (checkpoint at ${describeLocation(snapshot)})`)));
+
+  if (report.ok) {
+    console.log(chalk.green('  ✓ Chain intact and all bodies match'));
+  }
+  if (report.tip) {
+    console.log(chalk.gray(`  Tip: ${report.tip} (keep a copy elsewhere to pin the end of the log)`));
+  }
+}
+
+module.exports = {
+  hashLine,
+  chainLine,
+  sealLines,
+  verifyLog,
+  printVerifyReport
+};
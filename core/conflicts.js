@@ -0,0 +1,144 @@
+const { hashContent, matchesHash, OPERATION_TYPES, OPERATION_MODES } = require('./logger');
+const { isBinaryContent } = require('./content');
+const { maskedKinds } = require('./redaction');
+
+const CONFLICT_KINDS = {
+  MODIFIED: 'modified',         // content differs from what the operation expects
+  MISSING: 'missing',           // file should exist but doesn't
+  EXISTS: 'exists',             // file should be absent but exists
+  TEXT_MISSING: 'text_missing', // string_replace text is no longer in the file
+  MASKED: 'masked'              // the text to write back was logged with secrets masked
+};
+
+const CONFLICT_STRATEGIES = {
+  ABORT: 'abort',
+  FORCE: 'force',
+  MERGE: 'merge'
+};
+
+// Raised when the working tree no longer matches what undo/redo expects
+class ConflictError extends Error {
+  constructor(conflicts, action) {
+    const files = [...new Set(conflicts.map(conflict => conflict.file))];
+    const reason = conflicts.every(conflict => conflict.kind === CONFLICT_KINDS.MASKED)
+      ? 'would get text with secrets masked written back'
+      : 'changed since the operation was logged';
+    super(`Cannot ${action}: ${files.length} file(s) ${reason} (${files.join(', ')})`);
+    this.name = 'ConflictError';
+    this.action = action;
+    this.conflicts = conflicts;
+  }
+}
+
+// Hash of a body, preferring the one recorded at log time. A body logged
+// with secrets masked is compared by the hash of the real content.
+function expectedHash(operation, field) {
+  const redacted = operation.redacted && operation.redacted[field];
+  if (redacted && redacted.hash) return redacted.hash;
+  return operation[`${field}Hash`] || hashContent(operation[field]);
+}
+
+// Describe what the file must look like before an undo/redo can safely run.
+// Returns { exists, hash } or { contains } for string replacements, or null
+// when the operation carries nothing to check against.
+function getExpectedState(operation, action) {
+  const forward = action === 'redo';
+
+  switch (operation.type) {
+    case OPERATION_TYPES.FILE_EDIT:
+      if (operation.operation === OPERATION_MODES.STRING_REPLACE) {
+        return { exists: true, contains: forward ? operation.oldString : operation.newString };
+      }
+      return { exists: true, hash: expectedHash(operation, forward ? 'before' : 'after') };
+    case OPERATION_TYPES.FILE_CREATE:
+      // Undo removes the created file, redo expects it to be gone
+      return forward ? { exists: false } : { exists: true, hash: expectedHash(operation, 'after'), optional: true };
+    case OPERATION_TYPES.FILE_DELETE:
+      // Undo restores the deleted file, redo expects it to still be there
+      return forward ? { exists: true, hash: expectedHash(operation, 'before'), optional: true } : { exists: false };
+    case OPERATION_TYPES.COMMAND_EXECUTION:
+      return null;
+    default:
+      // Backward compatibility with old format
+      if (!operation.file) return null;
+      return { exists: true, hash: expectedHash(operation, forward ? 'before' : 'after') };
+  }
+}
+
+// Compare the (staged) current state of a file with what the operation expects.
+// Returns a conflict object, or null when it is safe to proceed.
+function detectConflict(operation, tree, action) {
+  const expected = getExpectedState(operation, action);
+  if (!expected) return null;
+
+  const filePath = operation.file;
+  const exists = tree.exists(filePath);
+  const conflict = {
+    operationId: operation.id,
+    file: filePath,
+    action
+  };
+
+  if (!expected.exists) {
+    return exists ? { ...conflict, kind: CONFLICT_KINDS.EXISTS } : null;
+  }
+
+  if (!exists) {
+    // Nothing left to remove - the operation is already effectively applied
+    return expected.optional ? null : { ...conflict, kind: CONFLICT_KINDS.MISSING };
+  }
+
+  const content = tree.read(filePath);
+
+  if (expected.contains !== undefined) {
+    return content.includes(expected.contains)
+      ? null
+      : { ...conflict, kind: CONFLICT_KINDS.TEXT_MISSING, expectedText: expected.contains };
+  }
+
+  if (expected.hash && !matchesHash(content, expected.hash)) {
+    const actualHash = hashContent(content);
+    // Binary files cannot be merged, only overwritten
+    return { ...conflict, kind: CONFLICT_KINDS.MODIFIED, expectedHash: expected.hash, actualHash, ...(isBinaryContent(content) && { binary: true }) };
+  }
+
+  return null;
+}
+
+// Writing back text logged with secrets masked would replace the secrets
+// with [REDACTED:<kind>] markers, so it needs --force like a changed file.
+// Masked text cannot be merged either.
+function detectMaskedRestore(operation, action) {
+  const kinds = maskedKinds(operation, action);
+  if (kinds.length === 0) return null;
+
+  return { operationId: operation.id, file: operation.file, action, kind: CONFLICT_KINDS.MASKED, kinds };
+}
+
+// One-line, human readable description of a conflict
+function describeConflict(conflict) {
+  switch (conflict.kind) {
+    case CONFLICT_KINDS.MODIFIED:
+      return `${conflict.file}: modified since ${conflict.operationId} (expected ${conflict.expectedHash.substring(0, 12)}, found ${conflict.actualHash.substring(0, 12)})${conflict.binary ? ', binary so it cannot be merged' : ''}`;
+    case CONFLICT_KINDS.MISSING:
+      return `${conflict.file}: missing, expected by ${conflict.operationId}`;
+    case CONFLICT_KINDS.EXISTS:
+      return `${conflict.file}: exists, ${conflict.action} of ${conflict.operationId} would overwrite it`;
+    case CONFLICT_KINDS.TEXT_MISSING:
+      return `${conflict.file}: expected text not found for ${conflict.operationId}`;
+    case CONFLICT_KINDS.MASKED:
+      return `${conflict.file}: ${conflict.action} of ${conflict.operationId} would write back text with secrets masked (${conflict.kinds.join(', ')}), so it cannot be merged`;
+    default:
+      return `${conflict.file}: ${conflict.kind}`;
+  }
+}
+
+module.exports = {
+  ConflictError,
+  detectConflict,
+  detectMaskedRestore,
+  describeConflict,
+  getExpectedState,
+  CONFLICT_KINDS,
+  CONFLICT_STRATEGIES
+};
@@ -0,0 +1,57 @@
+const fs = require('fs-extra');
+
+// How much of a file to look at for NUL bytes
+const SNIFF_BYTES = 8000;
+
+/**
+ * Decide whether bytes are binary: a NUL byte near the start (what git
+ * checks), or anything that does not survive a UTF-8 round trip
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the bytes must be kept as bytes
+ */
+function isBinary(buffer) {
+  if (buffer.subarray(0, SNIFF_BYTES).includes(0)) return true;
+  return !Buffer.from(buffer.toString('utf-8'), 'utf-8').equals(buffer);
+}
+
+// Bodies of binary files are Buffers everywhere; text bodies stay strings
+function isBinaryContent(content) {
+  return Buffer.isBuffer(content);
+}
+
+// Decode file bytes: text as a string, binary left as a Buffer
+function decodeContent(buffer) {
+  return isBinary(buffer) ? buffer : buffer.toString('utf-8');
+}
+
+// Read a file the way it has to be restored later
+function readContent(filePath) {
+  return decodeContent(fs.readFileSync(filePath));
+}
+
+function toBuffer(content) {
+  return Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+}
+
+// Compare two bodies byte for byte, whichever form they are in
+function sameContent(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (!isBinaryContent(a) && !isBinaryContent(b)) return false;
+  return toBuffer(a).equals(toBuffer(b));
+}
+
+// Size of a body in bytes
+function contentSize(content) {
+  return Buffer.byteLength(content);
+}
+
+module.exports = {
+  isBinary,
+  isBinaryContent,
+  decodeContent,
+  readContent,
+  toBuffer,
+  sameContent,
+  contentSize
+};
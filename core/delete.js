@@ -1,14 +1,19 @@
 const chalk = require('chalk');
-const fs = require('fs-extra');
 const { 
   getOperationById, 
   getActiveOperations, 
   getUndoneOperations,
   loadOperations,
+  loadEvents,
   generateOperationSummary 
 } = require('./sessions');
-const { logPath } = require('./logger');
-const path = require('path');
+const { withLogLock, createEvent, EVENT_TYPES } = require('./logger');
+const { readLines, rewriteLog } = require('./segments');
+const { storeBodies } = require('./blobs');
+const { backupDir } = require('./project');
+const { createLogBackup } = require('./backups');
+const { detectShape, normalizeRecord, SCHEMA_VERSION } = require('./schema');
+const { getTimestamp, compareTimestamps } = require('./time');
 
 // Delete operation by ID or index
 async function deleteOperation(operationIdOrIndex) {
@@ -27,7 +32,7 @@ async function deleteOperation(operationIdOrIndex) {
     }
     
     const allOps = loadOperations()
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      .sort((a, b) => compareTimestamps(a, b));
     
     if (index < 0 || index >= allOps.length) {
       throw new Error(`Invalid operation index: ${index + 1}. Available: 1-${allOps.length}`);
@@ -49,21 +54,28 @@ async function deleteOperation(operationIdOrIndex) {
   return { deleted: operation };
 }
 
-// Remove operation from the log file
+// Remove operation from the log file. The read and the rewrite happen under
+// the log lock, so nothing appended in between is lost.
 async function removeOperationFromLog(operationId) {
-  if (!fs.existsSync(logPath)) {
+  return removeOperationsFromLog([operationId]);
+}
+
+// Remove several operations in a single rewrite of the log
+async function removeOperationsFromLog(operationIds) {
+  return withLogLock(() => rewriteWithout(new Set(operationIds)));
+}
+
+async function rewriteWithout(operationIds) {
+  const lines = readLines();
+  if (lines.length === 0) {
     throw new Error('No log file found');
   }
   
-  const lines = fs.readFileSync(logPath, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-  
-  // Filter out the operation to delete
+  // Filter out the operations to delete, along with their events
   const filteredLines = lines.filter(line => {
     try {
-      const op = JSON.parse(line);
-      return op.id !== operationId;
+      const record = JSON.parse(line);
+      return !operationIds.has(record.id) && !operationIds.has(record.operationId);
     } catch (e) {
       // Keep malformed lines (shouldn't happen but be safe)
       return true;
@@ -71,14 +83,14 @@ async function removeOperationFromLog(operationId) {
   });
   
   if (filteredLines.length === lines.length) {
-    throw new Error(`Operation ${operationId} not found in log`);
+    throw new Error(`Operation ${[...operationIds].join(', ')} not found in log`);
   }
   
   // Create backup before modifying
-  await createLogBackup();
+  await createLogBackup('delete');
   
-  // Write the filtered log
-  fs.writeFileSync(logPath, filteredLines.join('\n') + (filteredLines.length > 0 ? '\n' : ''));
+  // Write the filtered log, re-sealing the chain over the gap
+  rewriteLog(filteredLines, createEvent(EVENT_TYPES.SEAL, null, { reason: 'delete', removed: [...operationIds] }));
 }
 
 // Delete multiple operations by their IDs
@@ -107,21 +119,12 @@ async function deleteAllUndone() {
   
   console.log(chalk.yellow(`⚠️  Warning: Deleting ${undoneOps.length} undone operations`));
   
-  const results = [];
-  
-  for (const operation of undoneOps) {
-    try {
-      await removeOperationFromLog(operation.id);
-      results.push({ success: true, deleted: operation });
-    } catch (error) {
-      results.push({ success: false, operation: operation.id, error: error.message });
-    }
-  }
+  // One rewrite for all of them, rather than one per operation
+  await removeOperationsFromLog(undoneOps.map(operation => operation.id));
+  const results = undoneOps.map(operation => ({ success: true, deleted: operation }));
+  console.log(chalk.green(`✓ Deleted ${results.length} undone operations`));
   
-  const successCount = results.filter(r => r.success).length;
-  console.log(chalk.green(`✓ Deleted ${successCount} undone operations`));
-  
-  return { deleted: successCount, results };
+  return { deleted: results.length, results };
 }
 
 // Delete operations older than a certain date
@@ -129,7 +132,7 @@ async function deleteOlderThan(date) {
   const cutoffDate = new Date(date);
   const allOps = loadOperations();
   
-  const oldOps = allOps.filter(op => new Date(op.timestamp) < cutoffDate);
+  const oldOps = allOps.filter(op => getTimestamp(op) < cutoffDate.getTime());
   
   if (oldOps.length === 0) {
     throw new Error(`No operations found older than ${cutoffDate.toLocaleDateString()}`);
@@ -137,21 +140,12 @@ async function deleteOlderThan(date) {
   
   console.log(chalk.yellow(`⚠️  Warning: Deleting ${oldOps.length} operations older than ${cutoffDate.toLocaleDateString()}`));
   
-  const results = [];
+  // One rewrite for all of them, rather than one per operation
+  await removeOperationsFromLog(oldOps.map(operation => operation.id));
+  const results = oldOps.map(operation => ({ success: true, deleted: operation }));
+  console.log(chalk.green(`✓ Deleted ${results.length} old operations`));
   
-  for (const operation of oldOps) {
-    try {
-      await removeOperationFromLog(operation.id);
-      results.push({ success: true, deleted: operation });
-    } catch (error) {
-      results.push({ success: false, operation: operation.id, error: error.message });
-    }
-  }
-  
-  const successCount = results.filter(r => r.success).length;
-  console.log(chalk.green(`✓ Deleted ${successCount} old operations`));
-  
-  return { deleted: successCount, results };
+  return { deleted: results.length, results };
 }
 
 // Delete operations by file path
@@ -165,77 +159,136 @@ async function deleteOperationsByFile(filePath) {
   
   console.log(chalk.yellow(`⚠️  Warning: Deleting ${fileOps.length} operations for file: ${filePath}`));
   
-  const results = [];
+  // One rewrite for all of them, rather than one per operation
+  await removeOperationsFromLog(fileOps.map(operation => operation.id));
+  const results = fileOps.map(operation => ({ success: true, deleted: operation }));
+  console.log(chalk.green(`✓ Deleted ${results.length} operations for ${filePath}`));
   
-  for (const operation of fileOps) {
-    try {
-      await removeOperationFromLog(operation.id);
-      results.push({ success: true, deleted: operation });
-    } catch (error) {
-      results.push({ success: false, operation: operation.id, error: error.message });
-    }
-  }
-  
-  const successCount = results.filter(r => r.success).length;
-  console.log(chalk.green(`✓ Deleted ${successCount} operations for ${filePath}`));
-  
-  return { deleted: successCount, results };
+  return { deleted: results.length, results };
 }
 
-// Create backup of log file before deletion
-async function createLogBackup() {
-  if (!fs.existsSync(logPath)) return;
-  
-  const backupDir = path.resolve(__dirname, '..', 'backups');
-  await fs.ensureDir(backupDir);
-  
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = path.join(backupDir, `log.${timestamp}.bak`);
-  
-  await fs.copyFile(logPath, backupPath);
+// Compact log file (remove gaps, reformat). options.remove drops those
+// operations and their events in the same rewrite, and options.reason names
+// the rewrite in its seal (gc uses both).
+async function compactLog(options = {}) {
+  return withLogLock(() => rewriteCompacted(options));
 }
 
-// Compact log file (remove gaps, reformat)
-async function compactLog() {
-  const operations = loadOperations();
+async function rewriteCompacted(options = {}) {
+  const remove = new Set(options.remove || []);
+  const operations = loadOperations().filter(op => !remove.has(op.id));
   
-  if (operations.length === 0) {
+  if (operations.length === 0 && remove.size === 0) {
     console.log(chalk.yellow('Log is empty, nothing to compact'));
     return;
   }
   
   // Create backup
-  await createLogBackup();
-  
-  // Sort operations by timestamp and rewrite the log
-  const sortedOps = operations.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  
-  const compactedLines = sortedOps.map(op => JSON.stringify(op));
-  fs.writeFileSync(logPath, compactedLines.join('\n') + '\n');
-  
-  console.log(chalk.green(`✓ Log compacted: ${operations.length} operations`));
-  
-  return { compacted: operations.length };
+  await createLogBackup(options.reason || 'compact');
+  
+  // Rewrite the log in the order it was logged (timestamps can be older
+  // than what came before, e.g. imported commits), moving any bodies still
+  // inlined by older versions into the blob store. Operations are written
+  // with their events folded in; the events themselves are kept after them
+  // as the audit trail (folding them again changes nothing).
+  const compactedLines = [
+    ...operations.map(op => JSON.stringify(storeBodies(op))),
+    ...loadEvents().filter(event => !remove.has(event.operationId)).map(event => JSON.stringify(event))
+  ];
+  rewriteLog(compactedLines, createEvent(EVENT_TYPES.SEAL, null, {
+    reason: options.reason || 'compact',
+    ...(remove.size > 0 && { removed: [...remove] })
+  }));
+  
+  console.log(chalk.green(`✓ Log compacted: ${operations.length} operations${remove.size > 0 ? `, ${remove.size} removed` : ''}`));
+  
+  return { compacted: operations.length, removed: remove.size };
+}
+
+// Rewrite records still in an older shape (see schema.js) in the current
+// one, moving their inline bodies into the blob store. Events and current
+// records are left byte for byte as they are, and so is their order.
+async function migrateLog(options = {}) {
+  return withLogLock(() => rewriteMigrated(options));
+}
+
+async function rewriteMigrated(options) {
+  const lines = readLines();
+  const shapes = {};
+  let outdated = 0;
+
+  const migratedLines = lines.map(line => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // Left for validateLog to report
+      shapes.unreadable = (shapes.unreadable || 0) + 1;
+      return line;
+    }
+
+    const shape = detectShape(record);
+    shapes[shape] = (shapes[shape] || 0) + 1;
+    if (shape === 'event' || shape === 'current') {
+      return line;
+    }
+
+    outdated++;
+    return JSON.stringify(storeBodies(normalizeRecord(record)));
+  });
+
+  console.log(chalk.bold('Log records by shape:'));
+  Object.entries(shapes).forEach(([shape, count]) => {
+    console.log(`  ${shape}: ${count}`);
+  });
+
+  if (outdated === 0) {
+    console.log(chalk.green(`✓ Log is already at schema version ${SCHEMA_VERSION}`));
+    return { migrated: 0, shapes };
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\n${outdated} record(s) would be upgraded to schema version ${SCHEMA_VERSION}`));
+    return { migrated: 0, outdated, shapes, dryRun: true };
+  }
+
+  await createLogBackup('migrate');
+  rewriteLog(migratedLines, createEvent(EVENT_TYPES.SEAL, null, { reason: 'migrate', migrated: outdated }));
+
+  console.log(chalk.green(`✓ Migrated ${outdated} record(s) to schema version ${SCHEMA_VERSION} (backup in ${backupDir})`));
+
+  return { migrated: outdated, shapes };
 }
 
 // Validate log file integrity
 async function validateLog() {
-  if (!fs.existsSync(logPath)) {
+  const lines = readLines();
+  if (lines.length === 0) {
     console.log(chalk.yellow('No log file found'));
     return { valid: true, issues: [] };
   }
   
-  const lines = fs.readFileSync(logPath, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-  
   const issues = [];
   const validOps = [];
+  const validEvents = [];
+  let outdated = 0;
   
   lines.forEach((line, index) => {
     try {
       const op = JSON.parse(line);
       
+      // Undo/redo/update events reference an operation instead of being one
+      if (op.event) {
+        if (!op.operationId && op.event !== EVENT_TYPES.SEAL) {
+          issues.push(`Line ${index + 1}: Event without operation ID`);
+        }
+        if (!op.timestamp || isNaN(new Date(op.timestamp))) {
+          issues.push(`Line ${index + 1}: Missing or invalid event timestamp`);
+        }
+        validEvents.push(op);
+        return;
+      }
+      
       // Check required fields
       if (!op.id) {
         issues.push(`Line ${index + 1}: Missing operation ID`);
@@ -252,6 +305,10 @@ async function validateLog() {
         issues.push(`Line ${index + 1}: Invalid timestamp format`);
       }
       
+      if (detectShape(op) !== 'current') {
+        outdated++;
+      }
+      
       validOps.push(op);
     } catch (error) {
       issues.push(`Line ${index + 1}: Invalid JSON - ${error.message}`);
@@ -261,6 +318,10 @@ async function validateLog() {
   console.log(chalk.bold('Log Validation Results:'));
   console.log(`  Total lines: ${lines.length}`);
   console.log(`  Valid operations: ${validOps.length}`);
+  console.log(`  Events: ${validEvents.length}`);
+  if (outdated > 0) {
+    console.log(chalk.yellow(`  Records in an older shape: ${outdated} (run 'gcundo migrate' to upgrade them)`));
+  }
   console.log(`  Issues found: ${issues.length}`);
   
   if (issues.length > 0) {
@@ -276,7 +337,9 @@ async function validateLog() {
     valid: issues.length === 0, 
     issues, 
     totalLines: lines.length, 
-    validOps: validOps.length 
+    validOps: validOps.length,
+    events: validEvents.length,
+    outdated
   };
 }
 
@@ -286,7 +349,9 @@ module.exports = {
   deleteAllUndone,
   deleteOlderThan,
   deleteOperationsByFile,
+  removeOperationsFromLog,
   compactLog,
+  migrateLog,
   validateLog,
   createLogBackup
 };
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const diff = require('fast-diff');
+const { isBinaryContent, sameContent } = require('./content');
 
 class DiffEngine {
     constructor() {
@@ -11,8 +12,8 @@ class DiffEngine {
     /**
      * Analyze changes between old and new content and extract meaningful edits
      * @param {string} filePath - Path to the file that changed
-     * @param {string} oldContent - Previous file content
-     * @param {string} newContent - New file content
+     * @param {string|Buffer} oldContent - Previous file content (a Buffer for binary files)
+     * @param {string|Buffer} newContent - New file content
      * @returns {Array} Array of operation objects
      */
     analyzeChanges(filePath, oldContent, newContent) {
@@ -24,10 +25,7 @@ class DiffEngine {
                     filePath,
                     content: newContent,
                     timestamp: new Date().toISOString(),
-                    metadata: {
-                        lines: newContent.split('\n').length,
-                        chars: newContent.length
-                    }
+                    metadata: this.describeContent(newContent)
                 }];
             }
 
@@ -38,18 +36,30 @@ class DiffEngine {
                     filePath,
                     content: oldContent,
                     timestamp: new Date().toISOString(),
-                    metadata: {
-                        lines: oldContent.split('\n').length,
-                        chars: oldContent.length
-                    }
+                    metadata: this.describeContent(oldContent)
                 }];
             }
 
             // Handle file modifications
-            if (oldContent === newContent) {
+            if (sameContent(oldContent, newContent)) {
                 return []; // No changes
             }
 
+            // Bytes have no lines to diff: record the whole file
+            if (isBinaryContent(oldContent) || isBinaryContent(newContent)) {
+                return [{
+                    type: 'FILE_EDIT',
+                    filePath,
+                    before: oldContent,
+                    after: newContent,
+                    timestamp: new Date().toISOString(),
+                    metadata: {
+                        changeType: 'BINARY_REPLACE',
+                        ...this.describeContent(newContent)
+                    }
+                }];
+            }
+
             return this.extractStringBasedEdits(filePath, oldContent, newContent);
         } catch (error) {
             console.error(`Error analyzing changes for ${filePath}:`, error.message);
@@ -57,6 +67,21 @@ class DiffEngine {
         }
     }
 
+    /**
+     * Size metadata for a file body
+     * @param {string|Buffer} content - File content
+     * @returns {Object} { lines, chars } for text, { bytes, binary } for binary content
+     */
+    describeContent(content) {
+        if (isBinaryContent(content)) {
+            return { bytes: content.length, binary: true };
+        }
+        return {
+            lines: content.split('\n').length,
+            chars: content.length
+        };
+    }
+
     /**
      * Extract string-based edits from content differences
      * @param {string} filePath - Path to the file
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { gcundoHome, backupDir, getConfig, ensureHome } = require('./project');
+
+// Encrypted files start with this, then a flags byte, the IV and the GCM tag
+const MAGIC = Buffer.from('GCE1');
+const FLAG_GZIP = 1;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Key material is stretched with scrypt, so a passphrase works as well as
+// a random key file. The salt is random per home, kept in <home>/salt, so
+// one passphrase used in two projects gives two unrelated keys.
+const saltPath = path.join(gcundoHome, 'salt');
+const SALT_BYTES = 16;
+
+let cachedKeys;
+
+// The secret from GCUNDO_ENCRYPTION_KEY, else the key file named by
+// GCUNDO_KEY_FILE or encryptionKeyFile in the config (relative to the
+// gcundo home)
+function readSecret() {
+  if (process.env.GCUNDO_ENCRYPTION_KEY) return process.env.GCUNDO_ENCRYPTION_KEY;
+
+  const keyFile = process.env.GCUNDO_KEY_FILE || getConfig().encryptionKeyFile;
+  if (!keyFile) return null;
+
+  const resolved = path.resolve(gcundoHome, keyFile);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Encryption key file not found: ${resolved}`);
+  }
+  return fs.readFileSync(resolved, 'utf-8').trim();
+}
+
+// The home's salt, created on first use. Two processes creating it at once
+// both end up with the one written first.
+function readSalt() {
+  try {
+    return Buffer.from(fs.readFileSync(saltPath, 'utf-8').trim(), 'hex');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  ensureHome();
+  try {
+    fs.writeFileSync(saltPath, crypto.randomBytes(SALT_BYTES).toString('hex') + '\n', { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  return readSalt();
+}
+
+// The keys derived from the secret: `encryption` for AES and `mac` for
+// hashing bodies. Null without a secret.
+function getKeys() {
+  if (cachedKeys === undefined) {
+    const secret = readSecret();
+    if (secret) {
+      const derived = crypto.scryptSync(secret, readSalt(), 64);
+      cachedKeys = {
+        encryption: derived.subarray(0, 32),
+        mac: derived.subarray(32)
+      };
+    } else {
+      cachedKeys = null;
+    }
+  }
+  return cachedKeys;
+}
+
+/**
+ * The encryption key, or null when encryption is not configured
+ * @returns {Buffer|null} 32-byte AES key
+ */
+function getKey() {
+  const keys = getKeys();
+  return keys ? keys.encryption : null;
+}
+
+function encryptionEnabled() {
+  return getKey() !== null;
+}
+
+function isEncrypted(payload) {
+  return payload.length >= MAGIC.length && payload.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a body for the log, blob names, snapshots and backups. With a key
+ * set this is an HMAC, so someone holding the log without the key cannot
+ * confirm a guess of a file's contents; without one it is plain sha256.
+ * @param {string|Buffer} data - Body to hash
+ * @returns {string} 64 hex digits
+ */
+function digest(data) {
+  const keys = getKeys();
+  return keys
+    ? crypto.createHmac('sha256', keys.mac).update(data).digest('hex')
+    : sha256(data);
+}
+
+// Whether a body matches a hash logged by digest(), either form: hashes
+// logged before the key was set stay plain sha256
+function digestMatches(data, hash) {
+  return digest(data) === hash || (encryptionEnabled() && sha256(data) === hash);
+}
+
+/**
+ * Encrypt bytes with AES-256-GCM
+ * @param {Buffer} data - Plaintext (already gzipped if options.gzip)
+ * @param {Object} options - { aad: bytes the ciphertext is bound to, gzip: flag to record }
+ * @returns {Buffer} MAGIC | flags | iv | tag | ciphertext
+ */
+function encrypt(data, options = {}) {
+  const key = getKey();
+  if (!key) {
+    throw new Error('Encryption is not configured');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (options.aad) cipher.setAAD(Buffer.from(options.aad));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([MAGIC, Buffer.from([options.gzip ? FLAG_GZIP : 0]), iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt what encrypt() produced
+ * @param {Buffer} payload - Encrypted bytes
+ * @param {Object} options - { aad, what: description for error messages }
+ * @returns {Object} { data, gzip }
+ */
+function decrypt(payload, options = {}) {
+  const what = options.what || 'file';
+  const key = getKey();
+  if (!key) {
+    const error = new Error(`${what} is encrypted; set GCUNDO_ENCRYPTION_KEY or GCUNDO_KEY_FILE to read it`);
+    error.code = 'GCUNDO_NO_KEY';
+    throw error;
+  }
+
+  const flags = payload[MAGIC.length];
+  const ivStart = MAGIC.length + 1;
+  const tagStart = ivStart + IV_BYTES;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, payload.subarray(ivStart, tagStart));
+  decipher.setAuthTag(payload.subarray(tagStart, tagStart + TAG_BYTES));
+  if (options.aad) decipher.setAAD(Buffer.from(options.aad));
+
+  try {
+    const data = Buffer.concat([decipher.update(payload.subarray(tagStart + TAG_BYTES)), decipher.final()]);
+    return { data, gzip: Boolean(flags & FLAG_GZIP) };
+  } catch (error) {
+    throw new Error(`Cannot decrypt ${what}: wrong key or corrupted data`);
+  }
+}
+
+// Write a file into backups/, encrypted (with an .enc suffix) when a key is
+// configured. Returns the path written.
+async function writeBackupFile(filePath, data) {
+  if (!encryptionEnabled()) {
+    await fs.writeFile(filePath, data);
+    return filePath;
+  }
+
+  const target = `${filePath}.enc`;
+  await fs.writeFile(target, encrypt(data, { aad: path.basename(target) }));
+  return target;
+}
+
+// Read a backup written by writeBackupFile
+function readBackupFile(filePath) {
+  const payload = fs.readFileSync(filePath);
+  if (!isEncrypted(payload)) return payload;
+  return decrypt(payload, { aad: path.basename(filePath), what: filePath }).data;
+}
+
+// Encrypt backups written before encryption was turned on
+async function encryptBackups() {
+  if (!fs.existsSync(backupDir)) return 0;
+
+  let count = 0;
+  for (const name of await fs.readdir(backupDir)) {
+    const filePath = path.join(backupDir, name);
+    if (name.endsWith('.enc') || !(await fs.stat(filePath)).isFile()) continue;
+
+    await writeBackupFile(filePath, await fs.readFile(filePath));
+    await fs.remove(filePath);
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  getKey,
+  encryptionEnabled,
+  isEncrypted,
+  digest,
+  digestMatches,
+  encrypt,
+  decrypt,
+  writeBackupFile,
+  readBackupFile,
+  encryptBackups
+};
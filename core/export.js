@@ -0,0 +1,409 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const diff = require('fast-diff');
+const { projectRoot, findGitRoot } = require('./project');
+const { readContent, isBinaryContent, toBuffer, sameContent } = require('./content');
+const { diffLines } = require('./merge');
+const { OPERATION_TYPES, OPERATION_MODES, getActor } = require('./logger');
+const {
+  getOperationById,
+  getCheckpoint,
+  getCheckpoints,
+  getHeadOperation,
+  getPathToOperation,
+  isCheckpoint,
+  generateOperationSummary
+} = require('./sessions');
+
+// Turns a range of the current branch into a patch series in the shape git
+// format-patch writes: one mail per patch, so `git am` applies the series
+// as commits and `git apply` takes the diffs alone. Text files get unified
+// diffs with three lines of context, binary files a `GIT binary patch`.
+const CONTEXT_LINES = 3;
+const NULL_SHA = '0'.repeat(40);
+const BASE85 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+// Paths in the patch are relative to the top of the checkout it applies to
+function patchRoot() {
+  return projectRoot || findGitRoot() || process.cwd();
+}
+
+function patchPath(filePath) {
+  const relative = path.relative(patchRoot(), path.resolve(filePath));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`${filePath} is outside ${patchRoot()}; it cannot be part of a patch`);
+  }
+  return relative.split(path.sep).join('/');
+}
+
+// The id git gives the same bytes as a blob
+function gitBlobId(content) {
+  if (content === null) return NULL_SHA;
+  const data = toBuffer(content);
+  return crypto.createHash('sha1').update(`blob ${data.length}\0`).update(data).digest('hex');
+}
+
+/**
+ * Resolve --from/--to to positions on the current branch. An operation id
+ * names that operation; a checkpoint (name or id) names the state it
+ * marks, so --from starts after it and --to ends at it.
+ * @returns {Object} { lineage, start, end }
+ */
+function resolveRange(from, to) {
+  const head = getHeadOperation();
+  if (!head) {
+    throw new Error('No operations to export');
+  }
+  const lineage = getPathToOperation(head.id);
+
+  const locate = (ref, side) => {
+    const operation = getOperationById(ref);
+    const checkpoint = operation && isCheckpoint(operation) ? operation : (!operation && getCheckpoint(ref));
+    if (!operation && !checkpoint) {
+      throw new Error(`Operation or checkpoint not found: ${ref}`);
+    }
+
+    const id = checkpoint ? checkpoint.parent : operation.id;
+    const index = id === null ? -1 : lineage.findIndex(op => op.id === id);
+    if (id !== null && index === -1) {
+      throw new Error(`${ref} is not part of the current state (it is undone or on another branch)`);
+    }
+    return checkpoint && side === 'from' ? index + 1 : index;
+  };
+
+  const start = from ? locate(from, 'from') : 0;
+  const end = to ? locate(to, 'to') : lineage.length - 1;
+  if (start > end) {
+    throw new Error(`Nothing to export between ${from || 'the start'} and ${to || 'the head'}`);
+  }
+  return { lineage, start, end };
+}
+
+// Read a body, saying which operation it belongs to if it was never stored
+function readBody(operation, field) {
+  try {
+    return operation[field];
+  } catch (error) {
+    if (error.code !== 'GCUNDO_HASH_ONLY') throw error;
+    throw new Error(`Cannot export ${operation.id}: ${error.message}`);
+  }
+}
+
+/**
+ * The content of each operation's file before and after it. Full content
+ * records carry both; string replacements only carry the replaced text, so
+ * the file is rebuilt by walking back from what is on disk now, the same
+ * way undo would reverse each operation.
+ * @param {Array} lineage - Operations of the current branch, oldest first
+ * @param {number} start - First index that needs states
+ * @returns {Map<string, Object>} operation id -> { before, after }
+ */
+function rebuildStates(lineage, start) {
+  const states = new Map();
+  const current = new Map();
+  const contentOf = key => {
+    if (!current.has(key)) current.set(key, fs.existsSync(key) ? readContent(key) : null);
+    return current.get(key);
+  };
+
+  for (let index = lineage.length - 1; index >= start; index--) {
+    const operation = lineage[index];
+    if (!operation.file) continue;
+
+    const key = path.resolve(operation.file);
+    let before;
+    let after;
+
+    if (operation.type === OPERATION_TYPES.FILE_CREATE) {
+      before = null;
+      after = readBody(operation, 'after');
+    } else if (operation.type === OPERATION_TYPES.FILE_DELETE) {
+      before = readBody(operation, 'before');
+      after = null;
+    } else if (operation.operation === OPERATION_MODES.STRING_REPLACE) {
+      after = contentOf(key);
+      if (typeof after !== 'string' || !after.includes(operation.newString)) {
+        throw new Error(`Cannot rebuild ${operation.file} before ${operation.id}: the replacement text is no longer in the file`);
+      }
+      before = after.replace(operation.newString, operation.oldString);
+    } else {
+      before = readBody(operation, 'before');
+      after = readBody(operation, 'after');
+    }
+
+    current.set(key, before);
+    states.set(operation.id, { before, after });
+  }
+
+  return states;
+}
+
+function formatRange(start, count) {
+  if (count === 0) return `${start},0`;
+  return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+// Unified diff hunks between two texts
+function unifiedHunks(oldText, newText) {
+  const script = [];
+  for (const [operation, lines] of diffLines(oldText, newText)) {
+    const tag = operation === diff.EQUAL ? ' ' : operation === diff.DELETE ? '-' : '+';
+    lines.forEach(line => script.push({ tag, line }));
+  }
+
+  // Changes closer together than twice the context share a hunk
+  const changed = script.map((entry, index) => (entry.tag === ' ' ? -1 : index)).filter(index => index >= 0);
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end - 1 <= 2 * CONTEXT_LINES) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  // Lines of each side before each script position
+  const oldBefore = [0];
+  const newBefore = [0];
+  script.forEach((entry, index) => {
+    oldBefore[index + 1] = oldBefore[index] + (entry.tag === '+' ? 0 : 1);
+    newBefore[index + 1] = newBefore[index] + (entry.tag === '-' ? 0 : 1);
+  });
+
+  return groups.map(group => {
+    const from = Math.max(0, group.start - CONTEXT_LINES);
+    const to = Math.min(script.length, group.end + 1 + CONTEXT_LINES);
+    const oldCount = oldBefore[to] - oldBefore[from];
+    const newCount = newBefore[to] - newBefore[from];
+
+    const lines = [`@@ -${formatRange(oldBefore[from], oldCount)} +${formatRange(newBefore[from], newCount)} @@`];
+    for (const { tag, line } of script.slice(from, to)) {
+      lines.push(tag + line.replace(/\n$/, ''));
+      if (!line.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+    return lines.join('\n') + '\n';
+  });
+}
+
+// One line of git's base85: a length character, then 5 characters per 4 bytes
+function base85Line(chunk) {
+  const lengthChar = chunk.length <= 26
+    ? String.fromCharCode(64 + chunk.length)
+    : String.fromCharCode(96 + chunk.length - 26);
+
+  let line = lengthChar;
+  for (let offset = 0; offset < chunk.length; offset += 4) {
+    let value = 0;
+    for (let byte = 0; byte < 4; byte++) {
+      value = value * 256 + (chunk[offset + byte] || 0);
+    }
+    let group = '';
+    for (let digit = 0; digit < 5; digit++) {
+      group = BASE85[value % 85] + group;
+      value = Math.floor(value / 85);
+    }
+    line += group;
+  }
+  return line;
+}
+
+function binaryLiteral(content) {
+  const data = content === null ? Buffer.alloc(0) : toBuffer(content);
+  const deflated = zlib.deflateSync(data);
+  const lines = [`literal ${data.length}`];
+  for (let offset = 0; offset < deflated.length; offset += 52) {
+    lines.push(base85Line(deflated.subarray(offset, offset + 52)));
+  }
+  return lines.join('\n') + '\n\n';
+}
+
+/**
+ * The git diff of one file
+ * @param {string} file - Path in the patch
+ * @param {string|Buffer|null} before - Content before (null: did not exist)
+ * @param {string|Buffer|null} after - Content after (null: deleted)
+ * @returns {string} The diff, empty if nothing changed
+ */
+function fileDiff(file, before, after) {
+  if (before === after || (before !== null && after !== null && sameContent(before, after))) return '';
+
+  const binary = isBinaryContent(before) || isBinaryContent(after);
+  // git apply needs the full blob ids to check a binary patch
+  const shorten = id => (binary ? id : id.substring(0, 7));
+  const lines = [`diff --git a/${file} b/${file}`];
+
+  if (before === null) {
+    lines.push('new file mode 100644', `index ${shorten(NULL_SHA)}..${shorten(gitBlobId(after))}`);
+  } else if (after === null) {
+    lines.push('deleted file mode 100644', `index ${shorten(gitBlobId(before))}..${shorten(NULL_SHA)}`);
+  } else {
+    lines.push(`index ${shorten(gitBlobId(before))}..${shorten(gitBlobId(after))} 100644`);
+  }
+  let text = lines.join('\n') + '\n';
+
+  if (binary) {
+    return text + 'GIT binary patch\n' + binaryLiteral(after) + binaryLiteral(before);
+  }
+
+  const hunks = unifiedHunks(before === null ? '' : before, after === null ? '' : after);
+  if (hunks.length > 0) {
+    text += `--- ${before === null ? '/dev/null' : `a/${file}`}\n+++ ${after === null ? '/dev/null' : `b/${file}`}\n`;
+  }
+  return text + hunks.join('');
+}
+
+// Subjects are one line
+function oneLine(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function metadataLines(operation) {
+  const lines = [`gcundo-operation: ${operation.id}`];
+  if (operation.branch) lines.push(`gcundo-branch: ${operation.branch}`);
+  for (const [key, value] of Object.entries(operation.metadata || {})) {
+    lines.push(`${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  }
+  return lines;
+}
+
+// What a patch covering these operations is called, and says about them
+function describeGroup(group) {
+  if (group.operations.length === 1 && !group.checkpoint) {
+    const [operation] = group.operations;
+    return {
+      subject: oneLine(`${operation.file ? `${patchPath(operation.file)}: ` : ''}${generateOperationSummary(operation)}`),
+      body: metadataLines(operation)
+    };
+  }
+
+  const summaries = group.operations.map(operation => oneLine(`- ${operation.file ? `${patchPath(operation.file)}: ` : ''}${generateOperationSummary(operation)} (${operation.id})`));
+  if (!group.checkpoint) {
+    return { subject: `${group.operations.length} operations since the last checkpoint`, body: summaries };
+  }
+  return {
+    subject: oneLine(generateOperationSummary(group.checkpoint)),
+    body: [
+      ...(group.checkpoint.description ? [group.checkpoint.description, ''] : []),
+      ...summaries,
+      '',
+      `gcundo-checkpoint: ${group.checkpoint.id}`
+    ]
+  };
+}
+
+// The diff of a group: each file from before its first operation in the
+// group to after its last one
+function groupDiff(group, states) {
+  const files = new Map();
+  for (const operation of group.operations) {
+    if (!operation.file) continue;
+    const file = patchPath(operation.file);
+    const state = states.get(operation.id);
+    if (!files.has(file)) files.set(file, { before: state.before, after: state.after });
+    files.get(file).after = state.after;
+  }
+  return [...files.entries()].map(([file, { before, after }]) => fileDiff(file, before, after)).join('');
+}
+
+// File name in the style of git format-patch
+function patchFileName(number, subject) {
+  const slug = subject.replace(/[^A-Za-z0-9._]+/g, '-').replace(/^[-.]+|[-.]+$/g, '').substring(0, 52);
+  return `${String(number).padStart(4, '0')}-${slug || 'patch'}.patch`;
+}
+
+/**
+ * Export a range of the current branch as a patch series
+ * @param {Object} options - { from, to: operation ids or checkpoints,
+ *   per: 'op' (default) or 'checkpoint', output: directory for .patch files }
+ * @returns {Array<Object>} The patches: { name, subject, operations, text }
+ */
+function exportPatches(options = {}) {
+  const per = options.per || 'op';
+  if (!['op', 'checkpoint'].includes(per)) {
+    throw new Error(`Unknown --per value '${per}' (expected op or checkpoint)`);
+  }
+
+  const { lineage, start, end } = resolveRange(options.from, options.to);
+  const range = lineage.slice(start, end + 1);
+  const states = rebuildStates(lineage, start);
+
+  // Cut the range into patches: every operation, or every stretch that
+  // ends in a checkpoint
+  const markers = new Map();
+  getCheckpoints().forEach(checkpoint => markers.set(checkpoint.parent, checkpoint));
+  const groups = [];
+  let pending = [];
+  for (const operation of range) {
+    pending.push(operation);
+    if (per === 'op' || markers.has(operation.id)) {
+      groups.push({ operations: pending, checkpoint: per === 'checkpoint' ? markers.get(operation.id) : null });
+      pending = [];
+    }
+  }
+  if (pending.length > 0) groups.push({ operations: pending, checkpoint: null });
+
+  const masked = range.filter(operation => Object.values(operation.redacted || {}).some(entry => entry.policy === 'mask'));
+  if (masked.length > 0) {
+    console.warn(chalk.yellow(`⚠ ${masked.length} operation(s) have secrets masked; their patches carry the masked text and may not apply`));
+  }
+
+  const withDiffs = groups
+    .map(group => ({ ...group, diff: groupDiff(group, states) }))
+    .filter(group => group.diff);
+  const skipped = groups.length - withDiffs.length;
+  const date = new Date().toUTCString();
+  const author = getActor();
+
+  const patches = withDiffs.map((group, index) => {
+    const { subject, body } = describeGroup(group);
+    const last = group.operations[group.operations.length - 1];
+    const numbering = withDiffs.length > 1 ? `[PATCH ${index + 1}/${withDiffs.length}]` : '[PATCH]';
+    const id = crypto.createHash('sha1').update(group.operations.map(operation => operation.id).join('\n')).digest('hex');
+
+    const text = [
+      `From ${id} Mon Sep 17 00:00:00 2001`,
+      `From: ${author} <${author}@localhost>`,
+      `Date: ${last.timestamp ? new Date(last.timestamp).toUTCString() : date}`,
+      `Subject: ${numbering} ${subject}`,
+      '',
+      ...body,
+      '---',
+      group.diff + '-- ',
+      'gcundo',
+      '',
+      ''
+    ].join('\n');
+
+    return { name: patchFileName(index + 1, subject), subject, operations: group.operations, text };
+  });
+
+  if (skipped > 0) {
+    console.warn(chalk.gray(`Skipped ${skipped} ${per === 'op' ? 'operation(s)' : 'group(s)'} that change no file (commands, or edits that were reverted)`));
+  }
+  if (patches.length === 0) {
+    console.warn(chalk.yellow('Nothing to export: no file changes in that range'));
+    return patches;
+  }
+
+  if (options.output) {
+    fs.ensureDirSync(options.output);
+    patches.forEach(patch => {
+      fs.writeFileSync(path.join(options.output, patch.name), patch.text);
+      console.log(path.join(options.output, patch.name));
+    });
+  } else {
+    process.stdout.write(patches.map(patch => patch.text).join(''));
+  }
+
+  return patches;
+}
+
+module.exports = {
+  exportPatches,
+  fileDiff,
+  gitBlobId
+};
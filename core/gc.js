@@ -0,0 +1,323 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadOperations, generateOperationSummary } = require('./sessions');
+const { withLogLock, OPERATION_TYPES, UNDO_STATES } = require('./logger');
+const { readLines } = require('./segments');
+const { listBlobs, BODY_FIELDS } = require('./blobs');
+const { backupDir, getConfig } = require('./project');
+const { compactLog } = require('./delete');
+const { pruneManifest } = require('./backups');
+const { listSnapshots, snapshotBlobHashes } = require('./snapshot');
+const { getTimestamp, compareTimestamps, parseTimeExpression } = require('./time');
+
+// Blobs younger than this are never collected: a process may have stored a
+// body and not yet appended the record that refers to it
+const BLOB_GRACE_MS = 60 * 60 * 1000;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// "500MB", "2GB" or a number of bytes
+function parseSize(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size: "${value}" (use e.g. 500MB or 2GB)`);
+  }
+  return Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
+
+/**
+ * The retention policy from the config, with command line overrides
+ * @param {Object} overrides - { maxAge, maxTotalSize, keepPerFile, pruneUndone }
+ * @returns {Object} { maxAge, maxTotalSize, keepPerFile, pruneUndone, backupMaxAge }
+ *   with ages as epoch cutoffs and sizes in bytes (null when unset)
+ */
+function getRetentionPolicy(overrides = {}) {
+  const settings = { ...getConfig().retention };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) settings[key] = value;
+  });
+
+  const now = Date.now();
+  const keepPerFile = Number(settings.keepPerFile || 0);
+  if (!Number.isInteger(keepPerFile) || keepPerFile < 0) {
+    throw new Error(`Invalid keepPerFile: ${settings.keepPerFile}`);
+  }
+
+  return {
+    maxAge: settings.maxAge ? parseTimeExpression(settings.maxAge, now) : null,
+    maxTotalSize: settings.maxTotalSize ? parseSize(settings.maxTotalSize) : null,
+    keepPerFile,
+    pruneUndone: Boolean(settings.pruneUndone),
+    backupMaxAge: settings.backupMaxAge ? parseTimeExpression(settings.backupMaxAge, now) : null
+  };
+}
+
+// The body hashes each operation's record and events refer to, and how many
+// bytes of log they take up. Seals and unreadable lines belong to nobody and
+// are always kept. A checkpoint's snapshot counts as its own, along with
+// every body the snapshot lists.
+function collectReferences(lines) {
+  const owners = new Map();
+  const lineBytes = new Map();
+  const snapshots = new Set();
+  let logBytes = 0;
+
+  for (const line of lines) {
+    const bytes = Buffer.byteLength(line) + 1;
+    logBytes += bytes;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    const owner = record.event ? record.operationId : record.id;
+    if (!owner) continue;
+    if (!owners.has(owner)) owners.set(owner, new Set());
+    lineBytes.set(owner, (lineBytes.get(owner) || 0) + bytes);
+
+    const bodies = record.event ? record.changes || {} : record;
+    for (const field of BODY_FIELDS) {
+      const hash = bodies[`${field}Hash`];
+      // Bodies logged by hash only were never stored
+      if (hash && !(bodies.redacted && bodies.redacted[field] && bodies.redacted[field].policy === 'hash-only')) {
+        owners.get(owner).add(hash);
+      }
+    }
+
+    if (record.snapshot) {
+      snapshots.add(record.snapshot.hash);
+      snapshotBlobHashes(record.snapshot.hash).forEach(hash => owners.get(owner).add(hash));
+    }
+  }
+
+  return { owners, lineBytes, logBytes, snapshots };
+}
+
+// Every backup, oldest first
+function listBackups() {
+  if (!fs.existsSync(backupDir)) return [];
+
+  return fs.readdirSync(backupDir)
+    .map(name => {
+      const backupPath = path.join(backupDir, name);
+      const stat = fs.statSync(backupPath);
+      return stat.isFile() ? { name, path: backupPath, size: stat.size, mtime: stat.mtimeMs } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.mtime - b.mtime);
+}
+
+// Operations gc must never remove: checkpoints with the operation each one
+// points at and everything logged after it (undo --to needs all of it), and
+// the newest keepPerFile active operations of each file. What is left to
+// remove is always the oldest part of each file's history, never a gap in
+// the middle of it.
+function findProtected(operations, policy) {
+  const kept = new Map();
+  const perFile = new Map();
+  const firstCheckpoint = operations.find(op => op.type === OPERATION_TYPES.CHECKPOINT);
+  const since = firstCheckpoint ? getTimestamp(firstCheckpoint) : Infinity;
+
+  for (const op of operations) {
+    if (op.type === OPERATION_TYPES.CHECKPOINT) {
+      kept.set(op.id, 'checkpoint');
+      if (op.parent && !kept.has(op.parent)) kept.set(op.parent, 'checkpoint');
+    } else if (getTimestamp(op) >= since) {
+      if (!kept.has(op.id)) kept.set(op.id, 'checkpoint');
+    } else if (op.file && op.undoState !== UNDO_STATES.UNDONE) {
+      if (!perFile.has(op.file)) perFile.set(op.file, []);
+      perFile.get(op.file).push(op);
+    }
+  }
+
+  if (policy.keepPerFile > 0) {
+    for (const fileOps of perFile.values()) {
+      fileOps.slice(-policy.keepPerFile).forEach(op => {
+        if (!kept.has(op.id)) kept.set(op.id, 'newest');
+      });
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Work out what gc would remove, without touching anything
+ * @param {Object} policy - From getRetentionPolicy
+ * @returns {Object} { removed, kept, blobs, backups, bytes }
+ */
+function planGc(policy) {
+  const operations = loadOperations().sort(compareTimestamps);
+  const { owners, lineBytes, logBytes, snapshots } = collectReferences(readLines());
+  const graceCutoff = Date.now() - BLOB_GRACE_MS;
+  const blobs = new Map(listBlobs().map(blob => [blob.hash, blob]));
+  const backups = listBackups();
+  const kept = findProtected(operations, policy);
+
+  // How many remaining operations still refer to each body
+  const refCounts = new Map();
+  for (const hashes of owners.values()) {
+    hashes.forEach(hash => refCounts.set(hash, (refCounts.get(hash) || 0) + 1));
+  }
+
+  const total = logBytes + [...blobs.values()].reduce((sum, blob) => sum + blob.size, 0) +
+    backups.reduce((sum, backup) => sum + backup.size, 0);
+  let reclaimed = 0;
+
+  const removed = new Map();
+  const remove = (op, reason) => {
+    removed.set(op.id, { operation: op, reason });
+    reclaimed += lineBytes.get(op.id) || 0;
+    for (const hash of owners.get(op.id) || []) {
+      refCounts.set(hash, refCounts.get(hash) - 1);
+      const blob = blobs.get(hash);
+      if (refCounts.get(hash) === 0 && blob && blob.mtime < graceCutoff) reclaimed += blob.size;
+    }
+  };
+
+  const candidates = operations.filter(op => !kept.has(op.id));
+  for (const op of candidates) {
+    if (policy.maxAge !== null && getTimestamp(op) < policy.maxAge) {
+      remove(op, 'age');
+    } else if (policy.pruneUndone && op.undoState === UNDO_STATES.UNDONE) {
+      remove(op, 'undone');
+    }
+  }
+
+  // Bodies nothing refers to any more (including ones orphaned earlier)
+  const isUnreachable = blob => !(refCounts.get(blob.hash) > 0) && blob.mtime < graceCutoff;
+  reclaimed += [...blobs.values()].filter(blob => !refCounts.has(blob.hash) && isUnreachable(blob))
+    .reduce((sum, blob) => sum + blob.size, 0);
+
+  const staleBackups = new Set(backups.filter(backup => policy.backupMaxAge !== null && backup.mtime < policy.backupMaxAge));
+  staleBackups.forEach(backup => { reclaimed += backup.size; });
+
+  // Over the size limit: older backups go first, then the oldest operations
+  if (policy.maxTotalSize !== null) {
+    for (const backup of backups) {
+      if (total - reclaimed <= policy.maxTotalSize) break;
+      if (staleBackups.has(backup)) continue;
+      staleBackups.add(backup);
+      reclaimed += backup.size;
+    }
+    for (const op of candidates) {
+      if (total - reclaimed <= policy.maxTotalSize) break;
+      if (!removed.has(op.id)) remove(op, 'size');
+    }
+  }
+
+  return {
+    removed: [...removed.values()],
+    kept,
+    blobs: [...blobs.values()].filter(isUnreachable),
+    backups: [...staleBackups],
+    snapshots: findOrphanSnapshots(snapshots),
+    bytes: { before: total, after: total - reclaimed }
+  };
+}
+
+// Delete every blob the log no longer refers to (past the grace period)
+function sweepBlobs() {
+  const { owners } = collectReferences(readLines());
+  const referenced = new Set([...owners.values()].flatMap(hashes => [...hashes]));
+  const graceCutoff = Date.now() - BLOB_GRACE_MS;
+
+  const swept = listBlobs().filter(blob => !referenced.has(blob.hash) && blob.mtime < graceCutoff);
+  swept.forEach(blob => fs.removeSync(blob.path));
+  return swept;
+}
+
+// Snapshot manifests no checkpoint refers to any more (the checkpoint was
+// deleted), past the same grace period: a checkpoint is logged just after
+// its snapshot is written
+function findOrphanSnapshots(referenced) {
+  const graceCutoff = Date.now() - BLOB_GRACE_MS;
+  return listSnapshots().filter(snapshot => !referenced.has(snapshot.hash) && snapshot.mtime < graceCutoff);
+}
+
+function sweepSnapshots() {
+  const orphans = findOrphanSnapshots(collectReferences(readLines()).snapshots);
+  orphans.forEach(snapshot => fs.removeSync(snapshot.path));
+  return orphans;
+}
+
+function printGcReport(plan, policy, dryRun) {
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  const byReason = reason => plan.removed.filter(entry => entry.reason === reason).length;
+  const keptFor = reason => [...plan.kept.values()].filter(value => value === reason).length;
+
+  console.log(chalk.bold(`Garbage collection${dryRun ? ' (dry run)' : ''}:`));
+  console.log(`  ${verb} ${plan.removed.length} operation(s): ${byReason('age')} past the age limit, ${byReason('undone')} undone, ${byReason('size')} over the size limit`);
+  console.log(chalk.gray(`  Kept ${keptFor('checkpoint')} for checkpoints (the history undo --to needs) and ${keptFor('newest')} as the newest ${policy.keepPerFile} of their file`));
+  console.log(`  ${verb} ${plan.blobs.length} unreachable bodies (${formatBytes(plan.blobs.reduce((sum, blob) => sum + blob.size, 0))})`);
+  console.log(`  ${verb} ${plan.backups.length} backups (${formatBytes(plan.backups.reduce((sum, backup) => sum + backup.size, 0))})`);
+  if (plan.snapshots.length > 0) {
+    console.log(`  ${verb} ${plan.snapshots.length} snapshot(s) of deleted checkpoints`);
+  }
+
+  if (dryRun) {
+    plan.removed.slice(0, 20).forEach(({ operation, reason }) => {
+      console.log(chalk.gray(`    • ${generateOperationSummary(operation)} (${operation.id}, ${reason})`));
+    });
+    if (plan.removed.length > 20) {
+      console.log(chalk.gray(`    … and ${plan.removed.length - 20} more`));
+    }
+  }
+
+  const reclaimed = plan.bytes.before - plan.bytes.after;
+  console.log(chalk.green(`  ${dryRun ? 'Would reclaim' : '✓ Reclaimed'} ${formatBytes(reclaimed)} (${formatBytes(plan.bytes.before)} → ${formatBytes(plan.bytes.after)})`));
+  if (policy.maxTotalSize !== null && plan.bytes.after > policy.maxTotalSize) {
+    console.log(chalk.yellow(`  ⚠️  Still over the ${formatBytes(policy.maxTotalSize)} limit: everything left is protected`));
+  }
+}
+
+/**
+ * Apply the retention policy: drop operations it no longer keeps (in one
+ * rewrite of the log), then the bodies and backups nothing needs. Runs under
+ * the log lock from plan to sweep.
+ * @param {Object} options - { dryRun, ...policy overrides }
+ * @returns {Promise<Object>} The plan that was (or would be) carried out
+ */
+async function runGc(options = {}) {
+  const { dryRun, ...overrides } = options;
+  const policy = getRetentionPolicy(overrides);
+
+  return withLogLock(async () => {
+    const plan = planGc(policy);
+
+    if (!dryRun) {
+      if (plan.removed.length > 0) {
+        await compactLog({ remove: plan.removed.map(entry => entry.operation.id), reason: 'gc' });
+      }
+      plan.snapshots = sweepSnapshots();
+      plan.blobs = sweepBlobs();
+      plan.backups.forEach(backup => fs.removeSync(backup.path));
+      pruneManifest();
+    }
+
+    printGcReport(plan, policy, dryRun);
+    return plan;
+  });
+}
+
+module.exports = {
+  getRetentionPolicy,
+  planGc,
+  runGc,
+  parseSize,
+  formatBytes,
+  BLOB_GRACE_MS
+};
@@ -0,0 +1,189 @@
+const chalk = require('chalk');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findGitRoot } = require('./project');
+const { decodeContent } = require('./content');
+const { logOperation, withLogLock, getTreePosition, OPERATION_TYPES, OPERATION_MODES } = require('./logger');
+const { loadOperations } = require('./sessions');
+const { displayPath } = require('./backups');
+
+// Every changed file of every commit in a range becomes one operation,
+// logged with the commit's time and this in its metadata:
+//   { source: 'git', gitCommit, gitPath, author, subject }
+// gitCommit and gitPath together identify it, so importing an overlapping
+// range again only logs what is new. Commits are read along the first
+// parent, and each is compared with that parent, so a merge imports as the
+// change it brought in. The first operation hangs off the head and each
+// later one off the one before it, so the commit times (older than what is
+// already logged) never decide the tree.
+
+// Modes git uses for symlinks and submodules; neither is a file undo can
+// write back
+const SKIPPED_MODES = { '120000': 'symlink', '160000': 'submodule' };
+const MAX_GIT_OUTPUT = 512 * 1024 * 1024;
+
+function git(root, args, options = {}) {
+  try {
+    return execFileSync('git', args, {
+      cwd: root,
+      maxBuffer: MAX_GIT_OUTPUT,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      encoding: options.binary ? 'buffer' : 'utf-8'
+    });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Read the commits of a range, oldest first, with the files each changed
+ * @param {string} root - Top of the checkout
+ * @param {string} range - Anything git rev-list takes (A..B, a branch, a commit)
+ * @returns {Array<Object>} { commit, parent, time, author, subject, changes }
+ */
+function readCommits(root, range) {
+  const commits = git(root, ['rev-list', '--reverse', '--first-parent', range, '--']).split('\n').filter(Boolean);
+
+  return commits.map(commit => {
+    const [parents, time, name, email, subject] = git(root, ['show', '-s', '--format=%P%x00%cI%x00%an%x00%ae%x00%s', commit]).split('\0');
+    const parent = parents.trim().split(' ')[0] || null;
+
+    // -z raw output: ":<old mode> <new mode> <old blob> <new blob> <status>\0<path>\0"
+    const fields = git(root, ['diff-tree', '-r', '-z', '--raw', '--no-renames', '--no-commit-id', ...(parent ? [parent, commit] : ['--root', commit])])
+      .split('\0');
+    const changes = [];
+    for (let index = 0; index + 1 < fields.length; index += 2) {
+      const [oldMode, newMode, oldBlob, newBlob, status] = fields[index].replace(/^:/, '').split(' ');
+      changes.push({ oldMode, newMode, oldBlob, newBlob, status: status[0], path: fields[index + 1] });
+    }
+
+    return { commit, parent, time: new Date(time.trim()).toISOString(), author: `${name} <${email}>`, subject: subject.trim(), changes };
+  });
+}
+
+function readGitBlob(root, blob) {
+  return decodeContent(git(root, ['cat-file', 'blob', blob], { binary: true }));
+}
+
+// The operation a changed file becomes (without bodies, which are read
+// only for what is actually logged)
+function describeChange(change) {
+  const skipped = SKIPPED_MODES[change.newMode] || SKIPPED_MODES[change.oldMode];
+  if (skipped) return { skip: skipped };
+
+  switch (change.status) {
+    case 'A':
+      return { type: OPERATION_TYPES.FILE_CREATE };
+    case 'D':
+      return { type: OPERATION_TYPES.FILE_DELETE };
+    case 'M':
+    case 'T':
+      return { type: OPERATION_TYPES.FILE_EDIT };
+    default:
+      return { skip: `status ${change.status}` };
+  }
+}
+
+/**
+ * Import the commits of a range into the log
+ * @param {string} range - Revision range, e.g. main~5..main
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { commits, imported, existing, skipped }
+ */
+function importGitRange(range, options = {}) {
+  if (!range) {
+    throw new Error('A revision range is required, e.g. gcundo import git main~5..main');
+  }
+  if (range.startsWith('-')) {
+    throw new Error(`Invalid revision range: ${range}`);
+  }
+
+  const root = findGitRoot();
+  if (!root) {
+    throw new Error('Not inside a git checkout');
+  }
+
+  const commits = readCommits(root, range);
+
+  // Under the log lock from the check to the last append, so two imports
+  // of the same range cannot both log a commit
+  return withLogLock(() => {
+    const known = new Set(loadOperations()
+      .filter(op => op.metadata && op.metadata.gitCommit)
+      .map(op => `${op.metadata.gitCommit}:${op.metadata.gitPath}`));
+
+    const result = { commits: commits.length, imported: [], existing: 0, skipped: [] };
+    let position = getTreePosition();
+
+    for (const commit of commits) {
+      for (const change of commit.changes) {
+        if (known.has(`${commit.commit}:${change.path}`)) {
+          result.existing++;
+          continue;
+        }
+
+        const { type, skip } = describeChange(change);
+        if (skip) {
+          result.skipped.push({ commit: commit.commit, path: change.path, reason: skip });
+          continue;
+        }
+
+        const file = displayPath(path.join(root, change.path));
+        if (options.dryRun) {
+          result.imported.push({ commit: commit.commit, file, type });
+          continue;
+        }
+
+        const operation = {
+          type,
+          file,
+          timestamp: commit.time,
+          parent: position.parent,
+          branch: position.branch,
+          metadata: {
+            source: 'git',
+            gitCommit: commit.commit,
+            gitPath: change.path,
+            author: commit.author,
+            subject: commit.subject
+          }
+        };
+        if (type !== OPERATION_TYPES.FILE_CREATE) operation.before = readGitBlob(root, change.oldBlob);
+        if (type !== OPERATION_TYPES.FILE_DELETE) operation.after = readGitBlob(root, change.newBlob);
+        if (type === OPERATION_TYPES.FILE_EDIT) operation.operation = OPERATION_MODES.FULL_CONTENT;
+
+        const logged = logOperation(operation);
+        if (logged) {
+          result.imported.push({ commit: commit.commit, file, type, id: logged.id });
+          position = { parent: logged.id, branch: logged.branch };
+        }
+      }
+    }
+
+    return result;
+  });
+}
+
+function printImportReport(result, dryRun) {
+  const verb = dryRun ? 'Would import' : 'Imported';
+  const byCommit = new Set(result.imported.map(entry => entry.commit));
+
+  if (dryRun) {
+    result.imported.forEach(entry => {
+      console.log(`  ${chalk.gray(entry.commit.substring(0, 8))} ${entry.type} ${entry.file}`);
+    });
+  }
+  console.log(chalk.green(`${dryRun ? '' : '✓ '}${verb} ${result.imported.length} operation(s) from ${byCommit.size} of ${result.commits} commit(s)`));
+  if (result.existing > 0) {
+    console.log(chalk.gray(`  ${result.existing} file change(s) were already imported`));
+  }
+  result.skipped.forEach(entry => {
+    console.log(chalk.yellow(`  Skipped ${entry.path} in ${entry.commit.substring(0, 8)} (${entry.reason})`));
+  });
+}
+
+module.exports = {
+  importGitRange,
+  printImportReport
+};
@@ -2,57 +2,167 @@ const chalk = require('chalk');
 const path = require('path');
 const { 
   getActiveOperations, 
-  getUndoneOperations, 
   loadOperations,
   generateOperationSummary,
-  getOperationsByType 
+  getOperationsByType,
+  buildOperationTree,
+  getBranchName,
+  getBranches,
+  getCheckpoints,
+  getPointPosition,
+  getOperationById,
+  isCheckpoint,
+  loadEvents,
+  loadLatestOperations,
+  isActive
 } = require('./sessions');
-const { OPERATION_TYPES, UNDO_STATES } = require('./logger');
+const { OPERATION_TYPES, UNDO_STATES, EVENT_TYPES } = require('./logger');
+const { getTimestamp, compareTimestamps, parseTimeExpression, isWithin, formatTime } = require('./time');
 
-// Enhanced operation listing with sophisticated filtering
-async function listOperations(filter) {
-  let operations;
+// Enhanced operation listing with sophisticated filtering. options.limit
+// keeps only the newest operations (all of them when 0 or unset), which on
+// a long history only reads the newest log segments.
+async function listOperations(filter, options = {}) {
+  let matchesFilter;
   let title = 'Recent Operations';
   
   // Determine which operations to show based on filter
   switch (filter) {
     case 'all':
-      operations = loadOperations();
+      matchesFilter = op => !isCheckpoint(op);
       title = 'All Operations';
       break;
     case 'undone':
-      operations = getUndoneOperations();
+      matchesFilter = op => op.undoState === UNDO_STATES.UNDONE;
       title = 'Undone Operations';
       break;
     case 'active':
     default:
-      operations = getActiveOperations();
+      matchesFilter = isActive;
       title = 'Active Operations';
       break;
   }
 
+  // Narrow to a time window (--since / --until)
+  const since = options.since !== undefined ? parseTimeExpression(options.since) : undefined;
+  const until = options.until !== undefined ? parseTimeExpression(options.until) : undefined;
+  if (since !== undefined || until !== undefined) {
+    title += since !== undefined ? ` since ${formatTime(since)}` : '';
+    title += until !== undefined ? ` until ${formatTime(until)}` : '';
+  }
+
+  const limit = options.limit || 0;
+  const { matches, operations: history } = loadLatestOperations(limit, op => matchesFilter(op) && isWithin(op, since, until));
+  const operations = matches.reverse();
+  const limited = limit > 0 && operations.length === limit;
+
   if (operations.length === 0) {
     console.log(chalk.yellow(`No ${filter || 'active'} operations found.`));
     return;
   }
 
-  // Sort by timestamp (newest first)
-  operations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
   console.log(chalk.bold(`\n${title}:\n`));
 
-  // Display operations in a formatted table
-  operations.forEach((op, index) => {
-    displayOperation(op, index + 1);
-  });
+  if (filter === 'undone') {
+    // Undone operations don't form a connected tree - show them newest first
+    operations.sort((a, b) => compareTimestamps(b, a));
+    operations.forEach((op, index) => {
+      displayOperation(op, index + 1);
+    });
+  } else {
+    // Display operations as the undo tree they form, with the checkpoints
+    // recorded on them
+    const included = new Set(operations.map(op => op.id));
+    const oldest = getTimestamp(operations[0]);
+    const checkpoints = history
+      .filter(isCheckpoint)
+      .sort(compareTimestamps)
+      .filter(checkpoint => filter === 'all' || !checkpoint.parent || included.has(checkpoint.parent))
+      .filter(checkpoint => !limited || included.has(checkpoint.parent) || getTimestamp(checkpoint) >= oldest)
+      .filter(checkpoint => isWithin(checkpoint, since, until));
+    displayTree(operations, checkpoints, history);
+  }
 
   // Show summary statistics
   displaySummary(operations);
+
+  if (limited) {
+    console.log(chalk.dim(`\nShowing the newest ${limit}; use --limit <n> to see more, or --limit 0 for all.`));
+  }
+}
+
+// Display operations as an undo tree, oldest first. Each branch continues
+// in its own column; side branches are drawn before the line they fork from
+// carries on.
+function displayTree(operations, checkpoints = [], history = loadOperations()) {
+  const { nodes } = buildOperationTree(history);
+  const included = new Set(operations.map(op => op.id));
+  const byTime = (a, b) => compareTimestamps(a.operation, b.operation);
+  const indexes = new Map(
+    [...operations]
+      .sort((a, b) => compareTimestamps(a, b))
+      .map((op, index) => [op.id, index + 1])
+  );
+
+  // Children within the filtered set (skipping over filtered-out operations)
+  const childrenOf = node => node.children.flatMap(child =>
+    included.has(child.operation.id) ? [child] : childrenOf(child)
+  ).sort(byTime);
+
+  const roots = [...nodes.values()]
+    .filter(node => included.has(node.operation.id))
+    .filter(node => {
+      let parent = node.parentId && nodes.get(node.parentId);
+      while (parent && !included.has(parent.operation.id)) {
+        parent = parent.parentId && nodes.get(parent.parentId);
+      }
+      return !parent;
+    })
+    .sort(byTime);
+
+  // Checkpoints go right after the operation they were recorded on; ones
+  // recorded before any operation (or whose operation is gone) go first
+  const markers = new Map();
+  checkpoints.forEach(checkpoint => {
+    const at = included.has(checkpoint.parent) ? checkpoint.parent : null;
+    markers.set(at, [...(markers.get(at) || []), checkpoint]);
+  });
+  const displayMarkers = (at, prefix) => {
+    (markers.get(at) || []).forEach(checkpoint => displayCheckpoint(checkpoint, prefix));
+  };
+
+  const displayChain = (start, prefix) => {
+    let node = start;
+    while (node) {
+      displayOperation(node.operation, indexes.get(node.operation.id), prefix);
+      displayMarkers(node.operation.id, prefix);
+
+      const children = childrenOf(node);
+      const branch = getBranchName(node.operation);
+      const main = children.find(child => getBranchName(child.operation) === branch) || children[children.length - 1];
+
+      children.filter(child => child !== main).forEach(child => {
+        console.log(`${prefix}${chalk.magenta(`├─┐ ${getBranchName(child.operation)}`)}`);
+        displayChain(child, `${prefix}${chalk.magenta('│')} `);
+      });
+
+      node = main;
+    }
+  };
+
+  displayMarkers(null, '');
+
+  roots.forEach((root, i) => {
+    if (i > 0) {
+      console.log(chalk.magenta(`┌─ ${getBranchName(root.operation)}`));
+    }
+    displayChain(root, '');
+  });
 }
 
 // Display a single operation with rich formatting
-function displayOperation(operation, displayIndex) {
-  const timestamp = new Date(operation.timestamp).toLocaleString();
+function displayOperation(operation, displayIndex, prefix = '') {
+  const timestamp = formatTime(getTimestamp(operation));
   const summary = generateOperationSummary(operation);
   
   // Color coding based on operation type and state
@@ -87,29 +197,37 @@ function displayOperation(operation, displayIndex) {
   const statusStr = statusColor(statusMarker);
   const idStr = chalk.gray(`(${operation.id})`);
   
-  console.log(`${indexStr}${statusStr} ${timeStr} ${typeStr} ${summary} ${idStr}`);
+  console.log(`${prefix}${indexStr}${statusStr} ${timeStr} ${typeStr} ${summary} ${idStr}`);
   
   // Show additional details for complex operations
   if (operation.operation === 'string_replace') {
     const oldStr = truncateString(operation.oldString, 40);
     const newStr = truncateString(operation.newString, 40);
-    console.log(chalk.dim(`      ↳ Replace: "${oldStr}" → "${newStr}"`));
+    console.log(prefix + chalk.dim(`      ↳ Replace: "${oldStr}" → "${newStr}"`));
     if (operation.lineNumber) {
-      console.log(chalk.dim(`        Line: ${operation.lineNumber}`));
+      console.log(prefix + chalk.dim(`        Line: ${operation.lineNumber}`));
     }
   }
   
   if (operation.type === OPERATION_TYPES.COMMAND_EXECUTION) {
-    console.log(chalk.dim(`      ↳ Command: ${operation.command}`));
+    console.log(prefix + chalk.dim(`      ↳ Command: ${operation.command}`));
     if (operation.workingDirectory && operation.workingDirectory !== process.cwd()) {
-      console.log(chalk.dim(`        Working Dir: ${operation.workingDirectory}`));
+      console.log(prefix + chalk.dim(`        Working Dir: ${operation.workingDirectory}`));
     }
     if (operation.exitCode !== undefined && operation.exitCode !== 0) {
-      console.log(chalk.red(`        Exit Code: ${operation.exitCode}`));
+      console.log(prefix + chalk.red(`        Exit Code: ${operation.exitCode}`));
     }
   }
 }
 
+// Display a checkpoint marker inline in the tree
+function displayCheckpoint(checkpoint, prefix = '') {
+  const timestamp = formatTime(getTimestamp(checkpoint));
+  const description = checkpoint.description ? ` ${chalk.dim(checkpoint.description)}` : '';
+
+  console.log(`${prefix}    ${chalk.blue('⚑')} ${chalk.dim(`[${timestamp}]`)} ${chalk.blue.bold(checkpoint.name)}${description} ${chalk.gray(`(${checkpoint.id})`)}`);
+}
+
 // Display summary statistics
 function displaySummary(operations) {
   const typeStats = {};
@@ -155,7 +273,7 @@ async function listOperationsByFile(filePath) {
   }
   
   // Sort chronologically 
-  fileOps.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  fileOps.sort((a, b) => compareTimestamps(a, b));
   
   console.log(chalk.bold(`\nOperations for: ${filePath}\n`));
   
@@ -182,7 +300,7 @@ async function listOperationsByType(operationType) {
   }
   
   // Sort by timestamp (newest first)
-  operations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  operations.sort((a, b) => compareTimestamps(b, a));
   
   console.log(chalk.bold(`\nOperations of type: ${operationType}\n`));
   
@@ -203,7 +321,7 @@ function truncateString(str, maxLength = 50) {
 // List operations with pagination
 async function listOperationsPaged(pageSize = 10, page = 1) {
   const operations = getActiveOperations()
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    .sort((a, b) => compareTimestamps(b, a));
   
   const totalPages = Math.ceil(operations.length / pageSize);
   const startIndex = (page - 1) * pageSize;
@@ -229,8 +347,124 @@ async function listOperationsPaged(pageSize = 10, page = 1) {
   }
 }
 
+// List the branches of the undo tree
+async function listBranches() {
+  const branches = getBranches();
+
+  if (branches.length === 0) {
+    console.log(chalk.yellow('No operations recorded yet.'));
+    return;
+  }
+
+  console.log(chalk.bold('\nBranches:\n'));
+
+  branches
+    .sort((a, b) => compareTimestamps(b.tip, a.tip))
+    .forEach(branch => {
+      const marker = branch.current ? chalk.green('*') : ' ';
+      const name = branch.current ? chalk.green(branch.name) : chalk.cyan(branch.name);
+      const tipTime = formatTime(getTimestamp(branch.tip));
+      const fork = branch.forkPoint ? chalk.dim(` forked from ${branch.forkPoint}`) : chalk.dim(' root');
+      console.log(`${marker} ${name.padEnd(20)} ${branch.active}/${branch.total} active  ${chalk.dim(`[${tipTime}]`)} ${generateOperationSummary(branch.tip)}${fork}`);
+    });
+
+  console.log(chalk.dim(`\nUse 'gcundo switch <branch>' to move to another branch.`));
+}
+
+// List checkpoints and where each sits relative to the current state
+async function listCheckpoints() {
+  const checkpoints = getCheckpoints();
+
+  if (checkpoints.length === 0) {
+    console.log(chalk.yellow('No checkpoints recorded yet.'));
+    console.log(chalk.dim(`Use 'gcundo checkpoint <name>' to record one.`));
+    return;
+  }
+
+  console.log(chalk.bold('\nCheckpoints:\n'));
+
+  const positions = {
+    current: chalk.green('current'),
+    behind: chalk.cyan('undo --to'),
+    ahead: chalk.yellow('redo --to'),
+    elsewhere: chalk.gray('other branch')
+  };
+
+  checkpoints.reverse().forEach(checkpoint => {
+    const timestamp = formatTime(getTimestamp(checkpoint));
+    const at = checkpoint.parent ? getOperationById(checkpoint.parent) : null;
+    const atStr = at
+      ? `after ${generateOperationSummary(at)} ${chalk.gray(`(${at.id})`)}`
+      : checkpoint.parent ? chalk.red(`after missing ${checkpoint.parent}`) : 'before any operation';
+
+    console.log(`${chalk.blue('⚑')} ${chalk.blue.bold(checkpoint.name.padEnd(20))} ${chalk.dim(`[${timestamp}]`)} ${positions[getPointPosition(checkpoint)]}`);
+    console.log(chalk.dim(`    ${atStr}`));
+    if (checkpoint.description) {
+      console.log(chalk.dim(`    ${checkpoint.description}`));
+    }
+    if (checkpoint.snapshot) {
+      console.log(chalk.dim(`    snapshot of ${checkpoint.snapshot.files} files (gcundo snapshot restore ${checkpoint.name})`));
+    }
+  });
+
+  console.log(chalk.dim(`\nUse 'gcundo undo --to <name>' or 'gcundo redo --to <name>' to return to a checkpoint.`));
+}
+
+// Show who undid, redid or rewrote what and when, newest first. Events
+// written by one command share a transaction and are shown together.
+async function listAuditTrail(operationId, limit = 50) {
+  if (operationId && !getOperationById(operationId)) {
+    throw new Error(`Operation not found: ${operationId}`);
+  }
+
+  const events = loadEvents(operationId).reverse().slice(0, limit);
+
+  if (events.length === 0) {
+    console.log(chalk.yellow(operationId ? `No events recorded for ${operationId}.` : 'No undo/redo events recorded yet.'));
+    return;
+  }
+
+  console.log(chalk.bold(`\nAudit trail${operationId ? ` for ${operationId}` : ''}:\n`));
+
+  const labels = {
+    undo: chalk.red('undo  '),
+    redo: chalk.green('redo  '),
+    update: chalk.yellow('update'),
+    seal: chalk.magenta('seal  ')
+  };
+
+  let lastTransaction;
+  events.forEach(event => {
+    if (event.event === EVENT_TYPES.SEAL) {
+      let removed = '';
+      if (event.removed) {
+        removed = event.removed.length > 5 ? `, removed ${event.removed.length} operations` : `, removed ${event.removed.join(', ')}`;
+      }
+      console.log(`${chalk.dim(`[${formatTime(getTimestamp(event))}]`)} ${chalk.bold(event.actor || 'unknown')}`);
+      console.log(`    ${labels.seal} Log rewritten by ${event.reason}, chain re-sealed${removed}`);
+      lastTransaction = null;
+      return;
+    }
+
+    const operation = getOperationById(event.operationId);
+    const summary = operation ? generateOperationSummary(operation) : chalk.gray('(deleted operation)');
+    const who = event.actor ? `${event.actor}${event.host ? `@${event.host}` : ''}` : 'unknown';
+
+    if (!event.transaction || event.transaction !== lastTransaction) {
+      const command = event.command ? ` ${chalk.cyan(event.command)}` : '';
+      console.log(`${chalk.dim(`[${formatTime(getTimestamp(event))}]`)} ${chalk.bold(who)}${command}`);
+    }
+    lastTransaction = event.transaction;
+
+    console.log(`    ${labels[event.event] || event.event} ${summary} ${chalk.gray(`(${event.operationId})`)}`);
+  });
+}
+
 module.exports = {
   listOperations,
+  listBranches,
+  listCheckpoints,
+  listAuditTrail,
   listOperationsByFile,
   listOperationsByType,
   listOperationsPaged,
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// How long to wait for another process to finish with the log
+const LOCK_TIMEOUT_MS = 10000;
+// A lock whose owner cannot be checked (another host, or a lock file that
+// cannot be read) is left over once it has gone this long untouched. Its
+// holder touches it a few times as often while it works.
+const LOCK_STALE_MS = 30000;
+const RETRY_MS = 25;
+
+// The locks held by the current call chain, so nested calls (compacting
+// from inside a cleanup, say) do not wait on themselves. Per chain rather
+// than per process: two async callers in one process must not both get in.
+const chain = new AsyncLocalStorage();
+// Locks this process holds: lock path -> { token, heartbeat }
+const held = new Map();
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readLock(lockPath) {
+  try {
+    return fs.readFileSync(lockPath, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseOwner(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// A lock is stale when its owner on this machine is gone. An owner that
+// cannot be checked only counts as gone once the lock stops being touched.
+function isStale(lockPath, owner) {
+  if (owner && owner.host === os.hostname()) {
+    return !isProcessAlive(owner.pid);
+  }
+
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Take a stale lock out of the way. It is renamed aside first, which only
+// one waiter can do, and removed only if it is still the lock judged stale;
+// a lock another waiter took in the meantime is put back.
+function breakLock(lockPath, staleText) {
+  const aside = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (readLock(aside) !== staleText) {
+    try {
+      fs.linkSync(aside, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  fs.removeSync(aside);
+}
+
+function acquire(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const token = crypto.randomBytes(8).toString('hex');
+  fs.ensureDirSync(path.dirname(lockPath));
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), timestamp: new Date().toISOString(), token }));
+      fs.closeSync(fd);
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const text = readLock(lockPath);
+    const owner = text === null ? null : parseOwner(text);
+    const mine = owner && held.has(lockPath) && held.get(lockPath).token === owner.token;
+    if (mine) {
+      // Waiting would block the very work that has to finish first
+      throw new Error(`${lockPath} is held by unfinished work in this process; wait for it before starting more`);
+    }
+
+    if (text !== null && isStale(lockPath, owner)) {
+      breakLock(lockPath, text);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockPath}${owner ? ` (held by pid ${owner.pid} on ${owner.host})` : ''}. Remove it if that process is gone.`);
+    }
+
+    sleepSync(RETRY_MS);
+  }
+}
+
+function release(lockPath) {
+  const lock = held.get(lockPath);
+  held.delete(lockPath);
+  clearInterval(lock.heartbeat);
+  // Only our own lock: one broken as stale may belong to someone else now
+  const owner = parseOwner(readLock(lockPath));
+  if (owner && owner.token === lock.token) {
+    fs.removeSync(lockPath);
+  }
+}
+
+/**
+ * Run fn while holding an advisory lock on a file, shared by every gcundo
+ * process (the monitor, the CLI, scripts). The lock is `<file>.lock`,
+ * created exclusively; it is released when fn returns, throws, or - for
+ * async functions - settles. Calls made from inside fn, including after an
+ * await, already hold it.
+ * @param {string} filePath - File being protected
+ * @param {Function} fn - Work to do under the lock
+ * @returns {*} Whatever fn returns
+ */
+function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const holding = chain.getStore() || new Set();
+
+  if (holding.has(lockPath)) {
+    return fn();
+  }
+
+  const token = acquire(lockPath);
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    try {
+      fs.utimesSync(lockPath, now, now);
+    } catch (error) {
+      // Released or broken meanwhile; release() sorts it out
+    }
+  }, LOCK_STALE_MS / 3);
+  heartbeat.unref();
+  held.set(lockPath, { token, heartbeat });
+
+  let result;
+  try {
+    result = chain.run(new Set([...holding, lockPath]), fn);
+  } catch (error) {
+    release(lockPath);
+    throw error;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      value => { release(lockPath); return value; },
+      error => { release(lockPath); throw error; }
+    );
+  }
+
+  release(lockPath);
+  return result;
+}
+
+// Replace a file's contents without ever leaving it half written: write a
+// temp file beside it, flush it, then rename it over the original
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.ensureDirSync(path.dirname(filePath));
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic
+};
@@ -1,16 +1,21 @@
-const fs = require('fs-extra');
-const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
-
-const logDir = path.resolve(__dirname, '..', 'logs');
-const logPath = path.join(logDir, 'log.jsonl');
+const { storeBodies, resolveBodies } = require('./blobs');
+const { withFileLock } = require('./lock');
+const { logPath, appendRecords, repairTail, getBranchNames, getChildIds } = require('./segments');
+const { getConfig, ensureHome } = require('./project');
+const { SCHEMA_VERSION, normalizeRecord } = require('./schema');
+const { isBinaryContent } = require('./content');
+const { digest, digestMatches } = require('./encryption');
+const { redactOperation } = require('./redaction');
 
 // Enhanced operation types matching ccundo sophistication
 const OPERATION_TYPES = {
   FILE_CREATE: 'file_create',
   FILE_EDIT: 'file_edit', 
   FILE_DELETE: 'file_delete',
-  COMMAND_EXECUTION: 'command_execution'
+  COMMAND_EXECUTION: 'command_execution',
+  CHECKPOINT: 'checkpoint'
 };
 
 const OPERATION_MODES = {
@@ -26,16 +31,102 @@ const UNDO_STATES = {
   UNDONE: 'undone'
 };
 
+// State changes are appended to the log as events rather than rewriting
+// the operation records; sessions.js folds them into the current state.
+// A seal ends every rewrite of the log (see chain.js) and belongs to no
+// operation.
+const EVENT_TYPES = {
+  UNDO: 'undo',
+  REDO: 'redo',
+  UPDATE: 'update',
+  SEAL: 'seal'
+};
+
 function generateOperationId() {
   return `op_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 }
 
-// Enhanced logging function with ccundo-style sophistication
+// Content hash used to verify the on-disk state before undo/redo. Text and
+// Buffers hash the same when they hold the same bytes. Keyed when
+// encryption is on (see digest in encryption.js).
+function hashContent(content) {
+  if (typeof content !== 'string' && !isBinaryContent(content)) return undefined;
+  return digest(content);
+}
+
+// Whether content matches a hash from hashContent, including one logged
+// before an encryption key was set
+function matchesHash(content, hash) {
+  if (typeof content !== 'string' && !isBinaryContent(content)) return false;
+  return digestMatches(content, hash);
+}
+
+// Place a new operation in the undo tree: its parent is the current head,
+// and it starts a new branch when the head already has (undone) children.
+// The head and the branch names come from the index, and the children from
+// its parents bucket, so this reads no segments.
+function getTreePosition() {
+  // Required lazily - sessions depends on this module
+  const { buildTreeFromHead, getHeadOperation, getBranchName } = require('./sessions');
+  const head = getHeadOperation();
+  const branches = getBranchNames();
+  if (branches.length === 0) {
+    return { parent: null, branch: 'main' };
+  }
+
+  // Operations logged before the tree existed have no parent to index
+  const hasChildren = head && head.parent === undefined
+    ? buildTreeFromHead(head).nodes.get(head.id).children.length > 0
+    : Boolean(head) && getChildIds(head.id).length > 0;
+
+  if (head && !hasChildren) {
+    return { parent: head.id, branch: getBranchName(head) };
+  }
+
+  return { parent: head ? head.id : null, branch: `branch-${branches.length + 1}` };
+}
+
+// Every change to the log - appends and rewrites alike - happens under
+// this lock, so the monitor and CLI processes never interleave
+function withLogLock(fn) {
+  ensureHome();
+  return withFileLock(logPath, fn);
+}
+
+// Repair a record left half written at the end of the log by a process that
+// died mid-append (see repairTail)
+function recoverLog() {
+  return withLogLock(() => repairTail());
+}
+
+// Enhanced logging function with ccundo-style sophistication. The tree
+// position is read under the log lock, so two processes logging at once
+// cannot both claim the same head as parent. Returns null when the
+// redaction policy skips the operation.
 function logOperation(operation) {
+  return withLogLock(() => appendOperation(operation));
+}
+
+function appendOperation(operation) {
+  // Callers such as the monitor pass DiffEngine output straight through
+  operation = normalizeRecord(operation);
+
+  if (operation.type === OPERATION_TYPES.CHECKPOINT) {
+    return logCheckpointMarker(operation);
+  }
+
+  const position = operation.parent !== undefined
+    ? { parent: operation.parent, branch: operation.branch }
+    : getTreePosition();
+
   const baseOp = {
     id: operation.id || generateOperationId(),
+    schemaVersion: SCHEMA_VERSION,
     timestamp: operation.timestamp || new Date().toISOString(),
-    undoState: operation.undoState || UNDO_STATES.ACTIVE
+    undoState: operation.undoState || UNDO_STATES.ACTIVE,
+    parent: position.parent,
+    branch: position.branch,
+    ...(operation.metadata && { metadata: operation.metadata })
   };
 
   // Validate and enhance operation based on type
@@ -54,7 +145,9 @@ function logOperation(operation) {
           lineNumber: operation.lineNumber
         } : {
           before: operation.before,
-          after: operation.after
+          after: operation.after,
+          beforeHash: hashContent(operation.before),
+          afterHash: hashContent(operation.after)
         })
       };
       break;
@@ -65,7 +158,8 @@ function logOperation(operation) {
         type: OPERATION_TYPES.FILE_CREATE,
         file: operation.file,
         operation: OPERATION_MODES.FILE_CREATE,
-        after: operation.after || operation.content
+        after: operation.after !== undefined ? operation.after : operation.content,
+        afterHash: hashContent(operation.after !== undefined ? operation.after : operation.content)
       };
       break;
       
@@ -75,7 +169,8 @@ function logOperation(operation) {
         type: OPERATION_TYPES.FILE_DELETE,
         file: operation.file,
         operation: OPERATION_MODES.FILE_DELETE,
-        before: operation.before || operation.content
+        before: operation.before !== undefined ? operation.before : operation.content,
+        beforeHash: hashContent(operation.before !== undefined ? operation.before : operation.content)
       };
       break;
       
@@ -92,17 +187,52 @@ function logOperation(operation) {
       break;
       
     default:
-      // Backward compatibility with old format
+      // Types this version does not know are kept as they were given
       enrichedOp = {
         ...baseOp,
         ...operation
       };
   }
 
-  fs.ensureDirSync(logDir);
-  fs.appendFileSync(logPath, JSON.stringify(enrichedOp) + '\n');
+  // Binary bodies are stored byte for byte and read back as Buffers
+  if (isBinaryContent(enrichedOp.before) || isBinaryContent(enrichedOp.after)) {
+    enrichedOp.binary = true;
+  }
+
+  // Sensitive paths and secrets are dealt with before anything is written;
+  // the skip policy leaves nothing to log
+  const redactedOp = redactOperation(enrichedOp);
+  if (!redactedOp) return null;
+
+  // Bodies go to the blob store; the log only keeps their hashes
+  const record = storeBodies(redactedOp);
+
+  appendRecords([record]);
   
-  return enrichedOp;
+  return resolveBodies(record);
+}
+
+// Checkpoints are markers, not operations: they have no undo state and sit
+// beside the undo tree, pointing at the head they were recorded on
+function logCheckpointMarker(operation) {
+  const { getHeadOperation, getBranchName } = require('./sessions');
+  const head = operation.parent !== undefined ? null : getHeadOperation();
+
+  const checkpoint = {
+    id: operation.id || generateOperationId(),
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: operation.timestamp || new Date().toISOString(),
+    type: OPERATION_TYPES.CHECKPOINT,
+    name: operation.name,
+    description: operation.description,
+    parent: operation.parent !== undefined ? operation.parent : (head ? head.id : null),
+    branch: operation.branch || (head ? getBranchName(head) : 'main'),
+    ...(operation.snapshot && { snapshot: operation.snapshot })
+  };
+
+  appendRecords([checkpoint]);
+
+  return checkpoint;
 }
 
 // Helper functions for different operation types
@@ -145,6 +275,20 @@ function logFileDelete(filePath, content) {
   });
 }
 
+// options.snapshot is the summary captureSnapshot returned, if one was taken
+function logCheckpoint(name, description, options = {}) {
+  if (!name) {
+    throw new Error('Checkpoint name is required');
+  }
+
+  return logOperation({
+    type: OPERATION_TYPES.CHECKPOINT,
+    name,
+    description,
+    snapshot: options.snapshot
+  });
+}
+
 function logCommandExecution(command, options = {}) {
   return logOperation({
     type: OPERATION_TYPES.COMMAND_EXECUTION,
@@ -155,34 +299,50 @@ function logCommandExecution(command, options = {}) {
   });
 }
 
-// Update operation undo state
-function updateOperationUndoState(operationId, undoState) {
-  // Read existing log
-  if (!fs.existsSync(logPath)) return false;
-  
-  const lines = fs.readFileSync(logPath, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
-    
-  let updated = false;
-  const updatedLines = lines.map(line => {
-    try {
-      const op = JSON.parse(line);
-      if (op.id === operationId) {
-        op.undoState = undoState;
-        updated = true;
-      }
-      return JSON.stringify(op);
-    } catch (e) {
-      return line;
-    }
-  });
-  
-  if (updated) {
-    fs.writeFileSync(logPath, updatedLines.join('\n') + '\n');
+// Who is changing the log, for the audit trail
+function getActor() {
+  if (process.env.GCUNDO_ACTOR) return process.env.GCUNDO_ACTOR;
+  if (getConfig().actor) return getConfig().actor;
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || 'unknown';
   }
-  
-  return updated;
+}
+
+// Build an event against a logged operation
+function createEvent(event, operationId, fields = {}) {
+  return {
+    event,
+    operationId,
+    timestamp: new Date().toISOString(),
+    actor: getActor(),
+    host: os.hostname(),
+    pid: process.pid,
+    ...fields
+  };
+}
+
+// Append a batch of events in a single write, so a batch lands (or is
+// lost) as a whole and cost grows with the batch, not the log
+function appendEvents(events) {
+  if (events.length === 0) return events;
+
+  withLogLock(() => appendRecords(events));
+
+  return events;
+}
+
+// Record that an operation was undone or redone
+function updateOperationUndoState(operationId, undoState, fields = {}) {
+  const event = undoState === UNDO_STATES.UNDONE ? EVENT_TYPES.UNDO : EVENT_TYPES.REDO;
+  return appendEvents([createEvent(event, operationId, fields)])[0];
+}
+
+// Record a set of field changes to a logged operation (bodies go to the
+// blob store, the event keeps their hashes)
+function updateOperation(operationId, changes) {
+  return appendEvents([createEvent(EVENT_TYPES.UPDATE, operationId, { changes: storeBodies(changes) })])[0];
 }
 
 module.exports = {
@@ -191,9 +351,20 @@ module.exports = {
   logFileCreate, 
   logFileDelete,
   logCommandExecution,
+  logCheckpoint,
   updateOperationUndoState,
+  updateOperation,
+  createEvent,
+  appendEvents,
+  withLogLock,
+  getTreePosition,
+  recoverLog,
+  hashContent,
+  matchesHash,
+  getActor,
   logPath,
   OPERATION_TYPES,
   OPERATION_MODES,
-  UNDO_STATES
+  UNDO_STATES,
+  EVENT_TYPES
 };
@@ -0,0 +1,173 @@
+const diff = require('fast-diff');
+
+// Split text into lines, keeping line endings so joining is lossless
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Map a line index to a single UTF-16 code unit, skipping the surrogate range
+function lineCode(index) {
+  let code = index + 0x100;
+  if (code >= 0xD800) code += 0x800;
+  if (code > 0xFFFF) {
+    throw new Error('Too many distinct lines to merge');
+  }
+  return String.fromCharCode(code);
+}
+
+// Diff two texts line by line. Every distinct line is encoded as one
+// character so fast-diff (which is character based) does the heavy lifting.
+function diffLines(oldText, newText) {
+  const codes = new Map();
+  const lines = new Map();
+
+  const encode = text => splitLines(text).map(line => {
+    if (!codes.has(line)) {
+      const code = lineCode(codes.size);
+      codes.set(line, code);
+      lines.set(code, line);
+    }
+    return codes.get(line);
+  }).join('');
+
+  return diff(encode(oldText), encode(newText))
+    .map(([operation, chars]) => [operation, [...chars].map(char => lines.get(char))]);
+}
+
+// Turn a line diff into hunks against the old text: lines [start, end) of
+// the old text are replaced by `lines`
+function diffHunks(oldText, newText) {
+  const hunks = [];
+  let position = 0;
+  let current = null;
+
+  for (const [operation, lines] of diffLines(oldText, newText)) {
+    if (operation === diff.EQUAL) {
+      if (current) {
+        hunks.push(current);
+        current = null;
+      }
+      position += lines.length;
+      continue;
+    }
+
+    if (!current) {
+      current = { start: position, end: position, lines: [] };
+    }
+
+    if (operation === diff.DELETE) {
+      position += lines.length;
+      current.end = position;
+    } else {
+      current.lines.push(...lines);
+    }
+  }
+
+  if (current) {
+    hunks.push(current);
+  }
+
+  return hunks;
+}
+
+// Apply one side's hunks to base lines [start, end)
+function applyHunks(baseLines, hunks, start, end) {
+  const result = [];
+  let position = start;
+
+  for (const hunk of hunks) {
+    result.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+
+  result.push(...baseLines.slice(position, end));
+  return result;
+}
+
+// Make sure a block ends with a newline before a conflict marker follows it
+function terminate(lines) {
+  if (lines.length === 0) return lines;
+  const last = lines[lines.length - 1];
+  return last.endsWith('\n') ? lines : [...lines.slice(0, -1), `${last}\n`];
+}
+
+/**
+ * Three-way merge of two descendants of a common base.
+ * Changes made on only one side are applied; identical changes are applied
+ * once; overlapping (or touching) changes become conflict blocks.
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Current version (kept on the top of conflict blocks)
+ * @param {string} theirs - Incoming version
+ * @param {Object} options - Marker labels ({ oursLabel, theirsLabel })
+ * @returns {Object} { content, clean, conflicts: [{ line, ours, theirs }] }
+ */
+function mergeThreeWay(base, ours, theirs, options = {}) {
+  const oursLabel = options.oursLabel || 'ours';
+  const theirsLabel = options.theirsLabel || 'theirs';
+  const baseLines = splitLines(base);
+
+  const hunks = [
+    ...diffHunks(base, ours).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...diffHunks(base, theirs).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group hunks whose base ranges overlap or touch
+  const clusters = [];
+  for (const hunk of hunks) {
+    const last = clusters[clusters.length - 1];
+    if (last && hunk.start <= last.end) {
+      last.end = Math.max(last.end, hunk.end);
+      last.hunks.push(hunk);
+    } else {
+      clusters.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  }
+
+  const output = [];
+  const conflicts = [];
+  let position = 0;
+
+  for (const cluster of clusters) {
+    output.push(...baseLines.slice(position, cluster.start));
+    position = cluster.end;
+
+    const oursHunks = cluster.hunks.filter(hunk => hunk.side === 'ours');
+    const theirsHunks = cluster.hunks.filter(hunk => hunk.side === 'theirs');
+    const oursLines = applyHunks(baseLines, oursHunks, cluster.start, cluster.end);
+    const theirsLines = applyHunks(baseLines, theirsHunks, cluster.start, cluster.end);
+
+    if (theirsHunks.length === 0 || oursLines.join('') === theirsLines.join('')) {
+      output.push(...oursLines);
+    } else if (oursHunks.length === 0) {
+      output.push(...theirsLines);
+    } else {
+      conflicts.push({
+        line: output.length + 1,
+        ours: oursLines.join(''),
+        theirs: theirsLines.join('')
+      });
+      output.push(
+        `<<<<<<< ${oursLabel}\n`,
+        ...terminate(oursLines),
+        '=======\n',
+        ...terminate(theirsLines),
+        `>>>>>>> ${theirsLabel}\n`
+      );
+    }
+  }
+
+  output.push(...baseLines.slice(position));
+
+  return {
+    content: output.join(''),
+    clean: conflicts.length === 0,
+    conflicts
+  };
+}
+
+module.exports = {
+  mergeThreeWay,
+  diffHunks,
+  diffLines,
+  splitLines
+};
@@ -5,9 +5,14 @@ const NodeCache = require('node-cache');
 const chalk = require('chalk');
 const DiffEngine = require('./diff-engine');
 const logger = require('./logger');
+const { getConfig } = require('./project');
+const { decodeContent, contentSize } = require('./content');
 
 class FileSystemMonitor {
     constructor(options = {}) {
+        // Options given here win over the monitor section of config.json
+        options = { ...getConfig().monitor, ...options };
+
         this.watcher = null;
         this.isActive = false;
         this.fileCache = new NodeCache({ stdTTL: 3600 }); // 1 hour cache
@@ -32,7 +37,10 @@ class FileSystemMonitor {
                 '.rs', '.scala', '.clj', '.hs', '.ml', '.elm', '.dart',
                 '.json', '.xml', '.yaml', '.yml', '.toml', '.ini',
                 '.md', '.txt', '.csv', '.sql', '.html', '.css', '.scss',
-                '.sass', '.less', '.styl'
+                '.sass', '.less', '.styl',
+                // Binary assets are stored byte for byte
+                '.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.pdf',
+                '.woff', '.woff2', '.ttf', '.otf', '.wasm'
             ]
         };
         
@@ -148,11 +156,11 @@ class FileSystemMonitor {
             
             for (const filePath of files) {
                 try {
-                    const content = await fs.readFile(filePath, 'utf8');
+                    const content = decodeContent(await fs.readFile(filePath));
                     this.fileCache.set(filePath, {
                         content,
                         lastModified: Date.now(),
-                        size: content.length
+                        size: contentSize(content)
                     });
                 } catch (error) {
                     // Skip files that can't be read
@@ -262,10 +270,10 @@ class FileSystemMonitor {
         try {
             if (!this.isWatchableFile(filePath)) return;
             
-            const content = await fs.readFile(filePath, 'utf8');
+            const content = decodeContent(await fs.readFile(filePath));
             
             // Skip large files
-            if (content.length > this.config.maxFileSize) {
+            if (contentSize(content) > this.config.maxFileSize) {
                 console.log(chalk.yellow(`Skipping large file: ${filePath}`));
                 return;
             }
@@ -275,15 +283,17 @@ class FileSystemMonitor {
             
             // Log operations
             for (const operation of operations) {
-                await logger.logOperation(operation);
-                this.stats.operationsLogged++;
+                // Skipped when the redaction policy finds secrets
+                if (await logger.logOperation(operation)) {
+                    this.stats.operationsLogged++;
+                }
             }
             
             // Cache the new file
             this.fileCache.set(filePath, {
                 content,
                 lastModified: Date.now(),
-                size: content.length
+                size: contentSize(content)
             });
             
             this.stats.lastActivity = new Date().toISOString();
@@ -301,10 +311,10 @@ class FileSystemMonitor {
         try {
             if (!this.isWatchableFile(filePath)) return;
             
-            const newContent = await fs.readFile(filePath, 'utf8');
+            const newContent = decodeContent(await fs.readFile(filePath));
             
             // Skip large files
-            if (newContent.length > this.config.maxFileSize) {
+            if (contentSize(newContent) > this.config.maxFileSize) {
                 console.log(chalk.yellow(`Skipping large file: ${filePath}`));
                 return;
             }
@@ -319,15 +329,17 @@ class FileSystemMonitor {
             if (operations.length > 0) {
                 // Log operations
                 for (const operation of operations) {
-                    await logger.logOperation(operation);
-                    this.stats.operationsLogged++;
+                    // Skipped when the redaction policy finds secrets
+                    if (await logger.logOperation(operation)) {
+                        this.stats.operationsLogged++;
+                    }
                 }
                 
                 // Update cache
                 this.fileCache.set(filePath, {
                     content: newContent,
                     lastModified: Date.now(),
-                    size: newContent.length
+                    size: contentSize(newContent)
                 });
                 
                 this.stats.lastActivity = new Date().toISOString();
@@ -356,8 +368,10 @@ class FileSystemMonitor {
                 
                 // Log operations
                 for (const operation of operations) {
-                    await logger.logOperation(operation);
-                    this.stats.operationsLogged++;
+                    // Skipped when the redaction policy finds secrets
+                    if (await logger.logOperation(operation)) {
+                        this.stats.operationsLogged++;
+                    }
                 }
             }
             
@@ -0,0 +1,99 @@
+const { hashContent, OPERATION_TYPES } = require('./logger');
+const { getExpectedState } = require('./conflicts');
+const { generateOperationSummary } = require('./sessions');
+const { getOperationKind } = require('./rebase');
+const { isUnrestorable } = require('./redaction');
+
+// Things worth knowing about a step that are not conflicts: commands that
+// are only marked, and operations missing the body needed to restore a file
+function getStepWarnings(operation, action) {
+  const warnings = [];
+  const warn = (kind, message) => warnings.push({ operationId: operation.id, kind, message });
+
+  if (operation.type === OPERATION_TYPES.COMMAND_EXECUTION) {
+    warn('command', `Command "${operation.command}" cannot be ${action}ne automatically; it will only be marked as ${action}ne`);
+    return warnings;
+  }
+
+  // Planners refuse these; reading the body would throw
+  if (isUnrestorable(operation, action)) {
+    warn('hash_only', `${operation.file} was logged by hash only; it cannot be ${action}ne`);
+    return warnings;
+  }
+
+  const kind = getOperationKind(operation);
+  if (action === 'undo' && (kind === 'full' || kind === 'delete') && operation.before === undefined) {
+    warn('missing_before', `No 'before' content recorded for ${operation.file}; it cannot be restored`);
+  }
+  if (action === 'redo' && (kind === 'full' || kind === 'create') && operation.after === undefined) {
+    warn('missing_after', `No 'after' content recorded for ${operation.file}; it cannot be reapplied`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Turn a staged undo/redo plan into a plain, JSON-serialisable object.
+ * The plan is the one the command itself commits, so this is exactly what
+ * running it would do.
+ * @param {Object} plan - Plan from one of the undo.js planners
+ * @param {string} action - 'undo', 'redo' or 'switch'
+ * @returns {Object} { action, ok, operations, files, conflicts, errors, merged, rebased, warnings }
+ */
+function describePlan(plan, action) {
+  const { tree, steps } = plan;
+  const firstStep = filePath => steps.find(step => step.operation.file && tree.key(step.operation.file) === tree.key(filePath));
+
+  const operations = steps.map(({ operation, action: stepAction }, index) => ({
+    order: index + 1,
+    id: operation.id,
+    action: stepAction,
+    type: operation.type,
+    mode: operation.operation,
+    file: operation.file,
+    timestamp: operation.timestamp,
+    summary: generateOperationSummary(operation)
+  }));
+
+  const files = tree.getChanges().map(change => {
+    const step = firstStep(change.file);
+    const expected = step ? getExpectedState(step.operation, step.action) : null;
+    const deleted = change.action === 'delete';
+
+    return {
+      file: change.file,
+      path: change.path,
+      action: deleted ? 'delete' : change.original.exists ? 'write' : 'restore',
+      expectedHash: expected && expected.hash ? expected.hash : null,
+      currentHash: change.original.exists ? hashContent(change.original.content) : null,
+      resultHash: deleted ? null : hashContent(change.content),
+      size: deleted ? 0 : Buffer.byteLength(change.content)
+    };
+  });
+
+  return {
+    action,
+    ok: plan.conflicts.length === 0 && (plan.failures || []).length === 0,
+    operations,
+    files,
+    conflicts: plan.conflicts,
+    errors: plan.failures || [],
+    merged: plan.merged.map(merge => ({
+      operationId: merge.operationId,
+      file: merge.file,
+      clean: merge.clean,
+      conflicts: merge.conflicts.map(conflict => conflict.line)
+    })),
+    rebased: (plan.rebased || []).map(({ operation, changes }) => ({
+      id: operation.id,
+      file: operation.file,
+      rewritten: Object.keys(changes).length > 0
+    })),
+    warnings: steps.flatMap(({ operation, action: stepAction }) => getStepWarnings(operation, stepAction))
+  };
+}
+
+module.exports = {
+  describePlan,
+  getStepWarnings
+};
@@ -6,12 +6,18 @@ const {
   getActiveOperations, 
   getUndoneOperations,
   generateOperationSummary,
-  getOperationsAfter 
+  getOperationsAfter,
+  getRedoCascade
 } = require('./sessions');
-const { OPERATION_TYPES, OPERATION_MODES, UNDO_STATES } = require('./logger');
+const { OPERATION_TYPES, OPERATION_MODES, UNDO_STATES, hashContent } = require('./logger');
+const { planUndo, planRedo, planSelectiveUndo, planToPoint, planPathUndo, describeScope } = require('./undo');
+const { describeConflict, CONFLICT_STRATEGIES } = require('./conflicts');
+const { getTimestamp, compareTimestamps, formatTime } = require('./time');
+const { readContent, isBinaryContent, contentSize } = require('./content');
+const { describeRedaction, isUnrestorable } = require('./redaction');
 
 // Preview what an undo operation would do
-async function previewOperation(operationIdOrIndex, action = 'undo') {
+async function previewOperation(operationIdOrIndex, action = 'undo', options = {}) {
   let operation;
   
   // Resolve operation by ID or index
@@ -29,8 +35,8 @@ async function previewOperation(operationIdOrIndex, action = 'undo') {
     }
     
     const operations = action === 'undo' ? 
-      getActiveOperations().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)) :
-      getUndoneOperations().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      getActiveOperations().sort((a, b) => compareTimestamps(a, b)) :
+      getUndoneOperations().sort((a, b) => compareTimestamps(a, b));
     
     if (index < 0 || index >= operations.length) {
       console.log(chalk.red(`Invalid operation index: ${index + 1}. Available: 1-${operations.length}`));
@@ -46,16 +52,24 @@ async function previewOperation(operationIdOrIndex, action = 'undo') {
   console.log(chalk.cyan('Target Operation:'));
   console.log(`  ID: ${operation.id}`);
   console.log(`  Type: ${operation.type}`);
-  console.log(`  Timestamp: ${new Date(operation.timestamp).toLocaleString()}`);
+  console.log(`  Timestamp: ${formatTime(getTimestamp(operation))}`);
   console.log(`  Summary: ${generateOperationSummary(operation)}`);
   console.log(`  Status: ${operation.undoState === UNDO_STATES.UNDONE ? chalk.gray('undone') : chalk.green('active')}`);
   
   if (operation.file) {
     console.log(`  File: ${operation.file}`);
   }
+  describeRedaction(operation).forEach(line => {
+    console.log(`  ${chalk.yellow('Redacted:')} ${line}`);
+  });
+
+  // Show rebased/untouched operations for a selective undo
+  if (action === 'undo' && options.only && operation.undoState === UNDO_STATES.ACTIVE) {
+    showSelectiveEffects(operation);
+  }
 
   // Show cascading effects for undo
-  if (action === 'undo' && operation.undoState === UNDO_STATES.ACTIVE) {
+  if (action === 'undo' && !options.only && operation.undoState === UNDO_STATES.ACTIVE) {
     const cascadingOps = getOperationsAfter(operation);
     if (cascadingOps.length > 0) {
       console.log(chalk.yellow('\nCascading Effects:'));
@@ -66,6 +80,26 @@ async function previewOperation(operationIdOrIndex, action = 'undo') {
     }
   }
 
+  // Show the forward cascade for redo
+  if (action === 'redo' && operation.undoState === UNDO_STATES.UNDONE) {
+    let redoOps = [];
+    try {
+      redoOps = getRedoCascade(operation).filter(op => op.id !== operation.id);
+    } catch (error) {
+      // Reported by showConflicts
+    }
+    if (redoOps.length > 0) {
+      console.log(chalk.yellow('\nCascading Effects:'));
+      console.log(chalk.yellow(`${redoOps.length} related operations will also be redone (in this order):`));
+      redoOps.forEach((op, i) => {
+        console.log(`  ${i + 1}. ${generateOperationSummary(op)} (${op.id})`);
+      });
+    }
+  }
+
+  // Check the working tree against what the operation(s) expect
+  showConflicts(operation, action, options);
+
   // Show detailed effects based on operation type
   console.log(chalk.bold('\nDetailed Effects:'));
   await previewOperationEffects(operation, action);
@@ -78,8 +112,181 @@ async function previewOperation(operationIdOrIndex, action = 'undo') {
   console.log(chalk.dim('\nNote: This is a preview only. No changes have been made.'));
 }
 
+// Pick the planner matching the command being previewed
+function planFor(operation, action, options = {}) {
+  if (action === 'redo') return planRedo(operation, options);
+  return options.only ? planSelectiveUndo(operation, options) : planUndo(operation, options);
+}
+
+// Show which later operations a selective undo rebases and which it leaves alone
+function showSelectiveEffects(operation) {
+  let plan;
+  try {
+    plan = planSelectiveUndo(operation);
+  } catch (error) {
+    // Dependency refusals are reported by showConflicts
+    return;
+  }
+
+  console.log(chalk.yellow('\nSelective Undo (--only):'));
+  console.log(chalk.yellow(`Only this operation will be undone; ${plan.rebased.length + plan.untouched.length} later operations are kept.`));
+
+  if (plan.rebased.length > 0) {
+    console.log(chalk.cyan(`  Rebased onto the reverted ${operation.file}:`));
+    plan.rebased.forEach(({ operation: op, changes }) => {
+      const note = Object.keys(changes).length > 0 ? chalk.dim(' (stored content rewritten)') : '';
+      console.log(`    ↻ ${generateOperationSummary(op)} (${op.id})${note}`);
+    });
+  }
+
+  if (plan.untouched.length > 0) {
+    console.log(chalk.gray('  Untouched (other files):'));
+    plan.untouched.forEach(op => {
+      console.log(chalk.gray(`    • ${generateOperationSummary(op)} (${op.id})`));
+    });
+  }
+}
+
+// Report files changed since the operation(s) were logged
+function showConflicts(operation, action, options = {}) {
+  const flag = options.only ? ' --only' : '';
+  reportPlanConflicts(
+    planOptions => planFor(operation, action, { ...options, ...planOptions }),
+    action,
+    `gcundo ${action} ${operation.id}${flag}`
+  );
+}
+
+// Run a planner and report the conflicts it finds, what --merge would make
+// of them and the commands that would carry the plan out
+function reportPlanConflicts(makePlan, action, command) {
+  let plan;
+  try {
+    plan = makePlan({});
+  } catch (error) {
+    console.log(chalk.red(`\nCannot ${action}: ${error.message}`));
+    return;
+  }
+
+  if (plan.conflicts.length === 0) {
+    if (plan.operations.length > 0) {
+      console.log(chalk.green(`\n✓ No conflicts: files match the state expected by ${action}`));
+    }
+    return;
+  }
+
+  console.log(chalk.red(`\nConflicts (${plan.conflicts.length}):`));
+  plan.conflicts.forEach(conflict => {
+    console.log(`  ${chalk.red('✗')} ${describeConflict(conflict)}`);
+  });
+
+  // Try the merge up front so the user knows what --merge would leave behind
+  const mergePlan = makePlan({ onConflict: CONFLICT_STRATEGIES.MERGE });
+  mergePlan.merged.forEach(merge => {
+    const outcome = merge.clean
+      ? chalk.green('merges cleanly')
+      : chalk.yellow(`merges with ${merge.conflicts.length} overlapping hunk(s)`);
+    console.log(`  ${chalk.cyan('↳')} ${merge.file}: ${outcome}`);
+  });
+
+  console.log(chalk.yellow(`  ${action} will abort unless you choose to merge or force it:`));
+  console.log(`    ${chalk.cyan(command)}          ${chalk.dim('# abort, or choose interactively')}`);
+  if (mergePlan.conflicts.length === 0) {
+    console.log(`    ${chalk.cyan(`${command} --merge`)}  ${chalk.dim('# keep the changes, merge the rest')}`);
+  }
+  console.log(`    ${chalk.cyan(`${command} --force`)}  ${chalk.dim('# overwrite the changes')}`);
+}
+
+// Preview undoing back to (or redoing forward to) a checkpoint or time
+async function previewToPoint(target, action = 'undo') {
+  let plan;
+  try {
+    plan = planToPoint(target, action);
+  } catch (error) {
+    console.log(chalk.red(`Cannot ${action}: ${error.message}`));
+    return;
+  }
+
+  console.log(chalk.bold(`\nPreview ${action.toUpperCase()} to ${plan.point.label}:\n`));
+
+  if (plan.point.time !== undefined) {
+    console.log(chalk.dim(`  Resolved "${target}" to ${formatTime(plan.point.time)}`));
+  }
+
+  console.log(chalk.yellow(`${plan.steps.length} operation(s) will be ${action}ne (in this order):`));
+  plan.steps.forEach(({ operation }, i) => {
+    const when = formatTime(getTimestamp(operation));
+    const file = operation.file ? chalk.dim(` ${operation.file}`) : '';
+    console.log(`  ${i + 1}. [${when}] ${generateOperationSummary(operation)}${file} (${operation.id})`);
+  });
+
+  reportPlanConflicts(
+    planOptions => planToPoint(target, action, planOptions),
+    action,
+    `gcundo ${action} --to "${target}"`
+  );
+
+  console.log(chalk.dim('\nNote: This is a preview only. No changes have been made.'));
+}
+
+// Preview a path-scoped undo as a per-file plan
+async function previewPathUndo(scope) {
+  let plan;
+  try {
+    plan = planPathUndo(scope);
+  } catch (error) {
+    console.log(chalk.red(`Cannot undo: ${error.message}`));
+    return;
+  }
+
+  console.log(chalk.bold(`\nPreview UNDO of ${describeScope(scope)}:\n`));
+  console.log(chalk.yellow(`${plan.operations.length} operation(s) on ${plan.files.length} file(s) will be undone:`));
+
+  const effects = {
+    write: chalk.yellow('rewrite'),
+    restore: chalk.green('restore'),
+    delete: chalk.red('delete')
+  };
+
+  plan.files.forEach(entry => {
+    const renamed = entry.names.length > 1 ? chalk.magenta(` (also as ${entry.names.slice(1).join(', ')})`) : '';
+    console.log(`\n  ${chalk.cyan(entry.file)}${renamed}`);
+
+    if (entry.changes.length === 0) {
+      console.log(chalk.gray('    no change on disk'));
+    }
+    entry.changes.forEach(change => {
+      const size = change.action === 'delete' ? '' : chalk.dim(` (${change.size} bytes)`);
+      console.log(`    ${effects[change.action]} ${change.file}${size}`);
+    });
+
+    [...entry.operations].reverse().forEach(op => {
+      console.log(chalk.dim(`    ↶ ${generateOperationSummary(op)}${op.file !== entry.file ? ` [${op.file}]` : ''} (${op.id})`));
+    });
+  });
+
+  if (plan.kept > 0) {
+    console.log(chalk.gray(`\n${plan.kept} active operation(s) on other files are kept.`));
+  }
+
+  const exclude = scope.exclude ? ` --exclude "${scope.exclude}"` : '';
+  const start = scope.from ? ` ${scope.from}` : scope.since ? ` --since "${scope.since}"` : scope.to ? ` --to "${scope.to}"` : '';
+  reportPlanConflicts(
+    planOptions => planPathUndo(scope, planOptions),
+    'undo',
+    `gcundo undo${start}${scope.paths ? ` --path "${scope.paths}"` : ''}${exclude}`
+  );
+
+  console.log(chalk.dim('\nNote: This is a preview only. No changes have been made.'));
+}
+
 // Preview the specific effects of an operation
 async function previewOperationEffects(operation, action) {
+  if (isUnrestorable(operation, action)) {
+    console.log(`  ${chalk.red('Error:')} ${operation.file} was logged by hash only; there is no content to ${action} it with`);
+    return;
+  }
+
   switch (operation.type) {
     case OPERATION_TYPES.FILE_EDIT:
       await previewFileEditEffects(operation, action);
@@ -98,6 +305,11 @@ async function previewOperationEffects(operation, action) {
   }
 }
 
+// Size and hash of a body: all there is to show for a binary file
+function describeBody(content, hash) {
+  return `${contentSize(content)} bytes, hash ${(hash || hashContent(content)).substring(0, 12)}`;
+}
+
 // Preview file edit effects
 async function previewFileEditEffects(operation, action) {
   const filePath = operation.file;
@@ -120,6 +332,20 @@ async function previewFileEditEffects(operation, action) {
     } else {
       console.log(`  ${chalk.cyan('Redo Effect:')} Replace "${operation.oldString}" with "${operation.newString}"`);
     }
+  } else if (operation.binary) {
+    console.log(`  Edit Type: Binary replacement`);
+    if (operation.before !== undefined) {
+      console.log(`  Before: ${describeBody(operation.before, operation.beforeHash)}`);
+    }
+    if (operation.after !== undefined) {
+      console.log(`  After:  ${describeBody(operation.after, operation.afterHash)}`);
+    }
+
+    if (action === 'undo' && operation.before !== undefined) {
+      console.log(`  ${chalk.yellow('Undo Effect:')} Restore the previous bytes (${describeBody(operation.before, operation.beforeHash)})`);
+    } else if (action === 'redo' && operation.after !== undefined) {
+      console.log(`  ${chalk.cyan('Redo Effect:')} Write the new bytes (${describeBody(operation.after, operation.afterHash)})`);
+    }
   } else {
     // Full content edit preview
     console.log(`  Edit Type: Full content replacement`);
@@ -148,8 +374,12 @@ async function previewFileCreateEffects(operation, action) {
       console.log(`  ${chalk.gray('Undo Effect:')} File already doesn't exist - no action needed`);
     }
   } else {
-    const contentLength = operation.after ? operation.after.length : 0;
-    console.log(`  ${chalk.cyan('Redo Effect:')} Create file with ${contentLength} characters`);
+    if (operation.binary) {
+      console.log(`  ${chalk.cyan('Redo Effect:')} Create binary file (${describeBody(operation.after, operation.afterHash)})`);
+    } else {
+      const contentLength = operation.after ? operation.after.length : 0;
+      console.log(`  ${chalk.cyan('Redo Effect:')} Create file with ${contentLength} characters`);
+    }
     if (!exists) {
       console.log(`  ${chalk.green('Safe:')} File doesn't currently exist`);
     } else {
@@ -168,7 +398,8 @@ async function previewFileDeleteEffects(operation, action) {
   
   if (action === 'undo') {
     if (operation.before) {
-      console.log(`  ${chalk.yellow('Undo Effect:')} Restore file with ${operation.before.length} characters`);
+      const size = operation.binary ? describeBody(operation.before, operation.beforeHash) : `${operation.before.length} characters`;
+      console.log(`  ${chalk.yellow('Undo Effect:')} Restore file with ${size}`);
       if (exists) {
         console.log(`  ${chalk.yellow('Warning:')} Will overwrite existing file`);
       } else {
@@ -216,9 +447,14 @@ async function showFileStatus(filePath) {
   
   try {
     const stats = await fs.stat(filePath);
-    const content = await fs.readFile(filePath, 'utf-8');
+    const content = readContent(filePath);
     
     console.log(`  ${chalk.green('✓')} File exists: ${filePath}`);
+    if (isBinaryContent(content)) {
+      console.log(`  Size: ${describeBody(content)} (binary)`);
+      console.log(`  Modified: ${stats.mtime.toLocaleString()}`);
+      return;
+    }
     console.log(`  Size: ${stats.size} bytes (${content.length} characters)`);
     console.log(`  Modified: ${stats.mtime.toLocaleString()}`);
     
@@ -246,6 +482,8 @@ async function previewRedo(operationIdOrIndex) {
 
 module.exports = {
   previewOperation,
+  previewToPoint,
+  previewPathUndo,
   previewRedo,
   previewOperationEffects,
   showFileStatus
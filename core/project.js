@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const DIR_NAME = '.gcundo';
+
+// Settings read from <home>/config.json; environment variables still win
+const DEFAULT_CONFIG = {
+  segmentRecords: 10000,
+  blobCompression: 'gzip',
+  actor: null,
+  encryptionKeyFile: null,
+  redaction: {
+    policy: 'mask',
+    sensitivePaths: ['.env*', '*.pem', '*.key', '*.p12', '*.pfx', 'id_rsa*', 'id_ecdsa*', 'id_ed25519*'],
+    patterns: {}
+  },
+  retention: {
+    maxAge: null,
+    maxTotalSize: null,
+    keepPerFile: 5,
+    pruneUndone: false,
+    backupMaxAge: '14d'
+  },
+  snapshots: {
+    enabled: true,
+    ignore: ['.git', 'node_modules'],
+    ignoreFiles: ['.gitignore'],
+    maxFileSize: '10MB',
+    maxTotalSize: '500MB'
+  },
+  monitor: {}
+};
+
+// Where versions before project-local logs kept everything
+const legacyDir = path.resolve(__dirname, '..');
+
+// Walk up from a directory to the first one containing `name`
+function findUp(start, name, isMatch) {
+  let dir = path.resolve(start);
+
+  for (;;) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate) && isMatch(fs.statSync(candidate))) {
+      return dir;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Nearest directory set up with 'gcundo init'
+function findProjectRoot(start = process.cwd()) {
+  return findUp(start, DIR_NAME, stat => stat.isDirectory());
+}
+
+// Root of the enclosing git checkout (.git is a file in worktrees)
+function findGitRoot(start = process.cwd()) {
+  return findUp(start, '.git', () => true);
+}
+
+/**
+ * Work out where gcundo keeps its data, in order of precedence:
+ *   GCUNDO_HOME          - explicit override
+ *   <project>/.gcundo    - nearest directory with a .gcundo folder
+ *   <git root>/.gcundo   - created on first write inside a git checkout
+ *   ~/.gcundo            - global fallback
+ * @param {string} start - Directory to search up from
+ * @returns {Object} { home, root, source }
+ */
+function resolveHome(start = process.cwd()) {
+  if (process.env.GCUNDO_HOME) {
+    return { home: path.resolve(process.env.GCUNDO_HOME), root: null, source: 'GCUNDO_HOME' };
+  }
+
+  const project = findProjectRoot(start);
+  if (project) {
+    return { home: path.join(project, DIR_NAME), root: project, source: 'project' };
+  }
+
+  const git = findGitRoot(start);
+  if (git) {
+    return { home: path.join(git, DIR_NAME), root: git, source: 'git' };
+  }
+
+  return { home: path.join(os.homedir(), DIR_NAME), root: null, source: 'global' };
+}
+
+const { home, root, source } = resolveHome();
+const configPath = path.join(home, 'config.json');
+
+let homeReady = false;
+
+// Create the home before the first write into it. A home at a git root is
+// only resolved as such while it does not exist yet, so this process is the
+// one creating it: it gets a .gitignore of its own, and the log, bodies and
+// backups never show up as untracked files (this also works in worktrees,
+// where .git is a file).
+function ensureHome() {
+  if (homeReady) return;
+
+  fs.ensureDirSync(home);
+  const ignorePath = path.join(home, '.gitignore');
+  if (source === 'git' && !fs.existsSync(ignorePath)) {
+    fs.writeFileSync(ignorePath, '# Written by gcundo: keep its history out of git\n*\n');
+  }
+  homeReady = true;
+}
+
+// A log written by a version from before project-local homes, which kept
+// logs/ and blobs/ in the package directory. Null when there is none, or
+// when that directory is the home in use.
+function findLegacyLog(target = home) {
+  const legacyLog = path.join(legacyDir, 'logs', 'log.jsonl');
+  return fs.existsSync(legacyLog) && legacyLog !== path.join(target, 'logs', 'log.jsonl') ? legacyLog : null;
+}
+
+let config = null;
+
+// The config file merged over the defaults (read once per process)
+function getConfig() {
+  if (config) return config;
+
+  let stored = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      stored = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  config = {
+    ...DEFAULT_CONFIG,
+    ...stored,
+    redaction: { ...DEFAULT_CONFIG.redaction, ...(stored.redaction || {}) },
+    retention: { ...DEFAULT_CONFIG.retention, ...(stored.retention || {}) },
+    snapshots: { ...DEFAULT_CONFIG.snapshots, ...(stored.snapshots || {}) },
+    monitor: { ...DEFAULT_CONFIG.monitor, ...(stored.monitor || {}) }
+  };
+  return config;
+}
+
+/**
+ * Set up a project-local .gcundo directory with a default config
+ * @param {string} dir - Project root (defaults to the working directory)
+ * @returns {Object} { home, created, legacyLog } where legacyLog is the
+ *   path of a log written by an older version, if there is one to move
+ */
+function initProject(dir = process.cwd()) {
+  const target = path.join(path.resolve(dir), DIR_NAME);
+  const created = !fs.existsSync(target);
+
+  for (const sub of ['logs', 'blobs', 'backups']) {
+    fs.ensureDirSync(path.join(target, sub));
+  }
+
+  const targetConfig = path.join(target, 'config.json');
+  if (!fs.existsSync(targetConfig)) {
+    fs.writeFileSync(targetConfig, JSON.stringify(DEFAULT_CONFIG, null, 2) + '\n');
+  }
+
+  return { home: target, created, legacyLog: findLegacyLog(target) };
+}
+
+module.exports = {
+  gcundoHome: home,
+  projectRoot: root,
+  homeSource: source,
+  logDir: path.join(home, 'logs'),
+  blobDir: path.join(home, 'blobs'),
+  backupDir: path.join(home, 'backups'),
+  configPath,
+  getConfig,
+  ensureHome,
+  findLegacyLog,
+  findProjectRoot,
+  findGitRoot,
+  resolveHome,
+  initProject,
+  DIR_NAME
+};
@@ -0,0 +1,172 @@
+const { hashContent, OPERATION_TYPES, OPERATION_MODES } = require('./logger');
+const { generateOperationSummary } = require('./sessions');
+const { mergeThreeWay } = require('./merge');
+
+// Classify an operation by how it changes its file
+function getOperationKind(operation) {
+  const type = String(operation.type).toLowerCase();
+
+  if (type === OPERATION_TYPES.FILE_CREATE) return 'create';
+  if (type === OPERATION_TYPES.FILE_DELETE) return 'delete';
+  if (type === OPERATION_TYPES.FILE_EDIT) {
+    return operation.operation === OPERATION_MODES.STRING_REPLACE ? 'replace' : 'full';
+  }
+  return 'other';
+}
+
+// Error explaining which later operation relies on the reverted text (undo)
+// or clashes with the text put back (redo)
+function dependencyError(target, dependent, detail, action) {
+  const advice = action === 'redo'
+    ? `Undo ${dependent.id} first, then redo both.`
+    : `Undo ${dependent.id} first, or undo without --only to cascade.`;
+  return new Error(
+    `Cannot ${action} ${target.id} on its own: ${dependent.id} (${generateOperationSummary(dependent)}) ` +
+    `${detail} in ${target.file}. ${advice}`
+  );
+}
+
+// What a dependent operation does to the target's text, by direction
+const DEPENDENCY_DETAILS = {
+  undo: {
+    line: 'edits line {line} that it introduced',
+    replaced: 'replaces text that only exists because of it',
+    rewritten: 'rewrites text that it introduced',
+    overlapping: 'replaces text that it introduced'
+  },
+  redo: {
+    line: 'edits line {line} that it changes too',
+    replaced: 'replaces text that it changes',
+    rewritten: 'rewrites text that it changes',
+    overlapping: 'replaces text that it changes'
+  }
+};
+
+// Field changes that rewrite a full-content operation onto new bodies
+function bodyChanges(operation, before, after) {
+  const changes = {};
+
+  if (before !== undefined && before !== operation.before) {
+    changes.before = before;
+    changes.beforeHash = hashContent(before);
+  }
+  if (after !== undefined && after !== operation.after) {
+    changes.after = after;
+    changes.afterHash = hashContent(after);
+  }
+
+  return changes;
+}
+
+// Rebase later operations on a file after reverting a full-content edit.
+// Two versions of the file are replayed side by side: the one on disk
+// (`expected`) and the one in which the target never happened (`content`).
+// Redo passes the target with its bodies swapped, so the same replay puts
+// the change back under the later operations.
+function rebaseOverFullContent(target, laterOps, action = 'undo') {
+  const details = DEPENDENCY_DETAILS[action];
+  let expected = target.after;
+  let content = target.before;
+  let detached = false;
+  const rebased = [];
+
+  for (const operation of laterOps) {
+    if (detached) {
+      // The file was recreated from scratch - nothing depends on the target
+      rebased.push({ operation, changes: {} });
+      continue;
+    }
+
+    switch (getOperationKind(operation)) {
+      case 'full': {
+        // Re-apply the operation's own change onto the reverted content
+        const merge = mergeThreeWay(operation.before, operation.after, content);
+        if (!merge.clean) {
+          throw dependencyError(target, operation, details.line.replace('{line}', merge.conflicts[0].line), action);
+        }
+        rebased.push({ operation, changes: bodyChanges(operation, content, merge.content) });
+        expected = operation.after;
+        content = merge.content;
+        break;
+      }
+      case 'replace':
+        if (content === null || !content.includes(operation.oldString)) {
+          throw dependencyError(target, operation, details.replaced, action);
+        }
+        rebased.push({ operation, changes: {} });
+        expected = expected === null ? null : expected.replace(operation.oldString, operation.newString);
+        content = content.replace(operation.oldString, operation.newString);
+        break;
+      case 'delete':
+        rebased.push({ operation, changes: bodyChanges(operation, content, undefined) });
+        expected = null;
+        content = null;
+        break;
+      case 'create':
+        rebased.push({ operation, changes: {} });
+        detached = true;
+        break;
+      default:
+        rebased.push({ operation, changes: {} });
+    }
+  }
+
+  return { expected: detached ? undefined : expected, content: detached ? undefined : content, rebased };
+}
+
+// Rebase later operations on a file after reverting a string replacement.
+// Without full bodies the revert is a targeted replace of the current text,
+// so later operations only need checking (and full bodies rewriting). Redo
+// passes the target with old and new text swapped.
+function rebaseOverStringReplace(target, laterOps, action = 'undo') {
+  const details = DEPENDENCY_DETAILS[action];
+  const overlaps = (a, b) => Boolean(a) && Boolean(b) && (a.includes(b) || b.includes(a));
+  const revert = text => text.replace(target.newString, target.oldString);
+  let detached = false;
+  const rebased = [];
+
+  for (const operation of laterOps) {
+    if (detached) {
+      rebased.push({ operation, changes: {} });
+      continue;
+    }
+
+    switch (getOperationKind(operation)) {
+      case 'full':
+        if (typeof operation.after !== 'string' || !operation.after.includes(target.newString)) {
+          throw dependencyError(target, operation, details.rewritten, action);
+        }
+        rebased.push({
+          operation,
+          changes: bodyChanges(operation, operation.before && revert(operation.before), revert(operation.after))
+        });
+        break;
+      case 'replace':
+        if (overlaps(operation.oldString, target.newString)) {
+          throw dependencyError(target, operation, details.overlapping, action);
+        }
+        rebased.push({ operation, changes: {} });
+        break;
+      case 'delete':
+        rebased.push({
+          operation,
+          changes: bodyChanges(operation, operation.before && revert(operation.before), undefined)
+        });
+        break;
+      case 'create':
+        rebased.push({ operation, changes: {} });
+        detached = true;
+        break;
+      default:
+        rebased.push({ operation, changes: {} });
+    }
+  }
+
+  return { rebased, detached };
+}
+
+module.exports = {
+  getOperationKind,
+  rebaseOverFullContent,
+  rebaseOverStringReplace
+};
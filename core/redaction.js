@@ -0,0 +1,311 @@
+const path = require('path');
+const chalk = require('chalk');
+const picomatch = require('picomatch');
+const { projectRoot, getConfig } = require('./project');
+const { encryptionEnabled } = require('./encryption');
+
+// Every operation passes through redactOperation before it is written. Two
+// things are checked:
+//   sensitive paths  files matching redaction.sensitivePaths are logged by
+//                    hash only: undo can tell whether they changed, but has
+//                    nothing to restore them from
+//   secrets          credentials found in bodies, commands and replaced text
+//                    are handled by the policy:
+//                      mask     replace each secret with [REDACTED:<kind>]
+//                      skip     do not log the operation at all
+//                      encrypt  store the bodies encrypted only (needs a key)
+//                      off      log everything as it is
+// What was done is recorded in the record's `redacted` field, by field name.
+const POLICIES = ['mask', 'skip', 'encrypt', 'off'];
+
+// Bodies kept in the blob store, and text kept inline in the record
+const BODY_FIELDS = ['before', 'after', 'output'];
+const INLINE_FIELDS = ['command', 'oldString', 'newString'];
+
+// Built-in detectors. Patterns with groups mask only the second group,
+// keeping the first (the key name) and third (a closing quote) readable.
+const SECRET_PATTERNS = [
+  { kind: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { kind: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { kind: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { kind: 'api-key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: 'bearer-token', pattern: /(\bBearer\s+)([A-Za-z0-9._~+/-]{20,}=*)()/g },
+  // apiKey: "...", password = '...' (quoted values only, so code is left alone)
+  { kind: 'assignment', pattern: /((?:api[_-]?key|secret|token|passwd|password|access[_-]?key)\w*["']?\s*[:=]\s*["'])((?![$<{%])[^"'\s]{8,})(["'])/gi },
+  // KEY=value lines in env files and shell scripts
+  { kind: 'assignment', pattern: /^(\s*(?:export\s+)?[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD)[A-Z0-9_]*=)((?![$<{%])[^\s'"#]{8,})()$/gm }
+];
+
+let cachedSettings = null;
+
+/**
+ * The redaction settings: config.json's redaction section, with the policy
+ * overridable through GCUNDO_REDACTION
+ * @returns {Object} { policy, sensitivePaths, detectors, isSensitive }
+ */
+function getRedactionSettings() {
+  if (cachedSettings) return cachedSettings;
+
+  const config = getConfig().redaction;
+  const policy = process.env.GCUNDO_REDACTION || config.policy;
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown redaction policy '${policy}' (expected ${POLICIES.join(', ')})`);
+  }
+
+  const custom = Object.entries(config.patterns || {}).map(([kind, source]) => {
+    try {
+      return { kind, pattern: new RegExp(source, 'g') };
+    } catch (error) {
+      throw new Error(`Invalid redaction pattern '${kind}': ${error.message}`);
+    }
+  });
+
+  const sensitivePaths = config.sensitivePaths || [];
+  cachedSettings = {
+    policy,
+    sensitivePaths,
+    detectors: [...SECRET_PATTERNS, ...custom],
+    // Patterns without a slash match the file name in any directory
+    isSensitive: sensitivePaths.length > 0 ? picomatch(sensitivePaths, { dot: true, basename: true }) : () => false
+  };
+  return cachedSettings;
+}
+
+// Whether a file is tracked by hash only
+function isSensitivePath(filePath) {
+  if (!filePath) return false;
+
+  const relative = path.relative(projectRoot || process.cwd(), path.resolve(filePath));
+  const candidate = relative.startsWith('..') ? path.basename(filePath) : relative;
+  return getRedactionSettings().isSensitive(candidate.split(path.sep).join('/'));
+}
+
+/**
+ * Find the kinds of secret in a piece of text
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} Kinds found, each listed once
+ */
+function findSecrets(text) {
+  if (typeof text !== 'string') return [];
+
+  return [...new Set(getRedactionSettings().detectors
+    .filter(({ pattern }) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    })
+    .map(({ kind }) => kind))];
+}
+
+// Replace every secret in the text with a [REDACTED:<kind>] marker
+function maskSecrets(text) {
+  return getRedactionSettings().detectors.reduce((masked, { kind, pattern }) => {
+    pattern.lastIndex = 0;
+    return masked.replace(pattern, (match, prefix, secret, suffix) => {
+      const marker = `[REDACTED:${kind}]`;
+      // Without groups the callback gets the offset where the prefix would be
+      return typeof prefix === 'string' ? `${prefix}${marker}${suffix || ''}` : marker;
+    });
+  }, text);
+}
+
+function warn(message) {
+  console.warn(chalk.yellow(`⚠ ${message}`));
+}
+
+// What an operation is about, for warnings
+function describeSubject(operation) {
+  return operation.file || `command '${maskSecrets(operation.command || '')}'`;
+}
+
+// Drop every body and fragment, keeping the hashes of the bodies
+function hashOnly(operation, reason) {
+  // Required lazily - logger depends on this module
+  const { hashContent } = require('./logger');
+  const record = { ...operation, redacted: { ...operation.redacted } };
+
+  for (const field of [...BODY_FIELDS, 'oldString', 'newString']) {
+    if (record[field] === undefined) continue;
+    if (BODY_FIELDS.includes(field)) {
+      record[`${field}Hash`] = record[`${field}Hash`] || hashContent(record[field]);
+    }
+    delete record[field];
+    record.redacted[field] = { policy: 'hash-only', reason };
+  }
+
+  return record;
+}
+
+/**
+ * Apply the sensitive path list and the secret policy to an operation about
+ * to be logged. Prints a warning for anything it leaves out.
+ * @param {Object} operation - Enriched operation, bodies still inline
+ * @returns {Object|null} The record to store, or null to log nothing
+ */
+function redactOperation(operation) {
+  const { policy } = getRedactionSettings();
+
+  if (isSensitivePath(operation.file)) {
+    warn(`${operation.file} matches a sensitive path: logged by hash only, gcundo cannot restore its contents`);
+    return hashOnly(operation, 'sensitive-path');
+  }
+
+  if (policy === 'off') return operation;
+
+  const found = {};
+  for (const field of [...BODY_FIELDS, ...INLINE_FIELDS]) {
+    const kinds = findSecrets(operation[field]);
+    if (kinds.length > 0) found[field] = kinds;
+  }
+  if (Object.keys(found).length === 0) return operation;
+
+  const allKinds = [...new Set(Object.values(found).flat())].join(', ');
+
+  if (policy === 'skip') {
+    warn(`Not logging ${operation.type} of ${describeSubject(operation)}: it contains secrets (${allKinds})`);
+    return null;
+  }
+
+  // Required lazily - logger depends on this module
+  const { hashContent } = require('./logger');
+  const record = { ...operation, redacted: { ...operation.redacted } };
+
+  for (const [field, kinds] of Object.entries(found)) {
+    if (policy === 'encrypt' && BODY_FIELDS.includes(field)) {
+      if (!encryptionEnabled()) {
+        warn(`${describeSubject(operation)} contains secrets (${kinds.join(', ')}) but no encryption key is set: ${field} logged by hash only`);
+        record[`${field}Hash`] = record[`${field}Hash`] || hashContent(record[field]);
+        delete record[field];
+        record.redacted[field] = { policy: 'hash-only', reason: 'secrets', kinds };
+      } else {
+        record.redacted[field] = { policy: 'encrypt', kinds };
+      }
+      continue;
+    }
+
+    // Inline text cannot be encrypted, so it is masked under every policy
+    record[field] = maskSecrets(record[field]);
+    record.redacted[field] = { policy: 'mask', kinds };
+    if (BODY_FIELDS.includes(field)) {
+      // The record's hash is the stored body's; conflict checks use the
+      // hash of the real content
+      record.redacted[field].hash = record[`${field}Hash`] || hashContent(operation[field]);
+      record[`${field}Hash`] = hashContent(record[field]);
+    }
+  }
+
+  if (Object.values(record.redacted).some(entry => entry.policy === 'mask')) {
+    warn(`Masked secrets (${allKinds}) in ${describeSubject(operation)}${operation.file ? ': undo and redo will not write the masked text back without --force' : ''}`);
+  }
+
+  return record;
+}
+
+// Backups and snapshots hold whole files, so without an encryption key
+// sensitive files and files holding secrets are not stored (unless the
+// policy is off). Returns why a file must not be stored, or null.
+function whyNotStored(filePath, data) {
+  if (encryptionEnabled()) return null;
+
+  if (isSensitivePath(filePath)) {
+    return 'it matches a sensitive path';
+  }
+  if (getRedactionSettings().policy !== 'off' && findSecrets(data.toString('utf-8')).length > 0) {
+    return 'it contains secrets';
+  }
+  return null;
+}
+
+function mayBackUp(filePath, data) {
+  const reason = whyNotStored(filePath, data);
+  if (!reason) return true;
+
+  warn(`Not backing up ${filePath}: ${reason} and no encryption key is set`);
+  return false;
+}
+
+// Fields an undo or redo of the operation writes back to disk
+function restoredFields(operation, action) {
+  if (operation.operation === 'string_replace') {
+    return action === 'undo' ? ['oldString'] : ['newString'];
+  }
+  return action === 'undo' ? ['before'] : ['after'];
+}
+
+// Kinds of secret masked in the text an undo or redo of the operation
+// would write back into its file (empty when nothing is masked)
+function maskedKinds(operation, action) {
+  if (!operation.redacted || !operation.file) return [];
+
+  return [...new Set(restoredFields(operation, action)
+    .map(field => operation.redacted[field])
+    .filter(entry => entry && entry.policy === 'mask')
+    .flatMap(entry => entry.kinds))];
+}
+
+// Warn when an undo or redo (forced past the masked conflict) wrote masked
+// text back into a file
+function warnMaskedRestore(operation, action) {
+  const kinds = maskedKinds(operation, action);
+  if (kinds.length === 0) return;
+
+  warn(`${operation.file} was restored with secrets masked (${kinds.join(', ')}); put them back by hand`);
+}
+
+// One line per redacted field, for previews
+function describeRedaction(operation) {
+  return Object.entries(operation.redacted || {}).map(([field, entry]) => {
+    switch (entry.policy) {
+      case 'hash-only':
+        return `${field}: logged by hash only (${entry.reason === 'sensitive-path' ? 'sensitive path' : 'secrets, no encryption key'})`;
+      case 'encrypt':
+        return `${field}: contains secrets (${entry.kinds.join(', ')}), stored encrypted`;
+      default:
+        return `${field}: secrets masked (${entry.kinds.join(', ')})`;
+    }
+  });
+}
+
+// Whether undo or redo of the operation needs a body that was never stored
+function isUnrestorable(operation, action) {
+  return restoredFields(operation, action)
+    .some(field => operation.redacted && operation.redacted[field] && operation.redacted[field].policy === 'hash-only');
+}
+
+// The error for an undo or redo that needs a body logged by hash only.
+// Planners raise it before staging anything, so a dry run fails the same way.
+function hashOnlyError(operation, action) {
+  const entry = restoredFields(operation, action)
+    .map(field => operation.redacted[field])
+    .find(candidate => candidate && candidate.policy === 'hash-only');
+  const reason = entry.reason === 'sensitive-path' ? 'sensitive path' : 'secrets, no encryption key';
+  const hint = action === 'undo' ? '. To undo earlier operations without it, use --only' : '';
+
+  const error = new Error(
+    `Cannot ${action} ${operation.id}: ${operation.file || operation.id} was logged by hash only (${reason}), ` +
+    `so there is no content to ${action} it with${hint}`
+  );
+  error.code = 'GCUNDO_HASH_ONLY';
+  error.operationId = operation.id;
+  return error;
+}
+
+module.exports = {
+  POLICIES,
+  SECRET_PATTERNS,
+  getRedactionSettings,
+  isSensitivePath,
+  findSecrets,
+  maskSecrets,
+  redactOperation,
+  whyNotStored,
+  mayBackUp,
+  maskedKinds,
+  warnMaskedRestore,
+  describeRedaction,
+  isUnrestorable,
+  hashOnlyError
+};
@@ -2,12 +2,15 @@ const { updateOperationUndoState, UNDO_STATES } = require('./logger');
 const { 
   getUndoneOperations, 
   getOperationById, 
-  getActiveOperations 
+  getActiveOperations,
+  buildTreeFromHead,
+  getRedoCandidates
 } = require('./sessions');
-const { performRedo } = require('./undo');
+const { redoOperation: redoById, redoOperations } = require('./undo');
+const { compareTimestamps } = require('./time');
 
 // Redo operation by ID or index
-async function redoOperation(operationIdOrIndex) {
+async function redoOperation(operationIdOrIndex, options = {}) {
   let operation;
   
   // Check if it's an operation ID (starts with 'op_') or an index
@@ -25,7 +28,7 @@ async function redoOperation(operationIdOrIndex) {
     }
     
     const undoneOps = getUndoneOperations()
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      .sort((a, b) => compareTimestamps(a, b));
     
     if (index < 0 || index >= undoneOps.length) {
       throw new Error(`Invalid operation index: ${index + 1}. Available: 1-${undoneOps.length}`);
@@ -38,21 +41,17 @@ async function redoOperation(operationIdOrIndex) {
     throw new Error(`Operation ${operation.id} is already active`);
   }
 
-  await performRedo(operation);
-  
-  return { redone: operation };
+  return await redoById(operation.id, options);
 }
 
-// Redo the last undone operation
-async function redoLast() {
-  const undoneOps = getUndoneOperations();
-  if (undoneOps.length === 0) {
-    throw new Error('No operations to redo');
+// Redo the last undone operation on the current branch
+async function redoLast(options = {}) {
+  const [lastUndone] = getRedoCandidates();
+  if (!lastUndone) {
+    throw new Error('No operations to redo on the current branch');
   }
   
-  // Get the most recently undone operation
-  const lastUndone = undoneOps.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-  return await redoOperation(lastUndone.id);
+  return await redoOperation(lastUndone.id, options);
 }
 
 // Redo multiple operations by their IDs
@@ -71,29 +70,33 @@ async function redoMultiple(operationIds) {
   return results;
 }
 
-// Redo all undone operations (use with caution)
-async function redoAll() {
-  const undoneOps = getUndoneOperations()
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); // Redo in chronological order
+// Redo all undone operations on the current branch (use with caution).
+// Starting from the head, follow the most recent undone child each time, so
+// other branches of the undo tree are never replayed on top of this one.
+async function redoAll(options = {}) {
+  const tree = buildTreeFromHead();
+  const undoneOps = [];
+  // Operations undone on their own under the head are left to redo by id
+  let [next] = getRedoCandidates().filter(op => tree.nodes.has(op.id));
+  
+  while (next) {
+    undoneOps.push(next);
+    [next] = tree.nodes.get(next.id).children
+      .map(node => node.operation)
+      .filter(op => op.undoState === UNDO_STATES.UNDONE)
+      .sort((a, b) => compareTimestamps(b, a));
+  }
   
   if (undoneOps.length === 0) {
-    throw new Error('No operations to redo');
+    throw new Error('No operations to redo on the current branch');
   }
   
-  const results = [];
+  // All or nothing: a failure rolls back every file already rewritten
+  await redoOperations(undoneOps, options);
   
-  for (const operation of undoneOps) {
-    try {
-      await performRedo(operation);
-      results.push({ success: true, redone: operation });
-    } catch (error) {
-      results.push({ success: false, operation: operation.id, error: error.message });
-      // Stop on first error to maintain consistency
-      break;
-    }
-  }
+  const results = undoneOps.map(operation => ({ success: true, redone: operation }));
   
-  return { redone: results.filter(r => r.success).length, results };
+  return { redone: results.length, results };
 }
 
 module.exports = {
@@ -0,0 +1,105 @@
+// Operation records have been written in several shapes over time:
+//   legacy       the README's original { type, file, before, after } lines,
+//                with epoch timestamps and no operation mode
+//   enriched     logOperation records before schemaVersion existed
+//   diff-engine  DiffEngine output the monitor logged as it was, with
+//                uppercase types (FILE_EDIT), `filePath` instead of `file`
+//                and `content` instead of before/after
+// normalizeRecord upgrades all of them to the current shape, so the rest of
+// the code only ever sees one. `gcundo migrate` rewrites the log with it.
+const SCHEMA_VERSION = 2;
+
+const TYPES = ['file_create', 'file_edit', 'file_delete', 'command_execution', 'checkpoint'];
+
+// The operation mode each type implies when a record does not name one
+const DEFAULT_MODES = {
+  file_create: 'file_create',
+  file_delete: 'file_delete',
+  command_execution: 'command'
+};
+
+// Which of the known shapes a record was written in
+function detectShape(record) {
+  if (record.event) return 'event';
+  if (record.schemaVersion >= SCHEMA_VERSION) return 'current';
+  if (record.filePath !== undefined || (record.type && record.type !== record.type.toLowerCase())) {
+    return 'diff-engine';
+  }
+  if (!record.operation && record.type !== 'checkpoint') return 'legacy';
+  return 'enriched';
+}
+
+function needsMigration(record) {
+  const shape = detectShape(record);
+  return shape !== 'event' && shape !== 'current';
+}
+
+/**
+ * Upgrade a record of any known shape to the current one. Events and
+ * current records come back unchanged; anything else is returned as a
+ * new object, never modified in place.
+ * @param {Object} record - Parsed log line
+ * @returns {Object} The record in the current shape
+ */
+function normalizeRecord(record) {
+  if (!needsMigration(record)) return record;
+
+  // Required lazily - logger depends on this module
+  const { hashContent } = require('./logger');
+  const op = { ...record };
+
+  const type = String(op.type || '').toLowerCase();
+  if (TYPES.includes(type)) {
+    op.type = type;
+  }
+
+  if (op.filePath !== undefined) {
+    if (op.file === undefined) op.file = op.filePath;
+    delete op.filePath;
+  }
+
+  if (typeof op.timestamp === 'number') {
+    op.timestamp = new Date(op.timestamp).toISOString();
+  }
+
+  // DiffEngine creates and deletes carry the body as `content`
+  if (op.content !== undefined) {
+    if (op.type === 'file_create' && op.after === undefined) op.after = op.content;
+    if (op.type === 'file_delete' && op.before === undefined) op.before = op.content;
+    delete op.content;
+  }
+
+  if (op.type === 'file_edit' && !op.operation) {
+    if (op.metadata && op.metadata.changeType === 'FULL_FILE_REPLACE') {
+      // A whole-file replacement is a full content edit under another name
+      op.before = op.oldString;
+      op.after = op.newString;
+      delete op.oldString;
+      delete op.newString;
+      delete op.lineNumber;
+    }
+    op.operation = op.oldString !== undefined ? 'string_replace' : 'full_content';
+  } else if (!op.operation && DEFAULT_MODES[op.type]) {
+    op.operation = DEFAULT_MODES[op.type];
+  }
+
+  if (op.type !== 'checkpoint' && !op.undoState) {
+    op.undoState = 'active';
+  }
+
+  for (const field of ['before', 'after']) {
+    if ((typeof op[field] === 'string' || Buffer.isBuffer(op[field])) && !op[`${field}Hash`]) {
+      op[`${field}Hash`] = hashContent(op[field]);
+    }
+  }
+
+  op.schemaVersion = SCHEMA_VERSION;
+  return op;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  detectShape,
+  needsMigration,
+  normalizeRecord
+};
@@ -0,0 +1,147 @@
+const path = require('path');
+const picomatch = require('picomatch');
+const { hashContent, OPERATION_TYPES } = require('./logger');
+const { getTimestamp, compareTimestamps } = require('./time');
+
+// A delete followed this soon by a create of identical content is a rename
+const RENAME_WINDOW_MS = 5000;
+
+// Path of a logged file relative to the working directory, with forward
+// slashes, so globs behave the same for relative and absolute log entries
+function normalizePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+// Build a predicate for one pattern. Plain paths match the file itself and
+// everything below it; anything with glob characters goes to picomatch.
+function compilePattern(pattern) {
+  const normalized = normalizePath(pattern.replace(/\/+$/, ''));
+
+  if (!picomatch.scan(pattern).isGlob) {
+    return file => file === normalized || file.startsWith(`${normalized}/`);
+  }
+
+  const isMatch = picomatch(pattern.replace(/^\.\//, ''), { dot: true });
+  return file => isMatch(file);
+}
+
+// Split comma separated --path/--exclude values into patterns
+function toPatterns(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Create a file matcher from --path and --exclude patterns
+ * @param {Object} scope - { paths, exclude } (strings, comma separated lists or arrays)
+ * @returns {Function} Predicate taking a logged file path
+ */
+function createPathMatcher(scope = {}) {
+  const include = toPatterns(scope.paths).map(compilePattern);
+  const exclude = toPatterns(scope.exclude).map(compilePattern);
+
+  return filePath => {
+    const file = normalizePath(filePath);
+    return (include.length === 0 || include.some(match => match(file))) &&
+      !exclude.some(match => match(file));
+  };
+}
+
+// Pair up deletes and creates that together make a rename: the create comes
+// right after the delete and carries exactly the content that was deleted.
+// Returns Map of delete id -> create operation.
+function findRenames(operations) {
+  const sorted = operations.filter(op => op.file).sort(compareTimestamps);
+  const renames = new Map();
+  const claimed = new Set();
+
+  sorted.forEach((op, index) => {
+    const deletedHash = op.beforeHash || hashContent(op.before);
+    if (op.type !== OPERATION_TYPES.FILE_DELETE || !deletedHash) return;
+
+    const create = sorted.slice(index + 1).find(candidate =>
+      candidate.type === OPERATION_TYPES.FILE_CREATE &&
+      !claimed.has(candidate.id) &&
+      candidate.file !== op.file &&
+      (candidate.afterHash || hashContent(candidate.after)) === deletedHash &&
+      getTimestamp(candidate) - getTimestamp(op) <= RENAME_WINDOW_MS
+    );
+
+    if (create) {
+      claimed.add(create.id);
+      renames.set(op.id, create);
+    }
+  });
+
+  return renames;
+}
+
+// Group file paths that are the same file under different names. Returns
+// Map of file -> lineage { files: Set, renames: [{ from, to, operations }] }.
+function getFileLineages(operations) {
+  const lineages = new Map();
+  const lineageOf = file => {
+    if (!lineages.has(file)) {
+      lineages.set(file, { files: new Set([file]), renames: [] });
+    }
+    return lineages.get(file);
+  };
+
+  const byId = new Map(operations.map(op => [op.id, op]));
+
+  for (const [deleteId, create] of findRenames(operations)) {
+    const from = lineageOf(byId.get(deleteId).file);
+    const to = lineageOf(create.file);
+
+    if (from !== to) {
+      to.files.forEach(file => {
+        from.files.add(file);
+        lineages.set(file, from);
+      });
+      from.renames.push(...to.renames);
+    }
+    from.renames.push({ from: byId.get(deleteId).file, to: create.file, operations: [byId.get(deleteId), create] });
+  }
+
+  return lineages;
+}
+
+/**
+ * Pick the operations that fall inside a path scope. A file counts as in
+ * scope when any name it has had (through renames) matches, so undoing an
+ * edit also reverts the rename that moved the file out of the way.
+ * @param {Array} operations - Candidate operations
+ * @param {Object} scope - { paths, exclude }
+ * @param {Array} history - Operations to trace renames through (defaults to the candidates)
+ * @returns {Object} { operations, lineages } with operations oldest first
+ */
+function selectOperationsInScope(operations, scope, history = operations) {
+  const matches = createPathMatcher(scope);
+  const lineages = getFileLineages(history);
+  const inScope = new Map();
+
+  const selected = operations
+    .filter(op => op.file && op.type !== OPERATION_TYPES.COMMAND_EXECUTION)
+    .filter(op => {
+      const lineage = lineages.get(op.file);
+      if (!inScope.has(op.file)) {
+        const names = lineage ? [...lineage.files] : [op.file];
+        inScope.set(op.file, names.some(matches));
+      }
+      return inScope.get(op.file);
+    })
+    .sort(compareTimestamps);
+
+  return { operations: selected, lineages };
+}
+
+module.exports = {
+  createPathMatcher,
+  normalizePath,
+  findRenames,
+  getFileLineages,
+  selectOperationsInScope
+};
@@ -0,0 +1,614 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { getTimestamp } = require('./time');
+const { withFileLock, writeFileAtomic } = require('./lock');
+const { logDir, getConfig, ensureHome } = require('./project');
+const { hashLine, chainLine, sealLines } = require('./chain');
+
+// The log is a series of JSONL segments. New records are appended to the
+// active segment, logs/log.jsonl; once it holds enough records it is sealed
+// into logs/segments/<number>.jsonl and a fresh one is started. logs/ lives
+// in the gcundo home (see project.js).
+const logPath = path.join(logDir, 'log.jsonl');
+const segmentDir = path.join(logDir, 'segments');
+
+// The sidecar index, kept up to date on every append:
+//   index/meta.json       segments with record counts and timestamp ranges,
+//                         the branch names and the head
+//   index/ids/<xx>.jsonl  [id, segment, offset, length, file] per record or event
+//   index/files/<xx>.jsonl [file, id, segment, offset, length]
+//   index/parents/<xx>.jsonl [parent, id] per operation logged with a parent
+// Buckets are picked by hash, so a lookup reads one small file.
+const indexDir = path.join(logDir, 'index');
+const metaPath = path.join(indexDir, 'meta.json');
+const INDEX_VERSION = 2;
+
+// Lines (records and events) per segment; set by segmentRecords in the
+// config, and GCUNDO_SEGMENT_RECORDS overrides both
+function getSegmentLimit() {
+  return Number(process.env.GCUNDO_SEGMENT_RECORDS) || Number(getConfig().segmentRecords) || 10000;
+}
+
+function bucketPath(kind, key) {
+  const bucket = crypto.createHash('sha1').update(String(key)).digest('hex').substring(0, 2);
+  return path.join(indexDir, kind, `${bucket}.jsonl`);
+}
+
+function segmentPath(meta, id) {
+  return id === meta.active.id
+    ? logPath
+    : path.join(segmentDir, `${String(id).padStart(6, '0')}.jsonl`);
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function newSegment(id) {
+  return { id, size: 0, records: 0, events: 0, from: null, to: null };
+}
+
+function readMeta() {
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+    return meta.version === INDEX_VERSION ? meta : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeMeta(meta) {
+  writeFileAtomic(metaPath, JSON.stringify(meta));
+}
+
+// Read a bucket file, skipping a line torn by a crash
+function readBucket(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Index the complete lines in a chunk of a segment starting at `offset`.
+// Updates meta in place and returns the number of bytes consumed.
+//
+// meta.head is the last active operation in log order, which is the tip of
+// the active path: an operation is always logged after its parent. Records
+// and redos move it forward; undoing the head leaves it unknown (absent)
+// until sessions works it out again (see recordHead).
+function indexChunk(meta, segment, chunk, offset) {
+  const additions = new Map();
+  const add = (filePath, entry) => {
+    additions.set(filePath, (additions.get(filePath) || '') + JSON.stringify(entry) + '\n');
+  };
+
+  // The entry of an operation's record, for events naming it by id only:
+  // from this chunk, or from the index written before it
+  const entries = new Map();
+  const buckets = new Map();
+  const entryOf = id => {
+    if (!entries.has(id)) {
+      const bucket = bucketPath('ids', id);
+      if (!buckets.has(bucket)) buckets.set(bucket, readBucket(bucket));
+      entries.set(id, buckets.get(bucket).find(candidate => candidate[0] === id) || null);
+    }
+    return entries.get(id);
+  };
+  const fileOf = id => (entryOf(id) || [])[4] || null;
+  const isLater = (id, than) => {
+    const [a, b] = [entryOf(id), entryOf(than)];
+    return Boolean(a && b) && (a[1] - b[1] || a[2] - b[2]) > 0;
+  };
+
+  const branches = new Set(meta.branches);
+  let start = 0;
+
+  for (let end = chunk.indexOf(0x0a); end !== -1; end = chunk.indexOf(0x0a, start)) {
+    const position = [segment.id, offset + start, end - start];
+    const line = chunk.toString('utf-8', start, end);
+    start = end + 1;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    // Seals belong to the log as a whole, not to an operation
+    if (record.event && !record.operationId) {
+      segment.events++;
+      continue;
+    }
+
+    const id = record.event ? record.operationId : record.id;
+    if (!id) continue;
+
+    if (record.event) {
+      segment.events++;
+
+      if (record.event === 'undo' && id === meta.head) {
+        delete meta.head;
+      } else if (record.event === 'redo' && (meta.head === null || (meta.head && isLater(id, meta.head)))) {
+        meta.head = id;
+      }
+    } else {
+      entries.set(id, [id, ...position, record.file || record.filePath || null]);
+      segment.records++;
+
+      const time = getTimestamp(record);
+      segment.from = segment.from === null ? time : Math.min(segment.from, time);
+      segment.to = segment.to === null ? time : Math.max(segment.to, time);
+
+      if (record.type !== 'checkpoint') {
+        branches.add(record.branch || 'main');
+        if (record.parent) {
+          add(bucketPath('parents', record.parent), [record.parent, id]);
+        }
+        if (record.undoState !== 'undone') {
+          meta.head = id;
+        }
+      }
+    }
+
+    const file = fileOf(id);
+    add(bucketPath('ids', id), [id, ...position, file]);
+    if (file) {
+      add(bucketPath('files', file), [file, id, ...position]);
+    }
+  }
+
+  for (const [filePath, lines] of additions) {
+    fs.ensureDirSync(path.dirname(filePath));
+    fs.appendFileSync(filePath, lines);
+  }
+
+  meta.branches = [...branches];
+  segment.size = offset + start;
+  return start;
+}
+
+// Offset just past the last newline before `end`, or 0 if there is none
+function findLineStart(fd, end) {
+  const chunk = Buffer.alloc(64 * 1024);
+  let start = end;
+
+  while (start > 0) {
+    const length = Math.min(chunk.length, start);
+    start -= length;
+    fs.readSync(fd, chunk, 0, length, start);
+    const newline = chunk.lastIndexOf(0x0a, length - 1);
+    if (newline !== -1) {
+      return start + newline + 1;
+    }
+  }
+
+  return 0;
+}
+
+// A crash (or a writer from before the lock) can leave the last line of the
+// active segment half written. Complete it if it is a whole record missing
+// only its newline; otherwise cut it off and keep the fragment in
+// log.jsonl.torn. Callers hold the log lock.
+function repairTail() {
+  if (!fs.existsSync(logPath)) return null;
+
+  const fd = fs.openSync(logPath, 'r+');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const last = Buffer.alloc(1);
+    if (size === 0 || (fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] === 0x0a)) {
+      return null;
+    }
+
+    // Walk back to the end of the last complete line
+    const lineStart = findLineStart(fd, size);
+
+    const fragment = Buffer.alloc(size - lineStart);
+    fs.readSync(fd, fragment, 0, fragment.length, lineStart);
+    const text = fragment.toString('utf-8');
+
+    try {
+      JSON.parse(text);
+      fs.writeSync(fd, '\n', size);
+      return { repaired: 'completed', line: text };
+    } catch (error) {
+      fs.ftruncateSync(fd, lineStart);
+      fs.appendFileSync(`${logPath}.torn`, text + '\n');
+      return { repaired: 'truncated', line: text };
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Seal the active segment once it is full
+function rollSegment(meta) {
+  if (meta.active.records + meta.active.events < getSegmentLimit()) return;
+
+  const sealed = meta.active;
+  meta.active = newSegment(sealed.id + 1);
+  meta.sealed.push(sealed);
+
+  fs.ensureDirSync(segmentDir);
+  fs.renameSync(logPath, segmentPath(meta, sealed.id));
+  fs.writeFileSync(logPath, '');
+}
+
+// Rebuild the whole index from the segments on disk
+function rebuildIndex() {
+  ensureHome();
+  return withFileLock(logPath, () => {
+    fs.removeSync(indexDir);
+
+    const sealedIds = fs.existsSync(segmentDir)
+      ? fs.readdirSync(segmentDir)
+        .filter(name => /^\d+\.jsonl$/.test(name))
+        .map(name => parseInt(name, 10))
+        .sort((a, b) => a - b)
+      : [];
+
+    const meta = {
+      version: INDEX_VERSION,
+      generation: Date.now(),
+      sealed: [],
+      active: newSegment(sealedIds.length > 0 ? sealedIds[sealedIds.length - 1] + 1 : 1),
+      branches: [],
+      head: null
+    };
+
+    for (const id of sealedIds) {
+      const segment = newSegment(id);
+      indexChunk(meta, segment, fs.readFileSync(segmentPath(meta, id)), 0);
+      meta.sealed.push(segment);
+    }
+    if (fs.existsSync(logPath)) {
+      indexChunk(meta, meta.active, fs.readFileSync(logPath), 0);
+    }
+
+    writeMeta(meta);
+    return meta;
+  });
+}
+
+// Index what other writers appended to the active segment since the index
+// was last written, or rebuild it if the log was replaced underneath it
+function refreshIndex() {
+  return withFileLock(logPath, () => {
+    const meta = readMeta();
+    const size = fileSize(logPath);
+
+    if (!meta || size < meta.active.size) {
+      return rebuildIndex();
+    }
+    if (size > meta.active.size) {
+      const fd = fs.openSync(logPath, 'r');
+      const chunk = Buffer.alloc(size - meta.active.size);
+      try {
+        fs.readSync(fd, chunk, 0, chunk.length, meta.active.size);
+      } finally {
+        fs.closeSync(fd);
+      }
+      indexChunk(meta, meta.active, chunk, meta.active.size);
+      writeMeta(meta);
+    }
+
+    return meta;
+  });
+}
+
+/**
+ * The current index, brought up to date first if the log moved on
+ * @returns {Object} { generation, sealed, active, branches, head }
+ */
+function getIndex() {
+  const meta = readMeta();
+  if (meta && meta.active.size === fileSize(logPath)) {
+    return meta;
+  }
+  if (!meta && !fs.existsSync(logPath) && !fs.existsSync(segmentDir)) {
+    return { version: INDEX_VERSION, generation: 0, sealed: [], active: newSegment(1), branches: [], head: null };
+  }
+  return refreshIndex();
+}
+
+// Changes whenever the log does; used to cache folded state in a process
+function getSignature() {
+  const meta = getIndex();
+  return `${meta.generation}:${meta.active.id}:${meta.active.size}`;
+}
+
+// Segments oldest first, each with its path, record count and timestamp range
+function listSegments() {
+  const meta = getIndex();
+  return [...meta.sealed, meta.active].map(segment => ({
+    ...segment,
+    path: segmentPath(meta, segment.id),
+    key: `${meta.generation}:${segment.id}:${segment.size}`
+  }));
+}
+
+// Parsed segments by segment number, with the generation and size they
+// were parsed at. Sealed segments never change, so within a process each
+// is parsed once; the active one again whenever it grew.
+const parsed = new Map();
+
+// Every record of one segment, in the order it was written. The records
+// are shared between callers and must not be modified.
+function readSegment(segment) {
+  const cached = parsed.get(segment.id);
+  if (cached && cached.key === segment.key) {
+    return cached.records;
+  }
+
+  const records = parseSegment(segment);
+  parsed.set(segment.id, { key: segment.key, records });
+  return records;
+}
+
+function parseSegment(segment) {
+  if (!fs.existsSync(segment.path)) return [];
+
+  return fs.readFileSync(segment.path, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        console.warn('Failed to parse operation:', line);
+        return null;
+      }
+    })
+    .filter(record => record !== null);
+}
+
+// Read the records at a set of [segment, offset, length] positions, in log order
+function readPositions(positions) {
+  const meta = getIndex();
+  const unique = new Map(positions.map(position => [`${position[0]}:${position[1]}`, position]));
+  const sorted = [...unique.values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const records = [];
+
+  let fd = null;
+  let open = null;
+  try {
+    for (const [segment, offset, length] of sorted) {
+      if (segment !== open) {
+        if (fd !== null) fs.closeSync(fd);
+        fd = fs.openSync(segmentPath(meta, segment), 'r');
+        open = segment;
+      }
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, offset);
+      try {
+        records.push(JSON.parse(buffer.toString('utf-8')));
+      } catch (error) {
+        console.warn(`Index points at an unreadable record in segment ${segment} at ${offset}; run 'gcundo reindex'`);
+      }
+    }
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+
+  return records;
+}
+
+// The record of an operation and all of its events, in log order
+function readOperationRecords(operationId) {
+  getIndex();
+  const positions = readBucket(bucketPath('ids', operationId))
+    .filter(entry => entry[0] === operationId)
+    .map(entry => entry.slice(1, 4));
+  return readPositions(positions);
+}
+
+// The records and events of every operation on a file, in log order
+function readFileRecords(filePath) {
+  getIndex();
+  const positions = readBucket(bucketPath('files', filePath))
+    .filter(entry => entry[0] === filePath)
+    .map(entry => entry.slice(2, 5));
+  return readPositions(positions);
+}
+
+// Every branch name the log has used (for naming new ones)
+function getBranchNames() {
+  return getIndex().branches;
+}
+
+// Id of the head, null when nothing is active, or undefined when the head
+// was undone and the new one has not been worked out yet
+function getHeadId() {
+  return getIndex().head;
+}
+
+// Store the head sessions worked out, unless the log moved on meanwhile
+function recordHead(id, signature) {
+  withFileLock(logPath, () => {
+    const meta = readMeta();
+    if (meta && `${meta.generation}:${meta.active.id}:${meta.active.size}` === signature) {
+      meta.head = id;
+      writeMeta(meta);
+    }
+  });
+}
+
+// Ids of the operations logged with the given parent
+function getChildIds(operationId) {
+  getIndex();
+  return readBucket(bucketPath('parents', operationId))
+    .filter(entry => entry[0] === operationId)
+    .map(entry => entry[1]);
+}
+
+// Number of the segment holding an operation's record, or null
+function getRecordSegment(operationId) {
+  getIndex();
+  const [entry] = readBucket(bucketPath('ids', operationId))
+    .filter(candidate => candidate[0] === operationId)
+    .sort((a, b) => a[1] - b[1] || a[2] - b[2]);
+  return entry ? entry[1] : null;
+}
+
+// The segment holding the last line of the log: the active one, or the
+// newest sealed one right after a roll or a rewrite
+function lastSegment(meta) {
+  if (meta.active.size > 0 || meta.sealed.length === 0) return meta.active;
+  return meta.sealed[meta.sealed.length - 1];
+}
+
+// Hash of the last line, cached for as long as the log does not move on
+let tip = null;
+
+function tipKey(meta) {
+  const segment = lastSegment(meta);
+  return `${meta.generation}:${segment.id}:${segment.size}`;
+}
+
+/**
+ * Hash of the last line of the log: what the next line chains onto
+ * @returns {string|null} sha256 of the line, or null for an empty log
+ */
+function getChainTip() {
+  const meta = getIndex();
+  const key = tipKey(meta);
+  if (tip && tip.key === key) return tip.hash;
+
+  const segment = lastSegment(meta);
+  const segmentFile = segmentPath(meta, segment.id);
+  let hash = null;
+
+  if (segment.size > 0 && fs.existsSync(segmentFile)) {
+    const fd = fs.openSync(segmentFile, 'r');
+    try {
+      // The segment ends with a newline; the last line is everything before it
+      const start = findLineStart(fd, segment.size - 1);
+      const line = Buffer.alloc(segment.size - 1 - start);
+      fs.readSync(fd, line, 0, line.length, start);
+      hash = hashLine(line.toString('utf-8'));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  tip = { key, hash };
+  return hash;
+}
+
+/**
+ * Append records to the active segment, chained onto the last line, and
+ * index them. Callers hold the log lock.
+ * @param {Array<Object>} records - Records or events to append
+ */
+function appendRecords(records) {
+  if (records.length === 0) return;
+
+  // Never append onto a torn line: it would swallow the first new record
+  if (fileSize(logPath) !== getIndex().active.size) {
+    repairTail();
+  }
+
+  let prevHash = getChainTip();
+  const meta = getIndex();
+  const lines = records.map(record => {
+    const line = chainLine(record, prevHash);
+    prevHash = hashLine(line);
+    return line;
+  });
+  const data = Buffer.from(lines.join('\n') + '\n', 'utf-8');
+
+  ensureHome();
+  fs.ensureDirSync(logDir);
+  fs.appendFileSync(logPath, data);
+  indexChunk(meta, meta.active, data, meta.active.size);
+  rollSegment(meta);
+  writeMeta(meta);
+  tip = { key: tipKey(meta), hash: prevHash };
+}
+
+// Every line of the log across all segments, in the order it was written
+function readLines() {
+  return listSegments().flatMap(segment => fs.existsSync(segment.path)
+    ? fs.readFileSync(segment.path, 'utf-8').split('\n').filter(line => line.trim())
+    : []);
+}
+
+/**
+ * Replace the whole log (used by delete, compact and migrate). The lines
+ * are re-chained from the start and end with the seal event, which records
+ * why the chain was rebuilt and the tip it replaced. New segments are
+ * written beside the old ones and swapped in, then the index is rebuilt.
+ * Callers hold the log lock.
+ * @param {Array<string>} kept - JSON lines to keep, in order
+ * @param {Object} seal - Seal event describing the rewrite
+ */
+function rewriteLog(kept, seal) {
+  if (!seal) {
+    throw new Error('Rewriting the log requires a seal event');
+  }
+
+  const lines = sealLines([...kept, JSON.stringify({ ...seal, previousTip: getChainTip(), lines: kept.length })]);
+  const limit = getSegmentLimit();
+  const chunks = [];
+  for (let i = 0; i < lines.length; i += limit) {
+    chunks.push(lines.slice(i, i + limit));
+  }
+  const active = chunks.length > 0 && chunks[chunks.length - 1].length < limit ? chunks.pop() : [];
+
+  const tempDir = `${segmentDir}.${process.pid}.tmp`;
+  const oldDir = `${segmentDir}.${process.pid}.old`;
+  fs.removeSync(tempDir);
+  chunks.forEach((chunk, index) => {
+    fs.outputFileSync(path.join(tempDir, `${String(index + 1).padStart(6, '0')}.jsonl`), chunk.join('\n') + '\n');
+  });
+
+  // Invalidate the index first, so a crash part way through is rebuilt from
+  // whatever made it to disk
+  fs.removeSync(metaPath);
+  if (fs.existsSync(segmentDir)) fs.renameSync(segmentDir, oldDir);
+  if (chunks.length > 0) fs.renameSync(tempDir, segmentDir);
+  writeFileAtomic(logPath, active.length > 0 ? active.join('\n') + '\n' : '');
+  fs.removeSync(oldDir);
+  fs.removeSync(tempDir);
+
+  return rebuildIndex();
+}
+
+module.exports = {
+  logDir,
+  logPath,
+  segmentDir,
+  indexDir,
+  getIndex,
+  getSignature,
+  rebuildIndex,
+  listSegments,
+  readSegment,
+  readOperationRecords,
+  readFileRecords,
+  getBranchNames,
+  getHeadId,
+  recordHead,
+  getChildIds,
+  getRecordSegment,
+  getChainTip,
+  appendRecords,
+  repairTail,
+  readLines,
+  rewriteLog
+};
@@ -1,22 +1,13 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { logPath } = require('./logger');
+const { withLogLock, createEvent, EVENT_TYPES } = require('./logger');
+const { readLines, rewriteLog } = require('./segments');
 
 /**
- * Load all operations logged in logs/log.jsonl.
+ * Load all operations logged in the log segments.
  * @returns {Promise<Array<object>>} Array of operation objects.
  */
 async function loadOperations() {
-  // If the log file does not exist yet, return empty list
-  if (!await fs.pathExists(logPath)) {
-    return [];
-  }
-
-  const data = await fs.readFile(logPath, 'utf-8');
-  return data
-    .split('\n')
-    .map(line => line.trim())
-    .filter(Boolean)
+  // Every segment, oldest first (empty when nothing was logged yet)
+  return readLines()
     .map(line => {
       try {
         return JSON.parse(line);
@@ -29,7 +20,7 @@ async function loadOperations() {
 }
 
 /**
- * Persist the provided operations array back to logs/log.jsonl.
+ * Persist the provided operations array back to the log.
  * Each operation is stringified onto its own line.
  * @param {Array<object>} ops Array of operation objects to store.
  * @returns {Promise<void>}
@@ -39,11 +30,10 @@ async function saveOperations(ops) {
     throw new TypeError('saveOperations expects an array');
   }
 
-  const dir = path.dirname(logPath);
-  await fs.ensureDir(dir);
-
-  const content = ops.map(op => JSON.stringify(op)).join('\n') + '\n';
-  await fs.writeFile(logPath, content, 'utf-8');
+  withLogLock(() => rewriteLog(
+    ops.map(op => JSON.stringify(op)),
+    createEvent(EVENT_TYPES.SEAL, null, { reason: 'save' })
+  ));
 }
 
 // Simple in-memory session identifier (placeholder for future use)
@@ -1,32 +1,170 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { logPath, OPERATION_TYPES, UNDO_STATES } = require('./logger');
+const { OPERATION_TYPES, UNDO_STATES, EVENT_TYPES } = require('./logger');
+const { getTimestamp, compareTimestamps } = require('./time');
+const { resolveBodies, BODY_FIELDS } = require('./blobs');
+const { normalizeRecord } = require('./schema');
+const {
+  getSignature,
+  listSegments,
+  readSegment,
+  readOperationRecords,
+  readFileRecords,
+  getHeadId,
+  recordHead,
+  getRecordSegment
+} = require('./segments');
 
-// Enhanced operation loading with undo state filtering
+// Read every record in the log, in the order it was written
+function loadRecords() {
+  return listSegments().flatMap(readSegment);
+}
+
+// Events are the records that change an operation after it was logged
+function isEvent(record) {
+  return Boolean(record.event);
+}
+
+// Apply one event to the operation it references
+function applyEvent(operation, event) {
+  switch (event.event) {
+    case EVENT_TYPES.UNDO:
+      operation.undoState = UNDO_STATES.UNDONE;
+      operation.undoGroup = event.transaction;
+      if (event.only) {
+        operation.undoneAlone = true;
+      }
+      break;
+    case EVENT_TYPES.REDO:
+      operation.undoState = UNDO_STATES.ACTIVE;
+      delete operation.undoGroup;
+      delete operation.undoneAlone;
+      break;
+    case EVENT_TYPES.UPDATE:
+      // A new body hash replaces any body still inlined in the record
+      BODY_FIELDS
+        .filter(field => event.changes[`${field}Hash`] !== undefined)
+        .forEach(field => delete operation[field]);
+      Object.assign(operation, event.changes);
+      break;
+  }
+}
+
+// Operation records with their undo/redo and update events folded in, in
+// log order. Events for operations that are not among the records (deleted
+// ones, or ones in segments that were not read) are ignored.
+function foldRecords(records) {
+  const operations = new Map();
+
+  for (const record of records) {
+    if (!isEvent(record)) {
+      // Older shapes are upgraded here, so nothing downstream sees them
+      operations.set(record.id, { ...normalizeRecord(record) });
+      continue;
+    }
+
+    const operation = operations.get(record.operationId);
+    if (operation) {
+      applyEvent(operation, record);
+    }
+  }
+
+  return [...operations.values()].map(resolveBodies);
+}
+
+// The folded log, kept for as long as the log is unchanged, so the several
+// lookups a single command makes read it once
+let cache = null;
+
+function isCached() {
+  return cache !== null && cache.signature === getSignature();
+}
+
+// Enhanced operation loading: every operation with its current state
 function loadOperations() {
-  if (!fs.existsSync(logPath)) {
-    return [];
+  if (!isCached()) {
+    cache = { signature: getSignature(), operations: foldRecords(loadRecords()) };
+  }
+  return [...cache.operations];
+}
+
+// An operation and every operation logged after it, with their current
+// state, in log order. Only the segments from the operation's on are read.
+function loadOperationsLoggedFrom(operation) {
+  const from = operations => operations.slice(Math.max(0, operations.findIndex(op => op.id === operation.id)));
+  if (isCached()) {
+    return from(cache.operations);
+  }
+
+  const segment = getRecordSegment(operation.id);
+  return from(foldRecords(listSegments()
+    .filter(candidate => segment === null || candidate.id >= segment)
+    .flatMap(readSegment)));
+}
+
+// Operations logged at or after a time, with their current state. Only the
+// segments reaching back that far are read: an operation's events always
+// come after it, so every operation in them is folded completely.
+function loadOperationsFrom(time) {
+  if (isCached()) {
+    return cache.operations.filter(op => getTimestamp(op) >= time);
+  }
+
+  const segments = listSegments();
+  const first = segments.findIndex(segment => segment.to === null || segment.to >= time);
+  return foldRecords(segments.slice(first).flatMap(readSegment))
+    .filter(op => getTimestamp(op) >= time);
+}
+
+/**
+ * The newest operations matching a predicate, reading segments newest
+ * first and only as far back as the answer could reach
+ * @param {number} count - How many to find (0 for all of them)
+ * @param {Function} matches - Predicate on folded operations
+ * @returns {Object} { matches: newest first, operations: everything folded on the way }
+ */
+function loadLatestOperations(count, matches = () => true) {
+  const newest = operations => operations
+    .filter(matches)
+    .sort((a, b) => compareTimestamps(b, a))
+    .slice(0, count || undefined);
+
+  if (!count || isCached()) {
+    const operations = loadOperations();
+    return { matches: newest(operations), operations };
   }
 
-  const lines = fs.readFileSync(logPath, 'utf-8')
-    .split('\n')
-    .filter(line => line.trim());
+  const segments = listSegments();
+  for (let read = 1; ; read *= 2) {
+    const start = Math.max(0, segments.length - read);
+    const operations = foldRecords(segments.slice(start).flatMap(readSegment));
+    const found = newest(operations);
+    const olderTo = Math.max(...segments.slice(0, start).map(segment => segment.to));
 
-  return lines.map(line => {
-    try {
-      return JSON.parse(line);
-    } catch (error) {
-      console.warn('Failed to parse operation:', line);
-      return null;
+    if (start === 0 || (found.length === count && getTimestamp(found[count - 1]) >= olderTo)) {
+      return { matches: found, operations };
     }
-  }).filter(op => op !== null);
+  }
+}
+
+// The audit trail: every event in the log, optionally for one operation
+function loadEvents(operationId) {
+  const records = operationId ? readOperationRecords(operationId) : loadRecords();
+  return records.filter(isEvent);
+}
+
+// Checkpoints are named markers in the log, not undoable operations
+function isCheckpoint(operation) {
+  return operation.type === OPERATION_TYPES.CHECKPOINT;
+}
+
+// Active operations are the ones not undone (checkpoints are neither)
+function isActive(operation) {
+  return !isCheckpoint(operation) &&
+    (operation.undoState === UNDO_STATES.ACTIVE || !operation.undoState); // backward compatibility
 }
 
 // Get only active (non-undone) operations
 function getActiveOperations() {
-  return loadOperations().filter(op => 
-    op.undoState === UNDO_STATES.ACTIVE || !op.undoState // backward compatibility
-  );
+  return loadOperations().filter(isActive);
 }
 
 // Get undone operations for redo functionality
@@ -36,9 +174,53 @@ function getUndoneOperations() {
   );
 }
 
+// Get checkpoints in the order they were recorded
+function getCheckpoints() {
+  return loadOperations()
+    .filter(isCheckpoint)
+    .sort((a, b) => compareTimestamps(a, b));
+}
+
+// Find a checkpoint by name (the most recent one wins) or by id
+function getCheckpoint(nameOrId) {
+  const checkpoints = getCheckpoints().reverse();
+  return checkpoints.find(checkpoint => checkpoint.name === nameOrId) ||
+    checkpoints.find(checkpoint => checkpoint.id === nameOrId);
+}
+
+// Where a point in history (a checkpoint, or anything else with a `parent`
+// operation id) sits relative to the current head: 'behind' (undo --to
+// reaches it), 'ahead' (redo --to reaches it), 'current', or 'elsewhere'
+// (on another branch)
+function getPointPosition(point) {
+  const head = getHeadOperation();
+  const headId = head ? head.id : null;
+
+  if (point.parent === headId) {
+    return 'current';
+  }
+  if (!point.parent) {
+    return 'behind';
+  }
+
+  const target = getOperationById(point.parent);
+  if (!target) {
+    return 'elsewhere';
+  }
+  if (target.undoState !== UNDO_STATES.UNDONE) {
+    return 'behind';
+  }
+
+  const lineage = getPathToOperation(target.id);
+  return !headId || lineage.some(op => op.id === headId) ? 'ahead' : 'elsewhere';
+}
+
 // Enhanced operation filtering by file
 function getOperationsForFile(filePath, activeOnly = true) {
-  const operations = activeOnly ? getActiveOperations() : loadOperations();
+  // Without the whole log at hand, the file index finds them
+  const operations = isCached()
+    ? (activeOnly ? getActiveOperations() : loadOperations())
+    : foldRecords(readFileRecords(filePath)).filter(op => !activeOnly || isActive(op));
   return operations.filter(op => {
     // Handle different operation types
     switch (op.type) {
@@ -64,26 +246,228 @@ function getOperationsByType(operationType, activeOnly = true) {
 
 // Enhanced operation retrieval with sophisticated filtering
 function getLastOperations(count = 10, activeOnly = true) {
-  const operations = activeOnly ? getActiveOperations() : loadOperations();
+  const operations = activeOnly
+    ? [...getActiveOperations(), ...getCheckpoints()]
+    : loadOperations();
   return operations
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .sort((a, b) => compareTimestamps(b, a))
     .slice(0, count);
 }
 
-// Get operation by ID
+// Get operation by ID, through the index unless the log is already loaded
 function getOperationById(operationId) {
-  const operations = loadOperations();
-  return operations.find(op => op.id === operationId);
+  if (isCached()) {
+    return cache.operations.find(op => op.id === operationId);
+  }
+  return foldRecords(readOperationRecords(operationId)).find(op => op.id === operationId);
 }
 
-// Get operations in chronological order for cascading undo
+// Active operations logged after an operation, in log order, for cascading
+// undo. Timestamps cannot say: imported operations carry their commit's time.
 function getOperationsAfter(targetOperation) {
-  const operations = getActiveOperations();
-  const targetTime = new Date(targetOperation.timestamp);
-  
-  return operations
-    .filter(op => new Date(op.timestamp) > targetTime)
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return loadOperationsLoggedFrom(targetOperation)
+    .filter(op => op.id !== targetOperation.id && isActive(op));
+}
+
+// Build the undo tree: every operation hangs off the operation that was the
+// head when it was logged. Operations logged before the tree existed have
+// no `parent` field and are chained chronologically. Checkpoints are left
+// out - they point into the tree but nothing hangs off them.
+function buildOperationTree(operations = loadOperations()) {
+  const sorted = operations.filter(op => !isCheckpoint(op)).sort((a, b) => compareTimestamps(a, b));
+  const nodes = new Map();
+  let previous = null;
+
+  for (const op of sorted) {
+    const parentId = op.parent !== undefined ? op.parent : (previous ? previous.id : null);
+    nodes.set(op.id, { operation: op, parentId, children: [] });
+    previous = op;
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return { nodes, roots };
+}
+
+// The part of the undo tree that can hang off the head: the head and
+// everything logged after it (the whole tree when nothing is active)
+function buildTreeFromHead(head = getHeadOperation()) {
+  return buildOperationTree(head ? loadOperationsLoggedFrom(head) : loadOperations());
+}
+
+// Branch an operation belongs to (pre-tree operations are all on main)
+function getBranchName(operation) {
+  return operation.branch || 'main';
+}
+
+// Last active operation of a set, in log order
+function getLastActive(operations) {
+  return operations.filter(isActive).pop() || null;
+}
+
+// The head is the last active operation in log order - the tip of the
+// active path, since operations are always logged after their parent, and
+// whatever time they carry. The index keeps it up to date (see indexChunk);
+// after the head was undone it is looked for in the newest segments first,
+// reading further back only while none of them holds an active operation,
+// and stored for the next caller.
+function getHeadOperation() {
+  if (isCached()) {
+    return getLastActive(cache.operations);
+  }
+
+  const headId = getHeadId();
+  if (headId !== undefined) {
+    return (headId && getOperationById(headId)) || null;
+  }
+
+  const signature = getSignature();
+  const segments = listSegments();
+  for (let count = 1; ; count *= 2) {
+    const start = Math.max(0, segments.length - count);
+    const head = getLastActive(foldRecords(segments.slice(start).flatMap(readSegment)));
+
+    if (head || start === 0) {
+      recordHead(head ? head.id : null, signature);
+      return head;
+    }
+  }
+}
+
+// Operations from the root down to (and including) the given operation
+function getPathToOperation(operationId, tree = buildOperationTree()) {
+  const lineage = [];
+  let node = tree.nodes.get(operationId);
+
+  while (node) {
+    lineage.unshift(node.operation);
+    node = node.parentId ? tree.nodes.get(node.parentId) : null;
+  }
+
+  return lineage;
+}
+
+// Undone operations the head builds on: these were undone on their own
+// (--only), with the operations after them rebased to do without them
+function getUndoneAncestors(head = getHeadOperation()) {
+  if (!head) return [];
+  return getPathToOperation(head.id).filter(op => op.undoState === UNDO_STATES.UNDONE);
+}
+
+// Whether an operation was undone on its own (--only), so redoing it puts
+// back just that operation
+function isUndoneAlone(operation) {
+  return operation.undoState === UNDO_STATES.UNDONE && Boolean(operation.undoneAlone);
+}
+
+// Undone operations that can be redone without switching branches, newest
+// first: the ones that directly continue the current head, and the ones
+// undone on their own under it
+function getRedoCandidates() {
+  const head = getHeadOperation();
+  const tree = buildTreeFromHead(head);
+  const children = head
+    ? tree.nodes.get(head.id).children
+    : tree.roots;
+
+  return [
+    ...children.map(node => node.operation).filter(op => op.undoState === UNDO_STATES.UNDONE),
+    ...getUndoneAncestors(head)
+  ].sort((a, b) => compareTimestamps(b, a));
+}
+
+// Operations that redoing `operation` brings back, in chronological order:
+// undone ancestors between the head and the operation (which it builds on),
+// the operation itself, and the later operations undone together with it.
+// An operation undone on its own comes back on its own.
+// Throws when the operation is not reachable from the head.
+function getRedoCascade(operation) {
+  if (isUndoneAlone(operation)) {
+    return [operation];
+  }
+
+  const head = getHeadOperation();
+  const tree = buildTreeFromHead(head);
+  const lineage = getPathToOperation(operation.id, tree);
+  const headIndex = head ? lineage.findIndex(op => op.id === head.id) : -1;
+
+  if (head && headIndex === -1) {
+    const branch = getBranchName(operation);
+    if (branch === getBranchName(head)) {
+      throw new Error(
+        `Operation ${operation.id} is not on the path to ${head.id}, the head of branch ${branch}. ` +
+        `Run 'gcundo switch ${operation.id}' instead`
+      );
+    }
+    throw new Error(
+      `Operation ${operation.id} is on branch ${branch}, which is not checked out. ` +
+      `Run 'gcundo switch ${branch}' instead`
+    );
+  }
+
+  const cascade = lineage
+    .slice(headIndex + 1)
+    .filter(op => op.undoState === UNDO_STATES.UNDONE);
+
+  // Follow the operations that were undone in the same batch
+  let node = tree.nodes.get(operation.id);
+  while (operation.undoGroup && node) {
+    node = node.children
+      .filter(child => child.operation.undoState === UNDO_STATES.UNDONE)
+      .find(child => child.operation.undoGroup === operation.undoGroup);
+    if (node) {
+      cascade.push(node.operation);
+    }
+  }
+
+  return cascade;
+}
+
+// Summarise every branch of the undo tree
+function getBranches() {
+  const tree = buildOperationTree();
+  const head = getHeadOperation();
+  const currentBranch = head ? getBranchName(head) : null;
+  const branches = new Map();
+
+  for (const node of tree.nodes.values()) {
+    const op = node.operation;
+    const name = getBranchName(op);
+
+    if (!branches.has(name)) {
+      branches.set(name, {
+        name,
+        forkPoint: node.parentId,
+        operations: [],
+        tip: null
+      });
+    }
+
+    // The tip is where the branch goes no further, whatever the timestamps
+    // say (imported operations carry their commit's time)
+    const branch = branches.get(name);
+    branch.operations.push(op);
+    if (!branch.tip || !node.children.some(child => getBranchName(child.operation) === name)) {
+      branch.tip = op;
+    }
+  }
+
+  return [...branches.values()].map(branch => ({
+    name: branch.name,
+    forkPoint: branch.forkPoint,
+    tip: branch.tip,
+    total: branch.operations.length,
+    active: branch.operations.filter(op => op.undoState !== UNDO_STATES.UNDONE).length,
+    current: branch.name === currentBranch
+  }));
 }
 
 // Enhanced session statistics
@@ -115,7 +499,7 @@ function getSessionStats() {
 function getFileHistory(filePath) {
   const fileOperations = getOperationsForFile(filePath, false); // include undone operations
   return fileOperations
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .sort((a, b) => compareTimestamps(a, b))
     .map(op => ({
       id: op.id,
       timestamp: op.timestamp,
@@ -141,6 +525,8 @@ function generateOperationSummary(operation) {
       }
     case OPERATION_TYPES.COMMAND_EXECUTION:
       return `Executed: ${operation.command}`;
+    case OPERATION_TYPES.CHECKPOINT:
+      return `Checkpoint "${operation.name}"`;
     default:
       return `${operation.type} operation`;
   }
@@ -165,6 +551,12 @@ function getRecentActivity(count = 5) {
 
 module.exports = {
   loadOperations,
+  loadOperationsFrom,
+  loadOperationsLoggedFrom,
+  loadLatestOperations,
+  loadRecords,
+  loadEvents,
+  isEvent,
   getActiveOperations,
   getUndoneOperations,
   getOperationsForFile,
@@ -172,6 +564,20 @@ module.exports = {
   getLastOperations,
   getOperationById,
   getOperationsAfter,
+  isCheckpoint,
+  isActive,
+  getCheckpoints,
+  getCheckpoint,
+  getPointPosition,
+  buildOperationTree,
+  buildTreeFromHead,
+  getBranchName,
+  getHeadOperation,
+  getPathToOperation,
+  getRedoCandidates,
+  getRedoCascade,
+  isUndoneAlone,
+  getBranches,
   getSessionStats,
   getFileHistory,
   generateOperationSummary,
@@ -0,0 +1,400 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const picomatch = require('picomatch');
+const { gcundoHome, projectRoot, homeSource, getConfig, ensureHome, DIR_NAME } = require('./project');
+const { writeBlob, readBlob } = require('./blobs');
+const { digest, digestMatches } = require('./encryption');
+const { whyNotStored } = require('./redaction');
+const { decodeContent } = require('./content');
+const { StagedTree } = require('./transaction');
+const { createBackup, displayPath } = require('./backups');
+const { formatTime } = require('./time');
+
+// A checkpoint can carry a snapshot of the whole working tree, so files the
+// log never saw (other extensions, changes made while the monitor was off)
+// can be put back too. The snapshot is a manifest in snapshots/, named by
+// its sha256:
+//   { version, root, ignore, ignoreFiles, files: [{ path, mode, size, hash, stored, reason? }
+//                                                 | { path, symlink }] }
+// File bodies go into the blob store, so unchanged files cost nothing from
+// one snapshot to the next. The checkpoint record keeps
+// `snapshot: { hash, files, bytes }`.
+const snapshotDir = path.join(gcundoHome, 'snapshots');
+const MANIFEST_VERSION = 1;
+
+/**
+ * The snapshot settings from config.json
+ * @returns {Object} { enabled, ignore, ignoreFiles, maxFileSize, maxTotalSize }
+ */
+function getSnapshotSettings() {
+  // Required lazily - gc reads snapshot manifests
+  const { parseSize } = require('./gc');
+  const settings = getConfig().snapshots;
+
+  return {
+    enabled: settings.enabled !== false,
+    ignore: settings.ignore || [],
+    ignoreFiles: settings.ignoreFiles || [],
+    maxFileSize: settings.maxFileSize ? parseSize(settings.maxFileSize) : Infinity,
+    maxTotalSize: settings.maxTotalSize ? parseSize(settings.maxTotalSize) : Infinity
+  };
+}
+
+// Manifests are named by their sha256. The file hashes inside them are
+// body hashes (keyed when encryption is on), matching the blob names.
+function hashData(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Patterns without a slash match a file or directory name at any depth
+function ignoreMatcher(patterns) {
+  return patterns.length > 0 ? picomatch(patterns, { dot: true, basename: true }) : () => false;
+}
+
+// The rules of a .gitignore-style file: blank lines and # comments are
+// skipped, ! re-includes, a trailing / matches directories only, and a
+// pattern with a slash is anchored to the file's directory (otherwise it
+// matches a name at any depth below it)
+function readIgnoreFile(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf-8').split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = (negate ? line.slice(1) : line).replace(/^\\/, '');
+      const dirOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      return { negate, dirOnly, anchored, isMatch: picomatch(pattern.replace(/^\//, ''), { dot: true }) };
+    });
+}
+
+// Whether the ignore files read on the way down exclude a path. The last
+// rule that matches wins, and deeper files come later.
+function ignoredByFiles(levels, relative, isDirectory) {
+  let ignored = false;
+
+  for (const { base, rules } of levels) {
+    const local = base ? relative.slice(base.length + 1) : relative;
+    const name = local.slice(local.lastIndexOf('/') + 1);
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.isMatch(rule.anchored ? local : name)) ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Every file and symlink under root, minus ignored paths and gcundo's own
+ * directory, sorted by path
+ * @param {string} root - Directory to walk
+ * @param {Function} isIgnored - Called with each path relative to root (with /)
+ * @param {Array<string>} ignoreFiles - Names of ignore files to respect in every directory
+ * @returns {Map<string, Object>} relative path -> { path, abs, stat }
+ */
+function walkTree(root, isIgnored, ignoreFiles = []) {
+  const found = new Map();
+
+  const visit = (dir, levels) => {
+    const base = path.relative(root, dir).split(path.sep).join('/');
+    const rules = ignoreFiles.flatMap(name => readIgnoreFile(path.join(dir, name)));
+    if (rules.length > 0) levels = [...levels, { base, rules }];
+
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const abs = path.join(dir, dirent.name);
+      const relative = path.relative(root, abs).split(path.sep).join('/');
+      if (dirent.name === DIR_NAME || abs === gcundoHome || isIgnored(relative)) continue;
+      if (ignoredByFiles(levels, relative, dirent.isDirectory())) continue;
+
+      if (dirent.isDirectory()) {
+        visit(abs, levels);
+      } else if (dirent.isFile() || dirent.isSymbolicLink()) {
+        found.set(relative, { path: relative, abs, stat: fs.lstatSync(abs) });
+      }
+    }
+  };
+
+  if (fs.existsSync(root)) visit(root, []);
+  return new Map([...found.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function manifestPath(hash) {
+  return path.join(snapshotDir, `${hash}.json`);
+}
+
+/**
+ * Record the project's working tree: store every file's body and write the
+ * manifest. Files too large for snapshots.maxFileSize, and files backups
+ * would not keep either (sensitive paths and secrets without an encryption
+ * key), are listed by hash only. A tree whose files add up to more than
+ * snapshots.maxTotalSize is refused before anything is stored.
+ * @returns {Object|null} { hash, files, bytes } for the checkpoint record,
+ *   or null when snapshots are turned off or there is no project
+ */
+function captureSnapshot() {
+  const settings = getSnapshotSettings();
+  if (!settings.enabled) return null;
+
+  // With GCUNDO_HOME or ~/.gcundo there is no project to bound the walk
+  if (!projectRoot) {
+    console.warn(chalk.yellow(`⚠ No snapshot taken: the history in ${gcundoHome} (${homeSource}) belongs to no project. Run 'gcundo init' in the project root to snapshot it.`));
+    return null;
+  }
+
+  const root = projectRoot;
+  const entries = [...walkTree(root, ignoreMatcher(settings.ignore), settings.ignoreFiles).values()];
+  const total = entries
+    .filter(entry => entry.stat.isFile() && entry.stat.size <= settings.maxFileSize)
+    .reduce((sum, entry) => sum + entry.stat.size, 0);
+  if (total > settings.maxTotalSize) {
+    const { formatBytes } = require('./gc');
+    throw new Error(`The snapshot would store ${formatBytes(total)}, more than snapshots.maxTotalSize (${formatBytes(settings.maxTotalSize)}). Add ignore patterns, raise the limit, or use --no-snapshot`);
+  }
+
+  const files = [];
+  const skipped = [];
+  let bytes = 0;
+
+  for (const entry of entries) {
+    if (entry.stat.isSymbolicLink()) {
+      files.push({ path: entry.path, symlink: fs.readlinkSync(entry.abs) });
+      continue;
+    }
+
+    const data = fs.readFileSync(entry.abs);
+    const record = { path: entry.path, mode: entry.stat.mode & 0o7777, size: data.length, hash: digest(data), stored: true };
+    const reason = data.length > settings.maxFileSize
+      ? 'larger than snapshots.maxFileSize'
+      : whyNotStored(entry.abs, data);
+
+    if (reason) {
+      record.stored = false;
+      record.reason = reason;
+      skipped.push(record);
+    } else {
+      writeBlob(data);
+      bytes += data.length;
+    }
+    files.push(record);
+  }
+
+  const manifest = JSON.stringify({ version: MANIFEST_VERSION, root, ignore: settings.ignore, ignoreFiles: settings.ignoreFiles, files });
+  const hash = hashData(manifest);
+  ensureHome();
+  fs.ensureDirSync(snapshotDir);
+  if (!fs.existsSync(manifestPath(hash))) {
+    fs.writeFileSync(manifestPath(hash), manifest);
+  }
+
+  if (skipped.length > 0) {
+    console.warn(chalk.yellow(`⚠ Snapshot lists ${skipped.length} file(s) by hash only; snapshot restore cannot bring them back:`));
+    skipped.slice(0, 10).forEach(file => console.warn(chalk.yellow(`    ${file.path} (${file.reason})`)));
+    if (skipped.length > 10) {
+      console.warn(chalk.yellow(`    … and ${skipped.length - 10} more`));
+    }
+  }
+
+  return { hash, files: files.length, bytes };
+}
+
+/**
+ * Read a snapshot manifest, checking it against its name
+ * @param {string} hash - sha256 from the checkpoint record
+ * @returns {Object} The manifest
+ */
+function readSnapshotManifest(hash) {
+  const manifestFile = manifestPath(hash);
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Snapshot ${hash.substring(0, 12)} is missing from ${snapshotDir}`);
+  }
+
+  const text = fs.readFileSync(manifestFile, 'utf-8');
+  if (hashData(text) !== hash) {
+    throw new Error(`Snapshot ${hash.substring(0, 12)} does not match its hash`);
+  }
+  return JSON.parse(text);
+}
+
+// Every snapshot manifest on disk, for gc and verify
+function listSnapshots() {
+  if (!fs.existsSync(snapshotDir)) return [];
+
+  return fs.readdirSync(snapshotDir)
+    .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+    .map(name => {
+      const manifestFile = path.join(snapshotDir, name);
+      const stat = fs.statSync(manifestFile);
+      return { hash: name.replace(/\.json$/, ''), path: manifestFile, size: stat.size, mtime: stat.mtimeMs };
+    });
+}
+
+// The blobs a snapshot keeps alive. A missing or damaged manifest keeps
+// nothing (verify reports it).
+function snapshotBlobHashes(hash) {
+  try {
+    return readSnapshotManifest(hash).files.filter(file => file.stored).map(file => file.hash);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Work out what putting the working tree back to a checkpoint's snapshot
+ * involves, without touching anything
+ * @param {string} nameOrId - Checkpoint name or id
+ * @returns {Object} { checkpoint, manifest, writes, deletes, chmods, links, unrestorable }
+ */
+function planSnapshotRestore(nameOrId) {
+  // Required lazily - sessions reads the log through the logger
+  const { getCheckpoint } = require('./sessions');
+
+  const checkpoint = getCheckpoint(nameOrId);
+  if (!checkpoint) {
+    throw new Error(`Checkpoint not found: ${nameOrId}`);
+  }
+  if (!checkpoint.snapshot) {
+    throw new Error(`Checkpoint "${checkpoint.name}" was recorded without a snapshot; 'gcundo undo --to ${checkpoint.name}' rewinds the files gcundo logged`);
+  }
+
+  const manifest = readSnapshotManifest(checkpoint.snapshot.hash);
+  const current = walkTree(manifest.root, ignoreMatcher(manifest.ignore), manifest.ignoreFiles);
+  const plan = { checkpoint, manifest, writes: [], deletes: [], chmods: [], links: [], unrestorable: [] };
+
+  for (const file of manifest.files) {
+    const abs = path.join(manifest.root, file.path);
+    const found = current.get(file.path);
+    current.delete(file.path);
+
+    if (file.symlink !== undefined) {
+      if (!found || !found.stat.isSymbolicLink() || fs.readlinkSync(abs) !== file.symlink) {
+        plan.links.push({ ...file, abs, exists: Boolean(found) });
+      }
+      continue;
+    }
+
+    const same = found && found.stat.isFile() && found.stat.size === file.size &&
+      digestMatches(fs.readFileSync(abs), file.hash);
+    if (same) {
+      if ((found.stat.mode & 0o7777) !== file.mode) plan.chmods.push({ ...file, abs });
+    } else if (!file.stored) {
+      plan.unrestorable.push({ ...file, abs, exists: Boolean(found) });
+    } else {
+      plan.writes.push({ ...file, abs, exists: Boolean(found), replacesLink: Boolean(found && found.stat.isSymbolicLink()) });
+    }
+  }
+
+  // Whatever is left was not there when the snapshot was taken. Files
+  // backups would not keep say why, since deleting them loses them.
+  plan.deletes = [...current.values()].map(found => {
+    const symlink = found.stat.isSymbolicLink();
+    const unprotected = symlink ? null : whyNotStored(found.abs, fs.readFileSync(found.abs));
+    return { path: found.path, abs: found.abs, symlink, ...(unprotected && { unprotected }) };
+  });
+  return plan;
+}
+
+function printSnapshotPlan(plan) {
+  const { checkpoint } = plan;
+  const changes = plan.writes.length + plan.deletes.length + plan.chmods.length + plan.links.length;
+
+  console.log(chalk.bold(`Snapshot of checkpoint "${checkpoint.name}" (${checkpoint.snapshot.files} files, ${formatTime(checkpoint.timestamp)}):`));
+  if (changes === 0 && plan.unrestorable.length === 0) {
+    console.log(chalk.green('  ✓ The working tree already matches it'));
+    return;
+  }
+
+  plan.writes.forEach(file => console.log(`  ${file.exists ? chalk.yellow('~') : chalk.green('+')} ${file.path}`));
+  plan.links.forEach(file => console.log(`  ${chalk.green('+')} ${file.path} -> ${file.symlink}`));
+  plan.chmods.forEach(file => console.log(`  ${chalk.cyan('m')} ${file.path} (mode ${file.mode.toString(8)})`));
+  plan.deletes.forEach(file => {
+    const note = file.unprotected
+      ? chalk.yellow(`(not in the snapshot; not backed up: ${file.unprotected} and no encryption key is set)`)
+      : chalk.gray('(not in the snapshot)');
+    console.log(`  ${chalk.red('-')} ${file.path} ${note}`);
+  });
+  plan.unrestorable.forEach(file => {
+    console.log(chalk.yellow(`  ! ${file.path}: ${file.exists ? 'differs' : 'missing'}, but the snapshot has it by hash only (${file.reason})`));
+  });
+}
+
+/**
+ * Put the working tree back to a snapshot, in one all-or-nothing write.
+ * Every file changed is backed up first, and each change is logged as an
+ * operation, so the restore can itself be undone.
+ * @param {Object} plan - From planSnapshotRestore
+ * @param {Object} options - { deleteExtra: also delete files not in the snapshot }
+ * @returns {Promise<Object>} { applied, operations, kept }
+ */
+async function applySnapshotRestore(plan, options = {}) {
+  // Required lazily - the logger pulls in the blob store and the log
+  const { logOperation, OPERATION_TYPES, OPERATION_MODES } = require('./logger');
+  const { checkpoint } = plan;
+  const tree = new StagedTree();
+
+  // Read every body before anything is written. A file standing where a
+  // symlink is now replaces the link rather than writing through it.
+  for (const file of plan.writes) {
+    const body = readBlob(file.hash, { binary: true });
+    if (body === undefined) {
+      throw new Error(`The body of ${file.path} is missing from the blob store; nothing was restored`);
+    }
+    tree.write(file.abs, decodeContent(body), { replaceLink: file.replacesLink });
+  }
+  plan.links.forEach(file => tree.symlink(file.abs, file.symlink));
+
+  const deletes = options.deleteExtra ? plan.deletes : [];
+  deletes.forEach(file => tree.remove(file.abs));
+
+  let applied;
+  try {
+    applied = await tree.commit({
+      backup: filePath => createBackup(filePath, { action: 'snapshot restore' })
+    });
+  } catch (error) {
+    throw new Error(`Failed to restore snapshot "${checkpoint.name}": ${error.message}`);
+  }
+
+  // Directories the deleted files leave empty go too
+  for (const file of deletes) {
+    let dir = path.dirname(file.abs);
+    while (dir.startsWith(plan.manifest.root + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      await fs.rmdir(dir);
+      dir = path.dirname(dir);
+    }
+  }
+  for (const file of [...plan.writes, ...plan.chmods]) {
+    await fs.chmod(file.abs, file.mode);
+  }
+
+  // The log records file bodies, not symlinks, so link changes go unlogged
+  const metadata = { restoredFrom: `snapshot:${checkpoint.id}` };
+  const operations = applied.filter(change => change.link === null && change.original.link === null).map(change => {
+    const file = displayPath(change.path);
+    if (change.action === 'delete') {
+      return logOperation({ type: OPERATION_TYPES.FILE_DELETE, file, before: change.original.content, metadata });
+    }
+    if (change.original.exists) {
+      return logOperation({ type: OPERATION_TYPES.FILE_EDIT, file, operation: OPERATION_MODES.FULL_CONTENT, before: change.original.content, after: change.content, metadata });
+    }
+    return logOperation({ type: OPERATION_TYPES.FILE_CREATE, file, after: change.content, metadata });
+  }).filter(Boolean);
+
+  return { applied, operations, kept: options.deleteExtra ? [] : plan.deletes };
+}
+
+module.exports = {
+  snapshotDir,
+  getSnapshotSettings,
+  captureSnapshot,
+  readSnapshotManifest,
+  listSnapshots,
+  snapshotBlobHashes,
+  planSnapshotRestore,
+  printSnapshotPlan,
+  applySnapshotRestore
+};
@@ -0,0 +1,97 @@
+// Time handling for the log. Records written by logOperation carry ISO
+// strings, older records (and the README's legacy format) carry epoch
+// numbers, so every comparison goes through toEpoch.
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Epoch milliseconds for a timestamp in any format found in the log.
+// Numbers too small to be milliseconds are taken as epoch seconds.
+function toEpoch(value) {
+  if (typeof value === 'number') {
+    return value < 1e11 ? value * 1000 : value;
+  }
+  if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim())) {
+    return toEpoch(Number(value));
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+// Epoch milliseconds of an operation; unreadable timestamps sort first
+function getTimestamp(operation) {
+  const time = toEpoch(operation.timestamp);
+  return isNaN(time) ? 0 : time;
+}
+
+// Sort comparator, oldest first
+function compareTimestamps(a, b) {
+  return getTimestamp(a) - getTimestamp(b);
+}
+
+/**
+ * Parse a time expression into epoch milliseconds:
+ *   "15m", "2h", "1h30m", "3d ago" - relative to now (s, m, h, d, w)
+ *   "14:30"                         - today at that local time
+ *   "2026-10-19 14:30", ISO strings - absolute, local time unless zoned
+ *   "1760884200000"                 - epoch milliseconds (or seconds)
+ * @param {string} expression - Time expression
+ * @param {number} now - Reference time for relative expressions
+ * @returns {number} Epoch milliseconds
+ */
+function parseTimeExpression(expression, now = Date.now()) {
+  const text = String(expression).trim().toLowerCase();
+
+  if (text === 'now') {
+    return now;
+  }
+
+  const relative = text.replace(/\s*ago$/, '').replace(/\s+/g, '');
+  if (/^(\d+(\.\d+)?[smhdw])+$/.test(relative)) {
+    let offset = 0;
+    for (const [, amount, unit] of relative.matchAll(/(\d+(?:\.\d+)?)([smhdw])/g)) {
+      offset += Number(amount) * UNITS[unit];
+    }
+    return now - offset;
+  }
+
+  const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const date = new Date(now);
+    date.setHours(Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), 0);
+    return date.getTime();
+  }
+
+  const absolute = toEpoch(String(expression).trim());
+  if (isNaN(absolute)) {
+    throw new Error(`Invalid time: "${expression}" (use e.g. 15m, 2h, 1d, 14:30 or "2026-10-19 14:30")`);
+  }
+  return absolute;
+}
+
+// Check whether an operation falls inside an optional [since, until] window
+function isWithin(operation, since, until) {
+  const time = getTimestamp(operation);
+  return (since === undefined || time >= since) && (until === undefined || time <= until);
+}
+
+// Human readable form of epoch milliseconds
+function formatTime(time) {
+  return new Date(time).toLocaleString();
+}
+
+module.exports = {
+  toEpoch,
+  getTimestamp,
+  compareTimestamps,
+  parseTimeExpression,
+  isWithin,
+  formatTime
+};
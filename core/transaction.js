@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readContent, sameContent } = require('./content');
+
+// The target of a symlink, or null for anything else (or nothing)
+function readLink(filePath) {
+    try {
+        return fs.lstatSync(filePath).isSymbolicLink() ? fs.readlinkSync(filePath) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * In-memory view of the working tree used to stage a batch of undo/redo
+ * changes. Nothing touches the disk until commit(), and a failed commit
+ * puts every file it already wrote back the way it was found.
+ */
+class StagedTree {
+    constructor() {
+        // content is a string for text files and a Buffer for binary ones;
+        // link is the target when the path is a symlink, else null
+        this.originals = new Map(); // key -> { file, exists, content, link } as found on disk
+        this.staged = new Map();    // key -> { file, exists, content, link } after staging
+    }
+
+    /**
+     * Normalise a path so relative and absolute references share one entry
+     * @param {string} filePath - Path as recorded in the log
+     * @returns {string} Absolute path
+     */
+    key(filePath) {
+        return path.resolve(filePath);
+    }
+
+    /**
+     * Read the on-disk state of a file the first time it is touched
+     * @param {string} filePath - File to load
+     * @returns {Object} Staged entry for the file
+     */
+    load(filePath) {
+        const key = this.key(filePath);
+
+        if (!this.staged.has(key)) {
+            // exists and content follow a symlink; a dangling one does not exist
+            const link = readLink(key);
+            const exists = fs.existsSync(key);
+            const entry = {
+                file: filePath,
+                exists,
+                content: exists && !(link && fs.statSync(key).isDirectory()) ? readContent(key) : null,
+                link
+            };
+            this.originals.set(key, entry);
+            this.staged.set(key, { ...entry });
+        }
+
+        return this.staged.get(key);
+    }
+
+    /**
+     * Check whether a file exists in the staged tree
+     * @param {string} filePath - File to check
+     * @returns {boolean} True if the file exists after staged changes
+     */
+    exists(filePath) {
+        return this.load(filePath).exists;
+    }
+
+    /**
+     * Read staged file content
+     * @param {string} filePath - File to read
+     * @returns {string|Buffer} Content after staged changes
+     */
+    read(filePath) {
+        const entry = this.load(filePath);
+        if (!entry.exists) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        return entry.content;
+    }
+
+    /**
+     * Stage a write. A symlink is written through unless replaceLink is set.
+     * @param {string} filePath - File to write
+     * @param {string|Buffer} content - New content
+     * @param {Object} options - { replaceLink: put a plain file where a symlink is }
+     */
+    write(filePath, content, options = {}) {
+        const entry = this.load(filePath);
+        entry.exists = true;
+        entry.content = content;
+        if (options.replaceLink) entry.link = null;
+    }
+
+    /**
+     * Stage a symlink, replacing whatever is at the path
+     * @param {string} filePath - Path of the link
+     * @param {string} target - What the link points to
+     */
+    symlink(filePath, target) {
+        const entry = this.load(filePath);
+        if (entry.link === target) return;
+        entry.exists = true;
+        entry.content = null;
+        entry.link = target;
+    }
+
+    /**
+     * Stage a removal (of the link itself, for a symlink)
+     * @param {string} filePath - File to remove
+     */
+    remove(filePath) {
+        const entry = this.load(filePath);
+        entry.exists = false;
+        entry.content = null;
+        entry.link = null;
+    }
+
+    /**
+     * List the files whose staged state differs from disk
+     * @returns {Array} Changes in the order files were first touched
+     */
+    getChanges() {
+        const changes = [];
+
+        for (const [key, entry] of this.staged) {
+            const original = this.originals.get(key);
+            const relinked = original.link !== entry.link;
+            if (!relinked && original.exists === entry.exists && sameContent(original.content, entry.content)) {
+                continue;
+            }
+
+            let action = 'write';
+            if (!entry.exists) action = 'delete';
+            else if (entry.link !== null) action = relinked ? 'link' : 'write';
+
+            changes.push({
+                file: entry.file,
+                path: key,
+                action,
+                content: entry.content,
+                link: entry.link,
+                relinked,
+                original
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Apply all staged changes to disk, rolling back on the first failure
+     * @param {Object} options - Commit options
+     * @param {Function} options.backup - Called with each existing file before it is changed
+     *   (not with symlinks to directories)
+     * @returns {Promise<Array>} Applied changes
+     */
+    async commit(options = {}) {
+        const changes = this.getChanges();
+        const applied = [];
+
+        try {
+            for (const change of changes) {
+                if (change.original.exists && change.original.content !== null && options.backup) {
+                    await options.backup(change.path);
+                }
+
+                // Record before writing so a half-written file is restored too
+                applied.push(change);
+
+                // A symlink that goes or changes is removed first, rather
+                // than written through
+                if (change.action === 'delete' || change.relinked) {
+                    await fs.remove(change.path);
+                }
+                if (change.action === 'link') {
+                    await fs.ensureDir(path.dirname(change.path));
+                    await fs.symlink(change.link, change.path);
+                } else if (change.action === 'write') {
+                    await fs.ensureDir(path.dirname(change.path));
+                    await fs.writeFile(change.path, change.content);
+                }
+            }
+        } catch (error) {
+            const failures = await this.rollback(applied);
+            const suffix = failures.length > 0
+                ? ` (rollback failed for: ${failures.join(', ')})`
+                : ' (all changes rolled back)';
+            throw new Error(`${error.message}${suffix}`);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Restore files to the state they were in before commit() started
+     * @param {Array} applied - Changes that were (possibly partially) applied
+     * @returns {Promise<Array>} Files that could not be restored
+     */
+    async rollback(applied) {
+        const failures = [];
+
+        for (const change of [...applied].reverse()) {
+            try {
+                if (change.relinked) {
+                    await fs.remove(change.path);
+                }
+                if (change.original.link !== null && change.relinked) {
+                    await fs.ensureDir(path.dirname(change.path));
+                    await fs.symlink(change.original.link, change.path);
+                } else if (change.original.link !== null) {
+                    // Written through the link: put its target's content back
+                    if (change.original.content !== null) {
+                        await fs.writeFile(change.path, change.original.content);
+                    }
+                } else if (change.original.exists) {
+                    await fs.ensureDir(path.dirname(change.path));
+                    await fs.writeFile(change.path, change.original.content);
+                } else if (readLink(change.path) !== null || await fs.pathExists(change.path)) {
+                    // A symlink goes too, dangling or not
+                    await fs.remove(change.path);
+                }
+            } catch (error) {
+                failures.push(change.file);
+            }
+        }
+
+        return failures;
+    }
+}
+
+module.exports = {
+    StagedTree
+};
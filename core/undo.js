@@ -1,332 +1,916 @@
-const fs = require('fs-extra');
 const path = require('path');
-const { updateOperationUndoState, OPERATION_TYPES, OPERATION_MODES, UNDO_STATES } = require('./logger');
+const crypto = require('crypto');
 const { 
+  appendEvents,
+  createEvent,
+  hashContent, 
+  OPERATION_TYPES, 
+  OPERATION_MODES, 
+  UNDO_STATES,
+  EVENT_TYPES
+} = require('./logger');
+const { storeBodies } = require('./blobs');
+const { createBackup } = require('./backups');
+const { warnMaskedRestore, isUnrestorable, hashOnlyError } = require('./redaction');
+const { StagedTree } = require('./transaction');
+const { ConflictError, detectConflict, detectMaskedRestore, CONFLICT_KINDS, CONFLICT_STRATEGIES } = require('./conflicts');
+const { mergeThreeWay } = require('./merge');
+const { getOperationKind, rebaseOverFullContent, rebaseOverStringReplace } = require('./rebase');
+const { getTimestamp, compareTimestamps, parseTimeExpression, isWithin, formatTime } = require('./time');
+const { selectOperationsInScope } = require('./scope');
+const { 
+  loadOperations,
   getActiveOperations, 
-  getUndoneOperations, 
   getOperationById, 
-  getOperationsAfter 
+  getOperationsAfter,
+  buildOperationTree,
+  getBranchName,
+  getBranches,
+  getPathToOperation,
+  getRedoCandidates,
+  getRedoCascade,
+  isCheckpoint,
+  getCheckpoint,
+  getPointPosition,
+  getHeadOperation,
+  getUndoneOperations,
+  isUndoneAlone
 } = require('./sessions');
 
 // Enhanced undo with sophisticated operation handling
-async function undoOperation(operationId) {
+async function undoOperation(operationId, options = {}) {
   const operation = getOperationById(operationId);
   if (!operation) {
     throw new Error(`Operation not found: ${operationId}`);
   }
 
+  if (isCheckpoint(operation)) {
+    throw new Error(`${operationId} is checkpoint "${operation.name}"; use --to ${operation.name} to rewind or replay to it`);
+  }
+
   if (operation.undoState === UNDO_STATES.UNDONE) {
     throw new Error(`Operation ${operationId} is already undone`);
   }
 
-  // Get operations that need to be undone due to cascading
-  const cascadingOps = getOperationsAfter(operation);
-  
-  // Undo cascading operations first (in reverse order)
-  for (const cascadingOp of cascadingOps.reverse()) {
-    if (cascadingOp.undoState === UNDO_STATES.ACTIVE) {
-      await performUndo(cascadingOp);
-    }
-  }
-  
-  // Undo the target operation
-  await performUndo(operation);
+  // Undo cascading operations first (in reverse order), then the target,
+  // as a single transaction
+  const plan = planUndo(operation, options);
+  const { merged } = await commitPlan(plan, 'undo', options);
   
   return {
     undone: operation,
-    cascading: cascadingOps.filter(op => op.undoState === UNDO_STATES.ACTIVE)
+    cascading: plan.operations.filter(op => op.id !== operation.id).reverse(),
+    merged,
+    plan
   };
 }
 
 // Enhanced redo with sophisticated operation handling
-async function redoOperation(operationId) {
+async function redoOperation(operationId, options = {}) {
   const operation = getOperationById(operationId);
   if (!operation) {
     throw new Error(`Operation not found: ${operationId}`);
   }
 
+  if (isCheckpoint(operation)) {
+    throw new Error(`${operationId} is checkpoint "${operation.name}"; use --to ${operation.name} to rewind or replay to it`);
+  }
+
   if (operation.undoState === UNDO_STATES.ACTIVE) {
     throw new Error(`Operation ${operationId} is already active`);
   }
 
-  await performRedo(operation);
+  // Redo the undone operations it builds on and the ones undone with it,
+  // in chronological order, as a single transaction (or the operation alone,
+  // rebasing later ones, if it was undone with --only)
+  const plan = planRedo(operation, options);
+  const { merged } = await commitPlan(plan, 'redo', options);
   
-  return { redone: operation };
+  return {
+    redone: operation,
+    cascading: plan.operations.filter(op => op.id !== operation.id),
+    rebased: (plan.rebased || []).map(entry => entry.operation),
+    merged,
+    plan
+  };
+}
+
+// Move the head of the undo tree to another operation (or to before the
+// first one when targetId is null): active operations that are not its
+// ancestors are undone and the undone ones leading to it are redone, all in
+// one transaction
+async function moveHead(targetId, options = {}) {
+  const plan = planMoveHead(targetId, options);
+  const { merged } = await commitPlan(plan, 'switch', options);
+
+  return {
+    undone: plan.steps.filter(step => step.action === 'undo').map(step => step.operation),
+    redone: plan.steps.filter(step => step.action === 'redo').map(step => step.operation),
+    merged,
+    plan
+  };
+}
+
+// Switch to another branch of the undo tree, by branch name or operation ID
+async function switchBranch(branchOrOperationId, options = {}) {
+  const branch = getBranches().find(b => b.name === branchOrOperationId);
+  const target = branch ? branch.tip : getOperationById(branchOrOperationId);
+  if (!target) {
+    throw new Error(`Branch or operation not found: ${branchOrOperationId}`);
+  }
+
+  const result = await moveHead(target.id, options);
+  return { branch: getBranchName(target), target, ...result };
+}
+
+// Undo a batch of operations (in the given order) as one transaction
+async function undoOperations(operations, options = {}) {
+  return await runTransaction(operations, 'undo', options);
+}
+
+// Redo a batch of operations (in the given order) as one transaction
+async function redoOperations(operations, options = {}) {
+  return await runTransaction(operations, 'redo', options);
+}
+
+// Perform the actual undo of a single operation
+async function performUndo(operation, options = {}) {
+  return await runTransaction([operation], 'undo', options);
+}
+
+// Perform the actual redo of a single operation
+async function performRedo(operation, options = {}) {
+  return await runTransaction([operation], 'redo', options);
+}
+
+// Work out what undoing an operation (and its cascade) would do, without
+// touching the disk. Used by preview so it reports exactly what undo checks.
+function planUndo(operation, options = {}) {
+  const operations = operation.undoState === UNDO_STATES.UNDONE
+    ? []
+    : [...getOperationsAfter(operation)].reverse().concat(operation);
+  return { operations, ...stageTransaction(operations, 'undo', options) };
+}
+
+// Work out what redoing an operation (and its forward cascade) would do,
+// without touching the disk. An operation undone on its own (--only) is
+// redone on its own.
+function planRedo(operation, options = {}) {
+  if (isUndoneAlone(operation)) {
+    return planSelectiveRedo(operation, options);
+  }
+
+  const operations = operation.undoState === UNDO_STATES.UNDONE ? getRedoCascade(operation) : [];
+  return { operations, ...stageTransaction(operations, 'redo', options) };
 }
 
-// Perform the actual undo based on operation type
-async function performUndo(operation) {
+// Undo everything recorded after a checkpoint or a point in time
+async function undoTo(target, options = {}) {
+  return await moveToPoint(target, 'undo', options);
+}
+
+// Redo everything between the current state and a checkpoint or a point in time
+async function redoTo(target, options = {}) {
+  return await moveToPoint(target, 'redo', options);
+}
+
+async function moveToPoint(target, action, options = {}) {
+  const plan = planToPoint(target, action, options);
+  const { merged } = await commitPlan(plan, action, options);
+
+  return {
+    point: plan.point,
+    undone: plan.steps.filter(step => step.action === 'undo').map(step => step.operation),
+    redone: plan.steps.filter(step => step.action === 'redo').map(step => step.operation),
+    merged,
+    plan
+  };
+}
+
+// Undo every active operation logged at or after a point in time
+async function undoSince(expression, options = {}) {
+  return await undoOperation(getFirstOperationSince(expression).id, options);
+}
+
+// Oldest active operation logged at or after a point in time
+function getFirstOperationSince(expression) {
+  const since = parseTimeExpression(expression);
+  const [first] = getActiveOperations()
+    .filter(op => isWithin(op, since))
+    .sort(compareTimestamps);
+
+  if (!first) {
+    throw new Error(`No active operations since ${formatTime(since)}`);
+  }
+
+  return first;
+}
+
+// Resolve a --to target into a point in history: { label, parent } where
+// parent is the operation that is the head at that point. Checkpoint names
+// win; anything else is read as a time, meaning the head as it stood then
+// (undo) or the furthest undone operation up to then on this branch (redo).
+function resolvePoint(target, action) {
+  const checkpoint = getCheckpoint(target);
+  if (checkpoint) {
+    return { label: `checkpoint "${checkpoint.name}"`, parent: checkpoint.parent, branch: checkpoint.branch, checkpoint };
+  }
+
+  let time;
   try {
-    switch (operation.type) {
-      case OPERATION_TYPES.FILE_EDIT:
-        await undoFileEdit(operation);
-        break;
-      case OPERATION_TYPES.FILE_CREATE:
-        await undoFileCreate(operation);
-        break;
-      case OPERATION_TYPES.FILE_DELETE:
-        await undoFileDelete(operation);
-        break;
-      case OPERATION_TYPES.COMMAND_EXECUTION:
-        await undoCommandExecution(operation);
-        break;
-      default:
-        // Backward compatibility with old format
-        await undoLegacyOperation(operation);
-    }
-    
-    // Mark operation as undone
-    updateOperationUndoState(operation.id, UNDO_STATES.UNDONE);
-    
+    time = parseTimeExpression(target);
   } catch (error) {
-    throw new Error(`Failed to undo operation ${operation.id}: ${error.message}`);
+    throw new Error(`No checkpoint named "${target}", and it is not a time either (use e.g. 15m, 14:30 or "2026-10-19 14:30")`);
   }
+
+  const label = formatTime(time);
+
+  if (action === 'undo') {
+    const [at] = getActiveOperations()
+      .filter(op => isWithin(op, undefined, time))
+      .sort((a, b) => compareTimestamps(b, a));
+    return { label, parent: at ? at.id : null, time };
+  }
+
+  const head = getHeadOperation();
+  const tree = buildOperationTree();
+  const [at] = getUndoneOperations()
+    .filter(op => isWithin(op, undefined, time))
+    .filter(op => !head || getPathToOperation(op.id, tree).some(ancestor => ancestor.id === head.id))
+    .sort((a, b) => compareTimestamps(b, a));
+  if (!at) {
+    throw new Error(`Nothing to redo up to ${label} on the current branch`);
+  }
+  return { label, parent: at.id, time };
 }
 
-// Perform the actual redo based on operation type
-async function performRedo(operation) {
-  try {
-    switch (operation.type) {
-      case OPERATION_TYPES.FILE_EDIT:
-        await redoFileEdit(operation);
-        break;
-      case OPERATION_TYPES.FILE_CREATE:
-        await redoFileCreate(operation);
-        break;
-      case OPERATION_TYPES.FILE_DELETE:
-        await redoFileDelete(operation);
-        break;
-      case OPERATION_TYPES.COMMAND_EXECUTION:
-        await redoCommandExecution(operation);
-        break;
-      default:
-        // Backward compatibility with old format
-        await redoLegacyOperation(operation);
+// Work out what rewinding (undo) or replaying (redo) to a checkpoint or time
+// would do. Both mark where the head was, so this is a head move restricted
+// to one direction.
+function planToPoint(target, action, options = {}) {
+  const point = resolvePoint(target, action);
+
+  if (point.parent && !getOperationById(point.parent)) {
+    throw new Error(`${point.label} points at ${point.parent}, which is no longer in the log`);
+  }
+
+  const position = getPointPosition(point);
+  if (position === 'current') {
+    throw new Error(`Nothing to ${action}: already at ${point.label}`);
+  }
+  if (position === 'elsewhere') {
+    throw new Error(
+      `${point.label} is on branch ${point.branch || 'main'}, which is not checked out. ` +
+      `Run 'gcundo switch ${point.parent}' instead`
+    );
+  }
+  if (action === 'undo' && position === 'ahead') {
+    throw new Error(`${point.label} is ahead of the current state. Run 'gcundo redo --to "${target}"' instead`);
+  }
+  if (action === 'redo' && position === 'behind') {
+    throw new Error(`${point.label} is behind the current state. Run 'gcundo undo --to "${target}"' instead`);
+  }
+
+  return { point, ...planMoveHead(point.parent, options) };
+}
+
+// Undo every active operation on files inside a path scope back to a chosen
+// point, leaving operations on other files alone
+async function undoPath(scope, options = {}) {
+  const plan = planPathUndo(scope, options);
+  const { merged } = await commitPlan(plan, 'undo', options);
+
+  return {
+    undone: plan.operations,
+    files: plan.files,
+    merged,
+    plan
+  };
+}
+
+// Work out what a path-scoped undo would do. `scope` holds the --path and
+// --exclude patterns plus an optional starting point: an operation id
+// (`from`, inclusive), a time (`since`) or a checkpoint/time (`to`).
+function planPathUndo(scope, options = {}) {
+  const isAfterStart = getScopeStart(scope);
+  const candidates = getActiveOperations().filter(isAfterStart);
+  const { operations, lineages } = selectOperationsInScope(candidates, scope, loadOperations());
+
+  if (operations.length === 0) {
+    throw new Error(`No active operations on files matching ${describeScope(scope)}`);
+  }
+
+  const steps = [...operations].reverse().map(operation => ({ operation, action: 'undo' }));
+  const staged = stageSteps(steps, options);
+  const changes = staged.tree.getChanges();
+
+  // One entry per file, following it through renames
+  const files = [];
+  for (const operation of operations) {
+    const lineage = lineages.get(operation.file);
+    const names = lineage ? [...lineage.files] : [operation.file];
+    let entry = files.find(file => file.names.includes(operation.file));
+    if (!entry) {
+      entry = { file: names[0], names, operations: [], changes: [] };
+      files.push(entry);
     }
-    
-    // Mark operation as active
-    updateOperationUndoState(operation.id, UNDO_STATES.ACTIVE);
-    
+    entry.operations.push(operation);
+  }
+  files.forEach(entry => {
+    entry.changes = changes
+      .filter(change => entry.names.includes(change.file))
+      .map(change => ({
+        file: change.file,
+        action: change.action === 'delete' ? 'delete' : change.original.exists ? 'write' : 'restore',
+        size: change.content === null ? 0 : Buffer.byteLength(change.content)
+      }));
+  });
+
+  return { operations, files, kept: candidates.length - operations.length, ...staged };
+}
+
+// Predicate for the operations at or after a path-scoped undo's start point
+function getScopeStart(scope) {
+  if (scope.from) {
+    const start = getOperationById(scope.from);
+    if (!start) {
+      throw new Error(`Operation not found: ${scope.from}`);
+    }
+    return op => getTimestamp(op) >= getTimestamp(start);
+  }
+
+  if (scope.since) {
+    const since = parseTimeExpression(scope.since);
+    return op => isWithin(op, since);
+  }
+
+  if (scope.to) {
+    const point = resolvePoint(scope.to, 'undo');
+    const start = point.parent ? getOperationById(point.parent) : null;
+    return op => !start || getTimestamp(op) > getTimestamp(start);
+  }
+
+  return () => true;
+}
+
+// Human readable form of --path/--exclude
+function describeScope(scope) {
+  const exclude = scope.exclude ? ` (excluding ${scope.exclude})` : '';
+  return `${scope.paths || 'all files'}${exclude}`;
+}
+
+// Work out what moving the head to another operation would do
+function planMoveHead(targetId, options = {}) {
+  const tree = buildOperationTree();
+  const targetPath = targetId ? getPathToOperation(targetId, tree) : [];
+  const onPath = new Set(targetPath.map(op => op.id));
+
+  // Operations undone on their own (--only) stay undone: the ones after
+  // them were rebased to do without them
+  const lastActive = targetPath.map(op => op.undoState).lastIndexOf(UNDO_STATES.ACTIVE);
+  const undoneAlone = (op, index) => op.undoneAlone || index < lastActive;
+
+  const steps = [
+    ...getActiveOperations()
+      .filter(op => !onPath.has(op.id))
+      .reverse()
+      .map(operation => ({ operation, action: 'undo' })),
+    ...targetPath
+      .filter((op, index) => op.undoState === UNDO_STATES.UNDONE && !undoneAlone(op, index))
+      .map(operation => ({ operation, action: 'redo' }))
+  ];
+
+  return { operations: steps.map(step => step.operation), ...stageSteps(steps, options) };
+}
+
+// Stage a batch of operations that all move in the same direction
+function stageTransaction(operations, action, options = {}) {
+  return stageSteps(operations.map(operation => ({ operation, action })), options);
+}
+
+// Stage every step against the same in-memory tree, which preflights them
+// against the disk. Each step is checked against the state the previous ones
+// leave behind, so chained edits to one file verify cleanly.
+function stageSteps(steps, options = {}) {
+  const tree = new StagedTree();
+  const conflicts = [];
+  const merged = [];
+  const failures = [];
+
+  // Bodies logged by hash only can never be put back: refuse the whole
+  // plan up front, dry run or not
+  const unrestorable = steps.find(({ operation, action }) => isUnrestorable(operation, action));
+  if (unrestorable) {
+    throw hashOnlyError(unrestorable.operation, unrestorable.action);
+  }
+
+  for (const { operation, action } of steps) {
+    const stage = action === 'undo' ? stageUndo : stageRedo;
+    const conflict = detectConflict(operation, tree, action);
+    const masked = detectMaskedRestore(operation, action);
+    if (masked) {
+      conflicts.push(masked);
+    }
+
+    // Drifted file edits can be merged instead of overwritten
+    if (conflict && options.onConflict === CONFLICT_STRATEGIES.MERGE) {
+      const merge = mergeFileEdit(operation, tree, action);
+      if (merge) {
+        merged.push(merge);
+        continue;
+      }
+    }
+
+    if (conflict) {
+      conflicts.push(conflict);
+    }
+
+    try {
+      stage(operation, tree);
+    } catch (error) {
+      // A conflict already explains the failure unless we were told to force
+      if (conflict && options.onConflict !== CONFLICT_STRATEGIES.FORCE) continue;
+      // A dry run reports the failure instead of stopping at it
+      if (options.dryRun) {
+        failures.push({ operationId: operation.id, message: error.message });
+        continue;
+      }
+      const failure = new Error(`Failed to ${action} operation ${operation.id}: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
+    }
+  }
+
+  return { steps, tree, conflicts, merged, failures };
+}
+
+// Three-way merge a full-content edit into a file that changed since it was
+// logged: the operation's post-state is the base, the current file is
+// "ours" and the state we are moving to is "theirs". Returns null when the
+// operation has no full bodies to merge with.
+function mergeFileEdit(operation, tree, action) {
+  if (operation.type !== OPERATION_TYPES.FILE_EDIT || operation.operation === OPERATION_MODES.STRING_REPLACE) return null;
+
+  const base = action === 'undo' ? operation.after : operation.before;
+  const target = action === 'undo' ? operation.before : operation.after;
+  if (typeof base !== 'string' || typeof target !== 'string' || !tree.exists(operation.file)) {
+    return null;
+  }
+  // Binary files have no lines to merge
+  if (typeof tree.read(operation.file) !== 'string') {
+    return null;
+  }
+
+  const result = mergeThreeWay(base, tree.read(operation.file), target, {
+    oursLabel: 'current',
+    theirsLabel: `${action} ${operation.id}`
+  });
+  tree.write(operation.file, result.content);
+
+  return {
+    operationId: operation.id,
+    file: operation.file,
+    clean: result.clean,
+    conflicts: result.conflicts
+  };
+}
+
+// Apply a staged batch in one go and only record the new undo states once
+// every write has succeeded. A failure at any point - including a conflict
+// with changes made outside gcundo - leaves the working tree and the log as
+// they were. Merged files are reported back, with any conflict blocks that
+// were written for the user to resolve.
+async function runTransaction(operations, action, options = {}) {
+  const plan = { operations, ...stageTransaction(operations, action, options) };
+  return await commitPlan(plan, action, options);
+}
+
+// Write a staged plan to disk, then record the new undo states and any
+// rebased operation bodies as one batch of events. With options.dryRun the
+// plan is returned as is, so a dry run reports exactly what this would have
+// done.
+async function commitPlan(plan, action, options = {}) {
+  const { tree, conflicts, merged, steps } = plan;
+
+  if (options.dryRun) {
+    return { merged, plan, dryRun: true };
+  }
+
+  if (conflicts.length > 0 && options.onConflict !== CONFLICT_STRATEGIES.FORCE) {
+    throw new ConflictError(conflicts, action);
+  }
+
+  // Operations undone together are redone together; the transaction id
+  // also ties the events of one command (and its backups) together in the
+  // audit trail
+  const transaction = `grp_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const operationsOn = filePath => steps
+    .filter(step => step.operation.file && path.resolve(step.operation.file) === path.resolve(filePath))
+    .map(step => step.operation.id);
+
+  try {
+    await tree.commit({
+      backup: filePath => createBackup(filePath, { action, operationIds: operationsOn(filePath), transaction })
+    });
   } catch (error) {
-    throw new Error(`Failed to redo operation ${operation.id}: ${error.message}`);
+    throw new Error(`Failed to ${action} ${steps.length} operation(s): ${error.message}`);
+  }
+
+  const events = [];
+
+  for (const step of steps) {
+    const undone = step.action === 'undo';
+    events.push(createEvent(undone ? EVENT_TYPES.UNDO : EVENT_TYPES.REDO, step.operation.id, {
+      transaction,
+      command: action,
+      ...(step.only && { only: true })
+    }));
+
+    if (step.operation.type === OPERATION_TYPES.COMMAND_EXECUTION) {
+      undone ? undoCommandExecution(step.operation) : redoCommandExecution(step.operation);
+    }
+    warnMaskedRestore(step.operation, step.action);
+  }
+
+  for (const { operation, changes } of plan.rebased || []) {
+    if (Object.keys(changes).length > 0) {
+      events.push(createEvent(EVENT_TYPES.UPDATE, operation.id, {
+        transaction,
+        changes: storeBodies({ ...changes, rebasedBy: steps[0].operation.id })
+      }));
+    }
+  }
+
+  appendEvents(events);
+
+  return { merged, plan };
+}
+
+// Selectively undo one operation while keeping everything after it. Later
+// operations on the same file are rebased onto the reverted content; if one
+// of them depends on the reverted text the undo is refused.
+async function undoOnly(operationId, options = {}) {
+  const operation = getOperationById(operationId);
+  if (!operation) {
+    throw new Error(`Operation not found: ${operationId}`);
+  }
+
+  if (isCheckpoint(operation)) {
+    throw new Error(`${operationId} is checkpoint "${operation.name}"; use --to ${operation.name} to rewind or replay to it`);
+  }
+
+  if (operation.undoState === UNDO_STATES.UNDONE) {
+    throw new Error(`Operation ${operationId} is already undone`);
+  }
+
+  const plan = planSelectiveUndo(operation, options);
+  const { merged } = await commitPlan(plan, 'undo', options);
+
+  return {
+    undone: operation,
+    cascading: [],
+    rebased: plan.rebased.map(entry => entry.operation),
+    untouched: plan.untouched,
+    merged,
+    plan
+  };
+}
+
+// Work out what a selective (--only) undo would do, without touching the disk
+function planSelectiveUndo(operation, options = {}) {
+  return planSelective(operation, 'undo', options);
+}
+
+// Work out what redoing an operation undone with --only would do: it goes
+// back on its own, under the later operations on its file, which are
+// rebased forward the same way the undo rebased them back
+function planSelectiveRedo(operation, options = {}) {
+  return planSelective(operation, 'redo', options);
+}
+
+// The change an operation makes, turned around for redoing it under later
+// operations: the text it removed is what has to be found, the text it
+// added is what goes back
+function reverseChange(operation) {
+  const reversed = { id: operation.id, type: operation.type, file: operation.file, operation: operation.operation };
+  if (getOperationKind(operation) === 'replace') {
+    return { ...reversed, oldString: operation.newString, newString: operation.oldString };
+  }
+  return { ...reversed, before: operation.after, after: operation.before };
+}
+
+function planSelective(operation, action, options = {}) {
+  if (isUnrestorable(operation, action)) {
+    throw hashOnlyError(operation, action);
+  }
+
+  const laterOps = getOperationsAfter(operation);
+  const sameFile = op => Boolean(op.file && operation.file) && path.resolve(op.file) === path.resolve(operation.file);
+  const fileOps = laterOps.filter(sameFile);
+  const untouched = laterOps.filter(op => !sameFile(op));
+  const kind = getOperationKind(operation);
+  const steps = [{ operation, action, only: true }];
+  const fallback = action === 'undo' ? 'Undo without --only to cascade.' : `Undo them first, then redo ${operation.id}.`;
+
+  // Later edits cannot be rebased over bytes
+  if (fileOps.length > 0 && [operation, ...fileOps].some(op => op.binary)) {
+    throw new Error(
+      `Cannot ${action} ${operation.id} on its own: ${operation.file} has binary content and ${fileOps.length} later operation(s) ` +
+      `changed it (first: ${fileOps[0].id}). ${fallback}`
+    );
+  }
+
+  // Creates, deletes and commands have no text for later operations to keep
+  if (kind === 'create' || kind === 'delete' || kind === 'other') {
+    if (fileOps.length > 0) {
+      throw new Error(
+        `Cannot ${action} ${operation.id} on its own: ${fileOps.length} later operation(s) on ${operation.file} ` +
+        `depend on it (first: ${fileOps[0].id}). ${fallback}`
+      );
+    }
+    return { operations: [operation], rebased: [], untouched, ...stageSteps(steps, options) };
+  }
+
+  const tree = new StagedTree();
+  const masked = detectMaskedRestore(operation, action);
+  const conflicts = masked ? [masked] : [];
+  const merged = [];
+  const filePath = operation.file;
+  // Redo is an undo of the reversed change
+  const target = action === 'undo' ? operation : reverseChange(operation);
+
+  if (kind === 'full') {
+    if (target.before === undefined) {
+      throw new Error(`No '${action === 'undo' ? 'before' : 'after'}' content available for operation ${operation.id}`);
+    }
+
+    const { expected, content, rebased } = rebaseOverFullContent(target, fileOps, action);
+
+    // Only touch the disk while the file is still the one the chain leads to
+    if (content !== undefined && expected !== null) {
+      if (!tree.exists(filePath)) {
+        conflicts.push({ operationId: operation.id, file: filePath, action, kind: CONFLICT_KINDS.MISSING });
+      } else {
+        const current = tree.read(filePath);
+        const actualHash = hashContent(current);
+        const expectedHash = hashContent(expected);
+
+        if (actualHash === expectedHash || options.onConflict === CONFLICT_STRATEGIES.FORCE) {
+          if (actualHash !== expectedHash) {
+            conflicts.push({ operationId: operation.id, file: filePath, action, kind: CONFLICT_KINDS.MODIFIED, expectedHash, actualHash });
+          }
+          tree.write(filePath, content);
+        } else if (options.onConflict === CONFLICT_STRATEGIES.MERGE && typeof current === 'string' && typeof content === 'string') {
+          const result = mergeThreeWay(expected, current, content, {
+            oursLabel: 'current',
+            theirsLabel: `${action} ${operation.id}`
+          });
+          tree.write(filePath, result.content);
+          merged.push({ operationId: operation.id, file: filePath, clean: result.clean, conflicts: result.conflicts });
+        } else {
+          conflicts.push({ operationId: operation.id, file: filePath, action, kind: CONFLICT_KINDS.MODIFIED, expectedHash, actualHash });
+        }
+      }
+    }
+
+    return { operations: [operation], steps, rebased, untouched, tree, conflicts, merged };
+  }
+
+  // String replacement: revert (or reapply) the text in place on the current file
+  const { rebased, detached } = rebaseOverStringReplace(target, fileOps, action);
+  if (!detached && tree.exists(filePath)) {
+    const current = tree.read(filePath);
+    if (current.includes(target.newString)) {
+      tree.write(filePath, current.replace(target.newString, target.oldString));
+    } else {
+      conflicts.push({ operationId: operation.id, file: filePath, action, kind: CONFLICT_KINDS.TEXT_MISSING, expectedText: target.newString });
+    }
+  }
+
+  return { operations: [operation], steps, rebased, untouched, tree, conflicts, merged };
+}
+
+// Stage the undo of an operation based on its type
+function stageUndo(operation, tree) {
+  switch (operation.type) {
+    case OPERATION_TYPES.FILE_EDIT:
+      undoFileEdit(operation, tree);
+      break;
+    case OPERATION_TYPES.FILE_CREATE:
+      undoFileCreate(operation, tree);
+      break;
+    case OPERATION_TYPES.FILE_DELETE:
+      undoFileDelete(operation, tree);
+      break;
+    case OPERATION_TYPES.COMMAND_EXECUTION:
+      // Nothing to stage - commands are only marked for tracking
+      break;
+    default:
+      throw new Error(`Cannot undo operation ${operation.id}: unknown type '${operation.type}'`);
+  }
+}
+
+// Stage the redo of an operation based on its type
+function stageRedo(operation, tree) {
+  switch (operation.type) {
+    case OPERATION_TYPES.FILE_EDIT:
+      redoFileEdit(operation, tree);
+      break;
+    case OPERATION_TYPES.FILE_CREATE:
+      redoFileCreate(operation, tree);
+      break;
+    case OPERATION_TYPES.FILE_DELETE:
+      redoFileDelete(operation, tree);
+      break;
+    case OPERATION_TYPES.COMMAND_EXECUTION:
+      // Nothing to stage - commands are only marked for tracking
+      break;
+    default:
+      throw new Error(`Cannot redo operation ${operation.id}: unknown type '${operation.type}'`);
   }
 }
 
 // Undo file edit operations
-async function undoFileEdit(operation) {
+function undoFileEdit(operation, tree) {
   const filePath = operation.file;
   
-  if (!fs.existsSync(filePath)) {
+  if (!tree.exists(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
 
   if (operation.operation === OPERATION_MODES.STRING_REPLACE) {
     // Handle string-based edit (ccundo style)
-    await undoStringReplace(operation);
+    undoStringReplace(operation, tree);
   } else {
     // Handle full content edit (current gcundo style)
-    await undoFullContentEdit(operation);
+    undoFullContentEdit(operation, tree);
   }
 }
 
 // Undo string replacement operation
-async function undoStringReplace(operation) {
+function undoStringReplace(operation, tree) {
   const filePath = operation.file;
-  const currentContent = await fs.readFile(filePath, 'utf-8');
+  const currentContent = tree.read(filePath);
+  
+  // Forced past a text_missing conflict there is nothing to replace, and
+  // writing the file back unchanged would record an undo that never happened
+  if (!currentContent.includes(operation.newString)) {
+    throw new Error(`Cannot undo ${operation.id}: the text it wrote is no longer in ${filePath}`);
+  }
   
   // Replace newString back to oldString
   const restoredContent = currentContent.replace(operation.newString, operation.oldString);
   
-  if (restoredContent === currentContent) {
-    console.warn(`Warning: String replacement undo may not have applied correctly for ${filePath}`);
-  }
-  
-  await createBackup(filePath);
-  await fs.writeFile(filePath, restoredContent);
+  tree.write(filePath, restoredContent);
 }
 
 // Undo full content edit operation
-async function undoFullContentEdit(operation) {
+function undoFullContentEdit(operation, tree) {
   const filePath = operation.file;
   
-  if (!operation.before) {
+  if (operation.before === undefined) {
     throw new Error(`No 'before' content available for operation ${operation.id}`);
   }
   
-  await createBackup(filePath);
-  await fs.writeFile(filePath, operation.before);
+  tree.write(filePath, operation.before);
 }
 
 // Redo file edit operations
-async function redoFileEdit(operation) {
-  const filePath = operation.file;
-  
+function redoFileEdit(operation, tree) {
   if (operation.operation === OPERATION_MODES.STRING_REPLACE) {
     // Handle string-based edit
-    await redoStringReplace(operation);
+    redoStringReplace(operation, tree);
   } else {
     // Handle full content edit
-    await redoFullContentEdit(operation);
+    redoFullContentEdit(operation, tree);
   }
 }
 
 // Redo string replacement operation
-async function redoStringReplace(operation) {
+function redoStringReplace(operation, tree) {
   const filePath = operation.file;
-  const currentContent = await fs.readFile(filePath, 'utf-8');
+  const currentContent = tree.read(filePath);
+  
+  if (!currentContent.includes(operation.oldString)) {
+    throw new Error(`Cannot redo ${operation.id}: the text it replaced is no longer in ${filePath}`);
+  }
   
   // Replace oldString back to newString
   const redoneContent = currentContent.replace(operation.oldString, operation.newString);
   
-  await createBackup(filePath);
-  await fs.writeFile(filePath, redoneContent);
+  tree.write(filePath, redoneContent);
 }
 
 // Redo full content edit operation
-async function redoFullContentEdit(operation) {
+function redoFullContentEdit(operation, tree) {
   const filePath = operation.file;
   
-  if (!operation.after) {
+  if (operation.after === undefined) {
     throw new Error(`No 'after' content available for operation ${operation.id}`);
   }
   
-  await createBackup(filePath);
-  await fs.writeFile(filePath, operation.after);
+  tree.write(filePath, operation.after);
 }
 
 // Undo file creation
-async function undoFileCreate(operation) {
+function undoFileCreate(operation, tree) {
   const filePath = operation.file;
   
-  if (fs.existsSync(filePath)) {
-    await createBackup(filePath);
-    await fs.remove(filePath);
+  if (tree.exists(filePath)) {
+    tree.remove(filePath);
   }
 }
 
 // Redo file creation
-async function redoFileCreate(operation) {
+function redoFileCreate(operation, tree) {
   const filePath = operation.file;
   
-  if (!operation.after) {
+  if (operation.after === undefined) {
     throw new Error(`No content available for file creation: ${operation.id}`);
   }
   
-  await fs.ensureDir(path.dirname(filePath));
-  await fs.writeFile(filePath, operation.after);
+  tree.write(filePath, operation.after);
 }
 
 // Undo file deletion
-async function undoFileDelete(operation) {
+function undoFileDelete(operation, tree) {
   const filePath = operation.file;
   
-  if (!operation.before) {
+  if (operation.before === undefined) {
     throw new Error(`No content available to restore deleted file: ${operation.id}`);
   }
   
-  await fs.ensureDir(path.dirname(filePath));
-  await fs.writeFile(filePath, operation.before);
+  tree.write(filePath, operation.before);
 }
 
 // Redo file deletion
-async function redoFileDelete(operation) {
+function redoFileDelete(operation, tree) {
   const filePath = operation.file;
   
-  if (fs.existsSync(filePath)) {
-    await createBackup(filePath);
-    await fs.remove(filePath);
+  if (tree.exists(filePath)) {
+    tree.remove(filePath);
   }
 }
 
 // Command execution undo (limited - mainly for logging)
-async function undoCommandExecution(operation) {
+function undoCommandExecution(operation) {
   console.warn(`Cannot automatically undo command execution: ${operation.command}`);
   console.warn(`This operation has been marked as undone for tracking purposes only.`);
   // Commands cannot be automatically undone - this is for state tracking only
 }
 
 // Command execution redo (limited - mainly for logging)
-async function redoCommandExecution(operation) {
+function redoCommandExecution(operation) {
   console.warn(`Cannot automatically redo command execution: ${operation.command}`);
   console.warn(`You may need to manually re-run: ${operation.command}`);
   // Commands cannot be automatically redone - this is for state tracking only
 }
 
-// Backward compatibility for old operation format
-async function undoLegacyOperation(operation) {
-  if (operation.type === 'file_edit' && operation.before) {
-    await createBackup(operation.file);
-    await fs.writeFile(operation.file, operation.before);
-  } else if (operation.type === 'file_create') {
-    if (fs.existsSync(operation.file)) {
-      await createBackup(operation.file);
-      await fs.remove(operation.file);
-    }
-  } else if (operation.type === 'file_delete' && operation.before) {
-    await fs.ensureDir(path.dirname(operation.file));
-    await fs.writeFile(operation.file, operation.before);
-  }
-}
-
-// Backward compatibility for old operation format redo
-async function redoLegacyOperation(operation) {
-  if (operation.type === 'file_edit' && operation.after) {
-    await createBackup(operation.file);
-    await fs.writeFile(operation.file, operation.after);
-  } else if (operation.type === 'file_create' && operation.after) {
-    await fs.ensureDir(path.dirname(operation.file));
-    await fs.writeFile(operation.file, operation.after);
-  } else if (operation.type === 'file_delete') {
-    if (fs.existsSync(operation.file)) {
-      await createBackup(operation.file);
-      await fs.remove(operation.file);
-    }
-  }
-}
-
-// Create backup before modifying files
-async function createBackup(filePath) {
-  if (!fs.existsSync(filePath)) return;
-  
-  const backupDir = path.resolve(__dirname, '..', 'backups');
-  await fs.ensureDir(backupDir);
-  
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = path.join(backupDir, `${path.basename(filePath)}.${timestamp}.bak`);
-  
-  await fs.copyFile(filePath, backupPath);
-}
-
 // Undo the last operation
-async function undoLast() {
-  const activeOps = getActiveOperations();
-  if (activeOps.length === 0) {
+async function undoLast(options = {}) {
+  // The most recent active operation
+  const lastOp = getHeadOperation();
+  if (!lastOp) {
     throw new Error('No operations to undo');
   }
   
-  // Get the most recent operation
-  const lastOp = activeOps.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-  return await undoOperation(lastOp.id);
+  return await undoOperation(lastOp.id, options);
 }
 
-// Redo the last undone operation  
-async function redoLast() {
-  const undoneOps = getUndoneOperations();
-  if (undoneOps.length === 0) {
-    throw new Error('No operations to redo');
+// Redo the last undone operation on the current branch
+async function redoLast(options = {}) {
+  const [lastUndone] = getRedoCandidates();
+  if (!lastUndone) {
+    throw new Error('No operations to redo on the current branch');
   }
   
-  // Get the most recently undone operation
-  const lastUndone = undoneOps.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-  return await redoOperation(lastUndone.id);
+  return await redoOperation(lastUndone.id, options);
 }
 
 module.exports = {
   undoOperation,
+  undoOnly,
+  moveHead,
+  switchBranch,
+  undoTo,
+  redoTo,
+  undoSince,
+  undoPath,
+  getFirstOperationSince,
   redoOperation,
   undoLast,
   redoLast,
+  undoOperations,
+  redoOperations,
   performUndo,
   performRedo,
+  planUndo,
+  planRedo,
+  planSelectiveUndo,
+  planSelectiveRedo,
+  planMoveHead,
+  planToPoint,
+  planPathUndo,
+  describeScope,
   createBackup
 };
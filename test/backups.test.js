@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createProject } = require('./helpers');
+
+test('an undo records what it backed up and why in the manifest', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit, hashContent } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { loadEvents } = project.load('sessions');
+  const { listBackups, readBackup } = project.load('backups');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  project.write('b.txt', 'bee\n');
+  await undoOperation(edit.id);
+
+  const backups = listBackups('a.txt');
+  assert.strictEqual(backups.length, 1);
+  const [entry] = backups;
+  assert.strictEqual(entry.kind, 'file');
+  assert.strictEqual(entry.file, path.join(project.root, 'a.txt'));
+  assert.strictEqual(entry.action, 'undo');
+  assert.deepStrictEqual(entry.operationIds, [edit.id]);
+  assert.strictEqual(entry.transaction, loadEvents(edit.id)[0].transaction);
+  assert.strictEqual(entry.hash, hashContent('two\n'));
+  assert.strictEqual(readBackup(entry), 'two\n');
+  assert.deepStrictEqual(listBackups('b.txt'), []);
+});
+
+test('restoring a backup is logged, so it can be undone in turn', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoOperation, undoLast } = project.load('undo');
+  const { restoreBackup, listBackups } = project.load('backups');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  await undoOperation(edit.id);
+  project.write('a.txt', 'three\n');
+  const [entry] = listBackups('a.txt');
+
+  const dryRun = await restoreBackup(entry.id.substring(0, 10), { dryRun: true });
+  assert.strictEqual(dryRun.restored, false);
+  assert.strictEqual(project.read('a.txt'), 'three\n');
+
+  const result = await restoreBackup(entry.id);
+  assert.strictEqual(result.restored, true);
+  assert.strictEqual(project.read('a.txt'), 'two\n');
+  assert.deepStrictEqual(result.operation.metadata, { restoredFrom: entry.id });
+  // What was on disk was backed up before being overwritten
+  assert.deepStrictEqual(listBackups('a.txt').map(backup => backup.action), ['restore', 'undo']);
+
+  await undoLast();
+  assert.strictEqual(project.read('a.txt'), 'three\n');
+});
+
+test('a backup that no longer matches its hash is not restored', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { restoreBackup, listBackups } = project.load('backups');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  await undoOperation(edit.id);
+  const [entry] = listBackups('a.txt');
+  fs.writeFileSync(entry.path, 'tampered\n');
+
+  await assert.rejects(restoreBackup(entry.id), /does not match the hash recorded/);
+  assert.strictEqual(project.read('a.txt'), 'one\n');
+});
+
+test('backup files without a manifest entry are still listed', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { listBackups, findBackup } = project.load('backups');
+
+  project.write('.gcundo/backups/a.txt.2024-01-01T00-00-00-000Z.bak', 'old\n');
+
+  const [entry] = listBackups('a.txt');
+  assert.strictEqual(entry.legacy, true);
+  assert.strictEqual(entry.file, null);
+  assert.strictEqual(findBackup('a.txt.2024-01-01T00-00-00-000Z.bak').id, entry.id);
+});
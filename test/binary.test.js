@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createProject } = require('./helpers');
+
+// Bytes that are not valid UTF-8 and would not survive a trip through a string
+const V1 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+const V2 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xc3, 0x28, 0xa0, 0xa1, 0x0a]);
+
+test('binary files go through undo and redo byte for byte', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoOperation, redoOperation } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+  const read = () => fs.readFileSync(path.join(project.root, 'image.png'));
+
+  project.write('image.png', V1);
+  const create = logFileCreate('image.png', V1);
+  project.write('image.png', V2);
+  const edit = logFileEdit('image.png', { before: V1, after: V2 });
+
+  assert.strictEqual(getOperationById(edit.id).binary, true);
+  assert.ok(getOperationById(edit.id).before.equals(V1));
+
+  await undoOperation(edit.id);
+  assert.ok(read().equals(V1));
+  await undoOperation(create.id);
+  assert.strictEqual(project.exists('image.png'), false);
+
+  await redoOperation(create.id);
+  assert.ok(read().equals(V1));
+  await redoOperation(edit.id);
+  assert.ok(read().equals(V2));
+});
+
+test('a binary file changed since it was logged is a conflict, not a merge', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { CONFLICT_STRATEGIES, ConflictError } = project.load('conflicts');
+
+  project.write('image.png', V2);
+  const edit = logFileEdit('image.png', { before: V1, after: V2 });
+  const changed = Buffer.concat([V2, Buffer.from([0x00])]);
+  project.write('image.png', changed);
+
+  await assert.rejects(undoOperation(edit.id, { onConflict: CONFLICT_STRATEGIES.MERGE }), ConflictError);
+  assert.ok(fs.readFileSync(path.join(project.root, 'image.png')).equals(changed));
+});
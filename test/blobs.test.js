@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createProject } = require('./helpers');
+
+test('bodies are stored once, under their hash, gzipped when large', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { writeBlob, readBlob, listBlobs, blobDir } = project.load('blobs');
+  const { hashContent } = project.load('logger');
+
+  const small = 'small\n';
+  const large = 'line of text\n'.repeat(200);
+  assert.strictEqual(writeBlob(small), hashContent(small));
+  assert.strictEqual(writeBlob(small), hashContent(small));
+  writeBlob(large);
+
+  const hash = hashContent(small);
+  assert.ok(fs.existsSync(path.join(blobDir, hash.substring(0, 2), hash.substring(2))));
+  const largeHash = hashContent(large);
+  assert.ok(fs.existsSync(path.join(blobDir, largeHash.substring(0, 2), largeHash.substring(2) + '.gz')));
+  assert.deepStrictEqual(listBlobs().map(blob => blob.hash).sort(), [hash, largeHash].sort());
+
+  assert.strictEqual(readBlob(hash), small);
+  assert.strictEqual(readBlob(largeHash), large);
+  assert.strictEqual(readBlob('0'.repeat(64)), undefined);
+});
+
+test('logged records keep hashes and read their bodies from the store', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit, hashContent } = project.load('logger');
+  const { getOperationById } = project.load('sessions');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+
+  const line = JSON.parse(project.read('.gcundo/logs/log.jsonl').trim().split('\n').pop());
+  assert.strictEqual(line.before, undefined);
+  assert.strictEqual(line.beforeHash, hashContent('one\n'));
+  assert.strictEqual(line.afterHash, hashContent('two\n'));
+
+  const operation = getOperationById(edit.id);
+  assert.strictEqual(operation.before, 'one\n');
+  assert.strictEqual(operation.after, 'two\n');
+  // Bodies stay out of anything that re-serialises the record
+  assert.strictEqual(JSON.parse(JSON.stringify(operation)).before, undefined);
+});
+
+test('records written with inline bodies still read and undo', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { getOperationById } = project.load('sessions');
+  const { undoOperation } = project.load('undo');
+
+  project.write('a.txt', 'two\n');
+  project.write('.gcundo/logs/log.jsonl', JSON.stringify({
+    id: 'op_1700000000000_00000001',
+    timestamp: '2023-11-14T22:13:20.000Z',
+    type: 'file_edit',
+    operation: 'full_content',
+    file: 'a.txt',
+    before: 'one\n',
+    after: 'two\n'
+  }) + '\n');
+
+  assert.strictEqual(getOperationById('op_1700000000000_00000001').before, 'one\n');
+  await undoOperation('op_1700000000000_00000001');
+  assert.strictEqual(project.read('a.txt'), 'one\n');
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('undo --to and redo --to move between a checkpoint and the head', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit, logCheckpoint } = project.load('logger');
+  const { undoTo, redoTo } = project.load('undo');
+  const { getCheckpoints, getActiveOperations } = project.load('sessions');
+
+  project.write('a.txt', 'one\n');
+  const created = logFileCreate('a.txt', 'one\n');
+  logCheckpoint('before-refactor', 'a.txt as first written');
+  project.write('a.txt', 'two\n');
+  const edited = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  project.write('b.txt', 'b\n');
+  const added = logFileCreate('b.txt', 'b\n');
+
+  assert.deepStrictEqual(getCheckpoints().map(checkpoint => [checkpoint.name, checkpoint.parent]), [['before-refactor', created.id]]);
+
+  const undone = await undoTo('before-refactor');
+  assert.deepStrictEqual(undone.undone.map(op => op.id), [added.id, edited.id]);
+  assert.strictEqual(project.read('a.txt'), 'one\n');
+  assert.strictEqual(project.exists('b.txt'), false);
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), [created.id]);
+
+  // Already there: nothing to undo
+  await assert.rejects(() => undoTo('before-refactor'), /already at checkpoint "before-refactor"/);
+
+  // Redo to a checkpoint recorded later brings the rest back
+  await project.load('redo').redoAll();
+  logCheckpoint('done');
+  await undoTo('before-refactor');
+  const redone = await redoTo('done');
+  assert.deepStrictEqual(redone.redone.map(op => op.id), [edited.id, added.id]);
+  assert.strictEqual(project.read('a.txt'), 'two\n');
+  assert.strictEqual(project.read('b.txt'), 'b\n');
+});
+
+test('checkpoints are never undone themselves', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logCheckpoint } = project.load('logger');
+  const { undoLast } = project.load('undo');
+  const { getCheckpoint, getHeadOperation } = project.load('sessions');
+
+  project.write('a.txt', 'a\n');
+  const created = logFileCreate('a.txt', 'a\n');
+  const checkpoint = logCheckpoint('mark');
+
+  assert.strictEqual(getHeadOperation().id, created.id);
+  await undoLast();
+  assert.strictEqual(project.exists('a.txt'), false);
+  assert.strictEqual(getCheckpoint('mark').id, checkpoint.id);
+  assert.strictEqual(getCheckpoint(checkpoint.id).name, 'mark');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('undo refuses a file changed since the operation was logged', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoLast } = project.load('undo');
+
+  project.write('a.txt', 'after\n');
+  logFileEdit('a.txt', { before: 'before\n', after: 'after\n' });
+  project.write('a.txt', 'changed by hand\n');
+
+  await assert.rejects(() => undoLast(), error => {
+    assert.strictEqual(error.name, 'ConflictError');
+    assert.strictEqual(error.conflicts.length, 1);
+    assert.strictEqual(error.conflicts[0].kind, 'modified');
+    return true;
+  });
+  assert.strictEqual(project.read('a.txt'), 'changed by hand\n');
+});
+
+test('--force overwrites the changed file', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoLast } = project.load('undo');
+
+  project.write('a.txt', 'after\n');
+  logFileEdit('a.txt', { before: 'before\n', after: 'after\n' });
+  project.write('a.txt', 'changed by hand\n');
+
+  await undoLast({ onConflict: 'force' });
+  assert.strictEqual(project.read('a.txt'), 'before\n');
+});
+
+test('conflict kinds for created, deleted and replaced text', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { detectConflict } = project.load('conflicts');
+  const { StagedTree } = project.load('transaction');
+  const { hashContent } = project.load('logger');
+
+  project.write('exists.txt', 'here\n');
+  const tree = new StagedTree();
+
+  // Redoing a delete of a file that is already gone needs nothing
+  const deleteOp = { id: 'op_1', type: 'file_delete', file: 'gone.txt', beforeHash: hashContent('x') };
+  assert.strictEqual(detectConflict(deleteOp, tree, 'redo'), null);
+
+  // Undoing a delete would overwrite a file that came back
+  const recreated = { ...deleteOp, file: 'exists.txt' };
+  assert.strictEqual(detectConflict(recreated, tree, 'undo').kind, 'exists');
+
+  // Undoing an edit of a file that is gone
+  const edit = { id: 'op_2', type: 'file_edit', file: 'gone.txt', operation: 'full_content', afterHash: hashContent('x') };
+  assert.strictEqual(detectConflict(edit, tree, 'undo').kind, 'missing');
+
+  // A string replacement whose text is no longer there
+  const replace = { id: 'op_3', type: 'file_edit', file: 'exists.txt', operation: 'string_replace', oldString: 'old', newString: 'new' };
+  assert.strictEqual(detectConflict(replace, tree, 'undo').kind, 'text_missing');
+
+  // The file as the operation left it is no conflict
+  const clean = { ...edit, file: 'exists.txt', afterHash: hashContent('here\n') };
+  assert.strictEqual(detectConflict(clean, tree, 'undo'), null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createProject } = require('./helpers');
+
+const KEY = { GCUNDO_ENCRYPTION_KEY: 'correct horse battery staple' };
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+test('each home gets its own salt, so one passphrase gives different keys', t => {
+  const first = createProject({ env: KEY });
+  t.after(() => first.cleanup());
+  const firstKey = first.load('encryption').getKey();
+  const firstSalt = first.read('.gcundo/salt');
+
+  const second = createProject({ env: KEY });
+  t.after(() => second.cleanup());
+  const secondKey = second.load('encryption').getKey();
+
+  assert.match(firstSalt, /^[0-9a-f]{32}\n$/);
+  assert.notStrictEqual(second.read('.gcundo/salt'), firstSalt);
+  assert.notDeepStrictEqual(secondKey, firstKey);
+});
+
+test('with a key set, logged hashes cannot be checked against a guess', async t => {
+  const project = createProject({ env: KEY });
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { listBlobs } = project.load('blobs');
+  const { undoLast } = project.load('undo');
+
+  project.write('notes.txt', 'meeting moved to friday\n');
+  const edit = logFileEdit('notes.txt', { before: 'meeting on thursday\n', after: 'meeting moved to friday\n' });
+
+  assert.notStrictEqual(edit.afterHash, sha256('meeting moved to friday\n'));
+  assert.ok(listBlobs().every(blob => blob.hash !== sha256('meeting moved to friday\n')));
+
+  // The keyed hash is what undo checks the file against
+  await undoLast();
+  assert.strictEqual(project.read('notes.txt'), 'meeting on thursday\n');
+});
+
+test('history logged before the key was set still undoes', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+
+  project.write('a.txt', 'after\n');
+  const edit = logFileEdit('a.txt', { before: 'before\n', after: 'after\n' });
+  assert.strictEqual(edit.afterHash, sha256('after\n'));
+
+  Object.assign(process.env, KEY);
+  project.reload();
+  await project.load('undo').undoLast();
+  assert.strictEqual(project.read('a.txt'), 'before\n');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('undo and redo append events and leave the logged record as it was', async t => {
+  const project = createProject({ env: { GCUNDO_ACTOR: 'reviewer' } });
+  t.after(() => project.cleanup());
+  const { logFileEdit, UNDO_STATES } = project.load('logger');
+  const { undoOperation, redoOperation } = project.load('undo');
+  const { loadEvents, getOperationById } = project.load('sessions');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  const [record] = project.read('.gcundo/logs/log.jsonl').trim().split('\n');
+
+  await undoOperation(edit.id);
+  assert.strictEqual(getOperationById(edit.id).undoState, UNDO_STATES.UNDONE);
+  await redoOperation(edit.id);
+  assert.strictEqual(getOperationById(edit.id).undoState, UNDO_STATES.ACTIVE);
+
+  const lines = project.read('.gcundo/logs/log.jsonl').trim().split('\n');
+  assert.strictEqual(lines.length, 3);
+  assert.strictEqual(lines[0], record);
+
+  const events = loadEvents(edit.id);
+  assert.deepStrictEqual(events.map(event => [event.event, event.command, event.actor]),
+    [['undo', 'undo', 'reviewer'], ['redo', 'redo', 'reviewer']]);
+  assert.notStrictEqual(events[0].transaction, events[1].transaction);
+  assert.strictEqual(events[0].pid, process.pid);
+});
+
+test('operations undone by one command share a transaction in the audit trail', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { loadEvents, getOperationById } = project.load('sessions');
+
+  project.write('a.txt', 'one\n');
+  const create = logFileCreate('a.txt', 'one\n');
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+
+  await undoOperation(create.id);
+
+  const events = loadEvents();
+  assert.deepStrictEqual(events.map(event => event.operationId), [edit.id, create.id]);
+  assert.strictEqual(events[0].transaction, events[1].transaction);
+  assert.strictEqual(getOperationById(create.id).undoGroup, events[0].transaction);
+  assert.strictEqual(getOperationById(edit.id).undoGroup, events[0].transaction);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createProject, git } = require('./helpers');
+
+// Log a few changes to a project, with the files on disk to match
+function recordHistory(project) {
+  const { logFileCreate, logFileEdit, logFileDelete } = project.load('logger');
+  const binary = Buffer.from([0, 1, 2, 3, 255, 254, 0, 10]);
+
+  project.write('a.txt', 'one\ntwo\nthree\n');
+  logFileCreate('a.txt', 'one\ntwo\nthree\n');
+  project.write('a.txt', 'one\nTWO\nthree\n');
+  logFileEdit('a.txt', { before: 'one\ntwo\nthree\n', after: 'one\nTWO\nthree\n' });
+  project.write('a.txt', 'one\nTWO\nthree!\n');
+  logFileEdit('a.txt', { oldString: 'three\n', newString: 'three!\n' });
+  project.write('image.bin', binary);
+  logFileCreate('image.bin', binary);
+  project.write('gone.txt', 'temporary\n');
+  logFileCreate('gone.txt', 'temporary\n');
+  fs.removeSync(path.join(project.root, 'gone.txt'));
+  logFileDelete('gone.txt', 'temporary\n');
+}
+
+test('exported patches apply with git am and import back as the same history', async t => {
+  const patchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcundo-patches-'));
+  t.after(() => fs.removeSync(patchDir));
+
+  const source = createProject();
+  recordHistory(source);
+  const { exportPatches } = source.load('export');
+  const patches = exportPatches({ output: patchDir });
+  assert.strictEqual(patches.length, 6);
+  const sourceFiles = {
+    text: source.read('a.txt'),
+    binary: fs.readFileSync(path.join(source.root, 'image.bin'))
+  };
+  source.cleanup();
+
+  const target = createProject();
+  t.after(() => target.cleanup());
+  git(target.root, ['init', '-q']);
+  git(target.root, ['am', '-q', ...fs.readdirSync(patchDir).sort().map(name => path.join(patchDir, name))]);
+
+  assert.strictEqual(target.read('a.txt'), sourceFiles.text);
+  assert.deepStrictEqual(fs.readFileSync(path.join(target.root, 'image.bin')), sourceFiles.binary);
+  assert.strictEqual(target.exists('gone.txt'), false);
+  assert.strictEqual(git(target.root, ['rev-list', '--count', 'HEAD']).trim(), '6');
+
+  const { importGitRange } = target.load('git-import');
+  const { getActiveOperations } = target.load('sessions');
+  const result = importGitRange('HEAD');
+  assert.strictEqual(result.imported.length, 6);
+  assert.deepStrictEqual(
+    getActiveOperations().map(op => `${op.type} ${op.file}`),
+    ['file_create a.txt', 'file_edit a.txt', 'file_edit a.txt', 'file_create image.bin', 'file_create gone.txt', 'file_delete gone.txt']
+  );
+
+  // Importing the same range again logs nothing new
+  assert.strictEqual(importGitRange('HEAD').imported.length, 0);
+
+  // The imported history undoes like any other
+  const { undoLast, undoOperation } = target.load('undo');
+  await undoLast();
+  assert.strictEqual(target.read('gone.txt'), 'temporary\n');
+
+  // Undoing an earlier one cascades over the ones imported after it
+  await undoOperation(result.imported[2].id);
+  assert.strictEqual(target.read('a.txt'), 'one\nTWO\nthree\n');
+  assert.strictEqual(target.exists('image.bin'), false);
+  assert.strictEqual(target.exists('gone.txt'), false);
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), result.imported.slice(0, 2).map(entry => entry.id));
+});
+
+// Commit each version of a file in turn, dated long before anything is logged
+function commitLongAgo(project, file, versions) {
+  process.env.GIT_COMMITTER_DATE = '2020-01-01T00:00:00Z';
+  try {
+    for (const content of versions) {
+      project.write(file, content);
+      git(project.root, ['add', file]);
+      git(project.root, ['commit', '-q', '-m', `${file}: ${content.trim()}`]);
+    }
+  } finally {
+    delete process.env.GIT_COMMITTER_DATE;
+  }
+}
+
+test('commits imported into a non-empty log follow its head, whatever their time', async t => {
+  const project = createProject({ git: true });
+  t.after(() => project.cleanup());
+  commitLongAgo(project, 'a.txt', ['a1\n', 'a2\n']);
+
+  const { logFileCreate } = project.load('logger');
+  const { importGitRange } = project.load('git-import');
+  const { getHeadOperation, getOperationById, getBranches, getActiveOperations } = project.load('sessions');
+  const { undoLast, undoOperation } = project.load('undo');
+
+  project.write('b.txt', 'b\n');
+  const logged = logFileCreate('b.txt', 'b\n');
+  const imported = importGitRange('HEAD').imported.map(entry => entry.id);
+  assert.strictEqual(imported.length, 2);
+
+  assert.strictEqual(getOperationById(imported[0]).parent, logged.id);
+  assert.strictEqual(getOperationById(imported[1]).parent, imported[0]);
+  assert.strictEqual(getHeadOperation().id, imported[1]);
+  assert.deepStrictEqual(getBranches().map(branch => [branch.name, branch.tip.id]), [['main', imported[1]]]);
+
+  // Undo takes back the last imported operation, not the newest by time
+  await undoLast();
+  assert.strictEqual(getOperationById(imported[1]).undoState, 'undone');
+  assert.strictEqual(project.read('a.txt'), 'a1\n');
+
+  // and a cascade from the first import leaves what was logged before it
+  await undoOperation(imported[0]);
+  assert.strictEqual(project.exists('a.txt'), false);
+  assert.strictEqual(project.read('b.txt'), 'b\n');
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), [logged.id]);
+});
+
+test('compacting keeps imported operations where they were logged', async t => {
+  const project = createProject({ git: true });
+  t.after(() => project.cleanup());
+  commitLongAgo(project, 'a.txt', ['a1\n']);
+
+  const { logFileCreate } = project.load('logger');
+  const { importGitRange } = project.load('git-import');
+  const { compactLog } = project.load('delete');
+
+  project.write('b.txt', 'b\n');
+  const logged = logFileCreate('b.txt', 'b\n');
+  const [imported] = importGitRange('HEAD').imported.map(entry => entry.id);
+  await compactLog();
+
+  // Fresh modules, so the head comes from the rewritten log
+  project.reload();
+  const { getHeadOperation, getActiveOperations } = project.load('sessions');
+  const { undoLast } = project.load('undo');
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), [logged.id, imported]);
+  assert.strictEqual(getHeadOperation().id, imported);
+
+  await undoLast();
+  assert.strictEqual(project.exists('a.txt'), false);
+  assert.strictEqual(project.read('b.txt'), 'b\n');
+});
+
+test('empty files import with a body, so they restore and redo', async t => {
+  const project = createProject({ git: true });
+  t.after(() => project.cleanup());
+
+  project.write('__init__.py', '');
+  git(project.root, ['add', '__init__.py']);
+  git(project.root, ['commit', '-q', '-m', 'add package']);
+  git(project.root, ['rm', '-q', '__init__.py']);
+  git(project.root, ['commit', '-q', '-m', 'drop package']);
+
+  const { importGitRange } = project.load('git-import');
+  const { getOperationById } = project.load('sessions');
+  const { undoLast, redoLast } = project.load('undo');
+
+  const [created, deleted] = importGitRange('HEAD').imported.map(entry => getOperationById(entry.id));
+  assert.strictEqual(created.after, '');
+  assert.strictEqual(deleted.before, '');
+
+  await undoLast();
+  assert.strictEqual(project.read('__init__.py'), '');
+  await undoLast();
+  assert.strictEqual(project.exists('__init__.py'), false);
+  await redoLast();
+  assert.strictEqual(project.read('__init__.py'), '');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY).toISOString();
+}
+
+test('gc drops operations past maxAge but keeps the newest per file', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logOperation } = project.load('logger');
+  const { runGc } = project.load('gc');
+  const { loadOperations } = project.load('sessions');
+
+  const edit = (file, before, after, days) => logOperation({
+    type: 'file_edit', file, operation: 'full_content', before, after, timestamp: daysAgo(days)
+  });
+  const old1 = edit('a.txt', 'a0\n', 'a1\n', 30);
+  const old2 = edit('a.txt', 'a1\n', 'a2\n', 20);
+  const newest = edit('a.txt', 'a2\n', 'a3\n', 10);
+  const recent = edit('b.txt', 'b0\n', 'b1\n', 1);
+
+  const plan = await runGc({ maxAge: '7d', keepPerFile: 1 });
+
+  assert.deepStrictEqual(plan.removed.map(entry => entry.operation.id).sort(), [old1.id, old2.id].sort());
+  assert.deepStrictEqual(loadOperations().map(op => op.id).sort(), [newest.id, recent.id].sort());
+});
+
+test('gc --dry-run changes nothing', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logOperation } = project.load('logger');
+  const { runGc } = project.load('gc');
+  const { loadOperations } = project.load('sessions');
+
+  logOperation({ type: 'file_create', file: 'a.txt', after: 'a\n', timestamp: daysAgo(30) });
+  logOperation({ type: 'file_create', file: 'b.txt', after: 'b\n', timestamp: daysAgo(30) });
+
+  const plan = await runGc({ maxAge: '7d', keepPerFile: 0, dryRun: true });
+  assert.strictEqual(plan.removed.length, 2);
+  assert.strictEqual(loadOperations().length, 2);
+});
+
+test('gc keeps everything a checkpoint needs', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logOperation, logCheckpoint } = project.load('logger');
+  const { runGc } = project.load('gc');
+  const { loadOperations } = project.load('sessions');
+
+  const before = logOperation({ type: 'file_create', file: 'a.txt', after: 'a\n', timestamp: daysAgo(40) });
+  const marked = logOperation({ type: 'file_create', file: 'b.txt', after: 'b\n', timestamp: daysAgo(30) });
+  logCheckpoint('release');
+
+  await runGc({ maxAge: '7d', keepPerFile: 0 });
+
+  const ids = loadOperations().map(op => op.id);
+  assert.ok(!ids.includes(before.id));
+  assert.ok(ids.includes(marked.id));
+});
+
+test('bodies no operation refers to are swept once past the grace period', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const fs = require('fs-extra');
+  const { writeBlob, hasBlob, listBlobs } = project.load('blobs');
+  const { runGc } = project.load('gc');
+
+  const orphan = writeBlob('nobody refers to this\n');
+  const fresh = writeBlob('written just now\n');
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  listBlobs().filter(blob => blob.hash === orphan).forEach(blob => fs.utimesSync(blob.path, old, old));
+
+  await runGc({});
+  assert.strictEqual(hasBlob(orphan), false);
+  assert.strictEqual(hasBlob(fresh), true);
+});
@@ -0,0 +1,84 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const coreDir = path.join(__dirname, '..', 'core');
+
+// Settings that would leak in from the shell running the tests
+const ENV_VARS = [
+  'GCUNDO_HOME',
+  'GCUNDO_ENCRYPTION_KEY',
+  'GCUNDO_KEY_FILE',
+  'GCUNDO_REDACTION',
+  'GCUNDO_SEGMENT_RECORDS',
+  'GCUNDO_BLOB_COMPRESSION'
+];
+
+/**
+ * Set up an empty project in a temporary directory and make it the working
+ * directory. The core modules work out where the log lives when they are
+ * loaded, so each project loads fresh copies of them through load().
+ * @param {Object} options - { config: written to .gcundo/config.json, env: GCUNDO_* variables to set,
+ *   git: run git init first, home: false to leave .gcundo for gcundo to create }
+ * @returns {Object} { root, load, reload, write, read, exists, cleanup }
+ */
+function createProject(options = {}) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gcundo-test-')));
+  if (options.git) {
+    git(root, ['init', '-q']);
+  }
+  if (options.home !== false) {
+    fs.ensureDirSync(path.join(root, '.gcundo'));
+  }
+  if (options.config) {
+    fs.writeJsonSync(path.join(root, '.gcundo', 'config.json'), options.config);
+  }
+
+  ENV_VARS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, options.env || {});
+  process.chdir(root);
+
+  reloadCore();
+
+  return {
+    root,
+    load: name => require(path.join(coreDir, name)),
+    // Fresh copies of the core modules, picking up changed GCUNDO_* variables
+    reload: reloadCore,
+    write: (name, content) => fs.outputFileSync(path.join(root, name), content),
+    read: name => fs.readFileSync(path.join(root, name), 'utf-8'),
+    exists: name => fs.existsSync(path.join(root, name)),
+    cleanup() {
+      process.chdir(os.tmpdir());
+      fs.removeSync(root);
+    }
+  };
+}
+
+function reloadCore() {
+  Object.keys(require.cache)
+    .filter(key => key.startsWith(coreDir + path.sep))
+    .forEach(key => delete require.cache[key]);
+}
+
+// Run git in a directory with a fixed identity, returning its output
+function git(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    }
+  });
+}
+
+module.exports = {
+  createProject,
+  git
+};
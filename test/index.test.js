@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('the index keeps the head up to date through appends, undo and redo', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate } = project.load('logger');
+  const { getIndex, rebuildIndex } = project.load('segments');
+  const { getHeadOperation } = project.load('sessions');
+  const { undoLast, redoLast } = project.load('undo');
+
+  assert.strictEqual(getIndex().head, null);
+
+  project.write('a.txt', 'a\n');
+  const first = logFileCreate('a.txt', 'a\n');
+  project.write('b.txt', 'b\n');
+  const second = logFileCreate('b.txt', 'b\n');
+  assert.strictEqual(getIndex().head, second.id);
+
+  // Undoing the head leaves it to be worked out once, then stored
+  await undoLast();
+  assert.strictEqual(getIndex().head, undefined);
+  assert.strictEqual(getHeadOperation().id, first.id);
+  assert.strictEqual(getIndex().head, first.id);
+
+  await redoLast();
+  assert.strictEqual(getIndex().head, second.id);
+
+  // A rebuild arrives at the same head
+  rebuildIndex();
+  assert.strictEqual(getHeadOperation().id, second.id);
+  assert.strictEqual(getIndex().head, second.id);
+});
+
+test('a new operation under a head with undone children starts a branch', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate } = project.load('logger');
+  const { getChildIds } = project.load('segments');
+  const { undoLast } = project.load('undo');
+
+  project.write('a.txt', 'a\n');
+  const first = logFileCreate('a.txt', 'a\n');
+  project.write('b.txt', 'b\n');
+  const second = logFileCreate('b.txt', 'b\n');
+  assert.deepStrictEqual(getChildIds(first.id), [second.id]);
+  assert.strictEqual(second.branch, 'main');
+
+  await undoLast();
+  project.write('c.txt', 'c\n');
+  const third = logFileCreate('c.txt', 'c\n');
+  assert.strictEqual(third.parent, first.id);
+  assert.strictEqual(third.branch, 'branch-2');
+
+  // The head now has no children, so the branch carries on
+  project.write('d.txt', 'd\n');
+  const fourth = logFileCreate('d.txt', 'd\n');
+  assert.strictEqual(fourth.parent, third.id);
+  assert.strictEqual(fourth.branch, 'branch-2');
+});
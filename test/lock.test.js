@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { createProject } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a lock left by a process that died is taken over', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { withFileLock } = project.load('lock');
+
+  const dead = Number(spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf-8' }).stdout);
+  project.write('log.lock', JSON.stringify({ pid: dead, host: os.hostname(), token: 'gone' }));
+
+  assert.strictEqual(withFileLock(path.join(project.root, 'log'), () => 'ran'), 'ran');
+  assert.strictEqual(project.exists('log.lock'), false);
+});
+
+test('an old lock is not taken from an owner that is still working', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { withFileLock } = project.load('lock');
+  const file = path.join(project.root, 'log');
+  const lockPath = `${file}.lock`;
+  const marker = path.join(project.root, 'done');
+
+  // Another process holds the lock for a while
+  const holder = spawn(process.execPath, ['-e', `
+    const fs = require('fs');
+    const { withFileLock } = require(${JSON.stringify(path.join(__dirname, '..', 'core', 'lock'))});
+    withFileLock(${JSON.stringify(file)}, async () => {
+      process.stdout.write('locked');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      fs.writeFileSync(${JSON.stringify(marker)}, 'done');
+    });
+  `]);
+  const exited = new Promise(resolve => holder.on('exit', resolve));
+  await new Promise(resolve => holder.stdout.once('data', resolve));
+
+  // Long untouched, but its owner is alive: wait for it rather than break it
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, old, old);
+  withFileLock(file, () => assert.strictEqual(fs.existsSync(marker), true));
+  await exited;
+});
+
+test('the lock is re-entrant within one call chain only', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { withFileLock } = project.load('lock');
+  const file = path.join(project.root, 'log');
+
+  const nested = await withFileLock(file, async () => {
+    await delay(10);
+    return withFileLock(file, () => 'nested');
+  });
+  assert.strictEqual(nested, 'nested');
+
+  // A second caller in the same process must not get in alongside the first
+  const first = withFileLock(file, () => delay(50));
+  assert.throws(() => withFileLock(file, () => 'overlapping'), /held by unfinished work in this process/);
+  await first;
+  assert.strictEqual(withFileLock(file, () => 'after'), 'after');
+  assert.strictEqual(project.exists('log.lock'), false);
+});
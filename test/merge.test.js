@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('changes on different lines merge cleanly', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { mergeThreeWay } = project.load('merge');
+
+  const result = mergeThreeWay('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n');
+  assert.strictEqual(result.clean, true);
+  assert.strictEqual(result.content, 'A\nb\nC\n');
+});
+
+test('overlapping changes become a conflict block', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { mergeThreeWay } = project.load('merge');
+
+  const result = mergeThreeWay('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n', { oursLabel: 'current', theirsLabel: 'undo op_1' });
+  assert.strictEqual(result.clean, false);
+  assert.strictEqual(result.conflicts.length, 1);
+  assert.strictEqual(result.conflicts[0].line, 2);
+  assert.strictEqual(result.content, 'a\n<<<<<<< current\nours\n=======\ntheirs\n>>>>>>> undo op_1\nc\n');
+});
+
+test('undo --merge keeps changes made since the operation', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoLast } = project.load('undo');
+
+  project.write('a.txt', 'one\nTWO\nthree\n');
+  logFileEdit('a.txt', { before: 'one\ntwo\nthree\n', after: 'one\nTWO\nthree\n' });
+  project.write('a.txt', 'one\nTWO\nthree\nfour\n');
+
+  const result = await undoLast({ onConflict: 'merge' });
+  assert.strictEqual(result.merged.length, 1);
+  assert.strictEqual(result.merged[0].clean, true);
+  assert.strictEqual(project.read('a.txt'), 'one\ntwo\nthree\nfour\n');
+});
+
+test('undo --merge writes conflict markers where both sides changed a line', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoLast } = project.load('undo');
+
+  project.write('a.txt', 'one\nTWO\n');
+  const edit = logFileEdit('a.txt', { before: 'one\ntwo\n', after: 'one\nTWO\n' });
+  project.write('a.txt', 'one\nTwo!\n');
+
+  const result = await undoLast({ onConflict: 'merge' });
+  assert.strictEqual(result.merged[0].clean, false);
+  assert.strictEqual(project.read('a.txt'), `one\n<<<<<<< current\nTwo!\n=======\ntwo\n>>>>>>> undo ${edit.id}\n`);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+// One record in each older shape, between two written by this version
+function writeOldLog(project) {
+  const { logFileCreate } = project.load('logger');
+
+  project.write('a.txt', 'two\n');
+  project.write('b.txt', 'bee\n');
+  logFileCreate('c.txt', 'sea\n');
+  project.write('c.txt', 'sea\n');
+  const [current] = project.read('.gcundo/logs/log.jsonl').trim().split('\n');
+
+  project.write('.gcundo/logs/log.jsonl', [
+    current,
+    JSON.stringify({ id: 'op_legacy', timestamp: 1700000000000, type: 'file_edit', file: 'a.txt', before: 'one\n', after: 'two\n' }),
+    JSON.stringify({ id: 'op_engine', timestamp: '2023-11-14T22:13:21.000Z', type: 'FILE_CREATE', filePath: 'b.txt', content: 'bee\n' })
+  ].join('\n') + '\n');
+  project.reload();
+
+  return current;
+}
+
+test('a dry run counts the records in older shapes and writes nothing', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  writeOldLog(project);
+  const log = project.read('.gcundo/logs/log.jsonl');
+  const { migrateLog } = project.load('delete');
+
+  const result = await migrateLog({ dryRun: true });
+  assert.strictEqual(result.outdated, 2);
+  assert.deepStrictEqual(result.shapes, { current: 1, legacy: 1, 'diff-engine': 1 });
+  assert.strictEqual(project.read('.gcundo/logs/log.jsonl'), log);
+});
+
+test('migrate rewrites older records in the current shape, in place', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const current = writeOldLog(project);
+  const { migrateLog } = project.load('delete');
+  const { SCHEMA_VERSION } = project.load('schema');
+
+  const result = await migrateLog();
+  assert.strictEqual(result.migrated, 2);
+
+  const lines = project.read('.gcundo/logs/log.jsonl').trim().split('\n');
+  const records = lines.map(line => JSON.parse(line)).filter(record => !record.event);
+  assert.strictEqual(lines[0], current);
+  assert.deepStrictEqual(records.map(record => record.id).slice(1), ['op_legacy', 'op_engine']);
+
+  const [, legacy, engine] = records;
+  assert.strictEqual(legacy.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(legacy.timestamp, '2023-11-14T22:13:20.000Z');
+  assert.strictEqual(legacy.operation, 'full_content');
+  assert.strictEqual(legacy.before, undefined);
+  assert.strictEqual(engine.type, 'file_create');
+  assert.strictEqual(engine.file, 'b.txt');
+  assert.strictEqual(engine.filePath, undefined);
+  assert.strictEqual(engine.content, undefined);
+
+  // Nothing left to do, and the bodies now come from the store
+  project.reload();
+  assert.strictEqual((await project.load('delete').migrateLog()).migrated, 0);
+  const { undoOperation } = project.load('undo');
+  await undoOperation('op_engine');
+  await undoOperation('op_legacy');
+  assert.strictEqual(project.exists('b.txt'), false);
+  assert.strictEqual(project.read('a.txt'), 'one\n');
+});
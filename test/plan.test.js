@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('a dry run describes the undo it would commit and changes nothing', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit, logCommandExecution, hashContent } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { describePlan } = project.load('plan');
+  const { getActiveOperations } = project.load('sessions');
+
+  project.write('a.txt', 'one\n');
+  logFileCreate('a.txt', 'one\n');
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  const command = logCommandExecution('npm install');
+  project.write('b.txt', 'bee\n');
+  const create = logFileCreate('b.txt', 'bee\n');
+
+  const result = await undoOperation(edit.id, { dryRun: true });
+  const plan = JSON.parse(JSON.stringify(describePlan(result.plan, 'undo')));
+
+  assert.strictEqual(plan.ok, true);
+  assert.deepStrictEqual(plan.operations.map(op => [op.order, op.id, op.action]),
+    [[1, create.id, 'undo'], [2, command.id, 'undo'], [3, edit.id, 'undo']]);
+  assert.deepStrictEqual(plan.files.map(file => ({ ...file, path: undefined })), [
+    { file: 'b.txt', path: undefined, action: 'delete', expectedHash: hashContent('bee\n'), currentHash: hashContent('bee\n'), resultHash: null, size: 0 },
+    { file: 'a.txt', path: undefined, action: 'write', expectedHash: hashContent('two\n'), currentHash: hashContent('two\n'), resultHash: hashContent('one\n'), size: 4 }
+  ]);
+  assert.deepStrictEqual(plan.warnings.map(warning => [warning.operationId, warning.kind]), [[command.id, 'command']]);
+
+  assert.strictEqual(project.read('a.txt'), 'two\n');
+  assert.strictEqual(project.read('b.txt'), 'bee\n');
+  assert.strictEqual(getActiveOperations().length, 4);
+});
+
+test('a dry run reports conflicts instead of throwing them', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit, hashContent } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { describePlan } = project.load('plan');
+
+  project.write('a.txt', 'two\n');
+  const edit = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  project.write('a.txt', 'changed by hand\n');
+
+  const result = await undoOperation(edit.id, { dryRun: true });
+  const plan = describePlan(result.plan, 'undo');
+
+  assert.strictEqual(plan.ok, false);
+  assert.deepStrictEqual(plan.conflicts.map(conflict => conflict.operationId), [edit.id]);
+  assert.strictEqual(plan.files[0].expectedHash, hashContent('two\n'));
+  assert.strictEqual(plan.files[0].currentHash, hashContent('changed by hand\n'));
+  assert.strictEqual(project.read('a.txt'), 'changed by hand\n');
+});
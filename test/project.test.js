@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject, git } = require('./helpers');
+
+test('a home created at the git root keeps itself out of git', t => {
+  const project = createProject({ git: true, home: false });
+  t.after(() => project.cleanup());
+  const { homeSource } = project.load('project');
+  const { logFileCreate } = project.load('logger');
+
+  assert.strictEqual(homeSource, 'git');
+  project.write('a.txt', 'a\n');
+  logFileCreate('a.txt', 'a\n');
+
+  assert.ok(project.exists('.gcundo/logs/log.jsonl'));
+  assert.strictEqual(git(project.root, ['status', '--porcelain']).trim(), '?? a.txt');
+});
+
+test('a home set up with init is left as it is', t => {
+  const project = createProject({ git: true });
+  t.after(() => project.cleanup());
+  const { logFileCreate } = project.load('logger');
+
+  project.write('a.txt', 'a\n');
+  logFileCreate('a.txt', 'a\n');
+  assert.strictEqual(project.exists('.gcundo/.gitignore'), false);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+// Three files created one after another
+function createThree(project) {
+  const { logFileCreate } = project.load('logger');
+  return ['a.txt', 'b.txt', 'c.txt'].map(name => {
+    project.write(name, `${name}\n`);
+    return logFileCreate(name, `${name}\n`);
+  });
+}
+
+test('redo brings back everything undone together with the operation', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const ops = createThree(project);
+  const { undoOperation, redoOperation, planRedo } = project.load('undo');
+  const { getOperationById, getActiveOperations } = project.load('sessions');
+
+  await undoOperation(ops[0].id);
+  assert.strictEqual(getActiveOperations().length, 0);
+
+  // The preview lists the forward cascade, oldest first
+  assert.deepStrictEqual(planRedo(getOperationById(ops[0].id)).operations.map(op => op.id), ops.map(op => op.id));
+
+  await redoOperation(ops[0].id);
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), ops.map(op => op.id));
+  ['a.txt', 'b.txt', 'c.txt'].forEach(name => assert.strictEqual(project.read(name), `${name}\n`));
+});
+
+test('operations undone in separate commands are redone separately', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const ops = createThree(project);
+  const { undoLast, redoOperation } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+
+  await undoLast();
+  await undoLast();
+  await redoOperation(ops[1].id);
+
+  assert.strictEqual(getOperationById(ops[1].id).undoState, 'active');
+  assert.strictEqual(getOperationById(ops[2].id).undoState, 'undone');
+  assert.strictEqual(project.read('b.txt'), 'b.txt\n');
+  assert.strictEqual(project.exists('c.txt'), false);
+});
+
+test('a cascading redo is all or nothing', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const ops = createThree(project);
+  const { undoOperation, redoOperation } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+
+  await undoOperation(ops[0].id);
+  // Something else now stands where c.txt would go back
+  project.write('c.txt', 'in the way\n');
+
+  await assert.rejects(() => redoOperation(ops[0].id), { name: 'ConflictError' });
+  assert.strictEqual(project.exists('a.txt'), false);
+  assert.strictEqual(project.exists('b.txt'), false);
+  assert.strictEqual(project.read('c.txt'), 'in the way\n');
+  ops.forEach(op => assert.strictEqual(getOperationById(op.id).undoState, 'undone'));
+});
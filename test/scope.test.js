@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createProject } = require('./helpers');
+
+test('--path and --exclude patterns pick files by glob or directory', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { createPathMatcher } = project.load('scope');
+
+  const matches = createPathMatcher({ paths: 'src/api/**,docs', exclude: 'src/api/legacy/**' });
+  assert.strictEqual(matches('src/api/users.js'), true);
+  assert.strictEqual(matches(path.join(project.root, 'src/api/deep/orders.js')), true);
+  assert.strictEqual(matches('src/api/legacy/old.js'), false);
+  assert.strictEqual(matches('docs/guide.md'), true);
+  assert.strictEqual(matches('docs-old/guide.md'), false);
+  assert.strictEqual(matches('src/app.js'), false);
+});
+
+test('a path-scoped undo leaves every other file alone', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoPath } = project.load('undo');
+  const { getActiveOperations } = project.load('sessions');
+
+  project.write('src/api/users.js', 'users\n');
+  logFileCreate('src/api/users.js', 'users\n');
+  project.write('src/app.js', 'app\n');
+  const app = logFileCreate('src/app.js', 'app\n');
+  project.write('src/api/legacy/old.js', 'old\n');
+  const legacy = logFileCreate('src/api/legacy/old.js', 'old\n');
+  project.write('src/api/users.js', 'users v2\n');
+  logFileEdit('src/api/users.js', { before: 'users\n', after: 'users v2\n' });
+
+  const result = await undoPath({ paths: 'src/api/**', exclude: 'src/api/legacy/**' });
+  assert.deepStrictEqual(result.files.map(file => [file.file, file.operations.length]), [['src/api/users.js', 2]]);
+  assert.strictEqual(project.exists('src/api/users.js'), false);
+  assert.strictEqual(project.read('src/app.js'), 'app\n');
+  assert.strictEqual(project.read('src/api/legacy/old.js'), 'old\n');
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), [app.id, legacy.id]);
+});
+
+test('a file renamed out of scope is followed back through the rename', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileDelete, logFileEdit } = project.load('logger');
+  const { undoPath } = project.load('undo');
+
+  project.write('src/api/users.js', 'users\n');
+  logFileCreate('src/api/users.js', 'users\n');
+  // Moved to lib/ (a delete and a create of the same content), then edited there
+  fs.moveSync(path.join(project.root, 'src/api/users.js'), path.join(project.root, 'lib/users.js'));
+  const moved = logFileDelete('src/api/users.js', 'users\n');
+  logFileCreate('lib/users.js', 'users\n');
+  project.write('lib/users.js', 'users v2\n');
+  logFileEdit('lib/users.js', { before: 'users\n', after: 'users v2\n' });
+
+  const result = await undoPath({ paths: 'src/api/**', from: moved.id });
+  assert.deepStrictEqual(result.files.map(file => file.names), [['src/api/users.js', 'lib/users.js']]);
+  assert.strictEqual(result.undone.length, 3);
+  assert.strictEqual(project.read('src/api/users.js'), 'users\n');
+  assert.strictEqual(project.exists('lib/users.js'), false);
+});
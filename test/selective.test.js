@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+// A file created and then edited twice, on different lines
+function editTwice(project) {
+  const { logFileCreate, logFileEdit } = project.load('logger');
+
+  project.write('a.txt', 'one\ntwo\nthree\n');
+  const created = logFileCreate('a.txt', 'one\ntwo\nthree\n');
+  project.write('a.txt', 'ONE\ntwo\nthree\n');
+  const first = logFileEdit('a.txt', { before: 'one\ntwo\nthree\n', after: 'ONE\ntwo\nthree\n' });
+  project.write('a.txt', 'ONE\ntwo\nTHREE\n');
+  const second = logFileEdit('a.txt', { before: 'ONE\ntwo\nthree\n', after: 'ONE\ntwo\nTHREE\n' });
+
+  return { created, first, second };
+}
+
+test('an operation undone with --only is redone on its own', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { first, second } = editTwice(project);
+  const { undoOnly, redoOperation, undoLast } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+
+  const undone = await undoOnly(first.id);
+  assert.deepStrictEqual(undone.rebased.map(op => op.id), [second.id]);
+  assert.strictEqual(project.read('a.txt'), 'one\ntwo\nTHREE\n');
+
+  const redone = await redoOperation(first.id);
+  assert.deepStrictEqual(redone.cascading, []);
+  assert.deepStrictEqual(redone.rebased.map(op => op.id), [second.id]);
+  assert.strictEqual(project.read('a.txt'), 'ONE\ntwo\nTHREE\n');
+  assert.strictEqual(getOperationById(first.id).undoState, 'active');
+  assert.strictEqual(getOperationById(second.id).before, 'ONE\ntwo\nthree\n');
+
+  // The chain is whole again: the later edit undoes as logged
+  await undoLast();
+  assert.strictEqual(project.read('a.txt'), 'ONE\ntwo\nthree\n');
+});
+
+test('redo with no id picks up an operation undone with --only', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { first } = editTwice(project);
+  const { undoOnly, redoLast } = project.load('undo');
+
+  await undoOnly(first.id);
+  const result = await redoLast();
+  assert.strictEqual(result.redone.id, first.id);
+  assert.strictEqual(project.read('a.txt'), 'ONE\ntwo\nTHREE\n');
+});
+
+test('switching to the branch tip leaves an operation undone with --only alone', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { first } = editTwice(project);
+  const { undoOnly, switchBranch } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+
+  await undoOnly(first.id);
+  await switchBranch('main');
+  assert.strictEqual(getOperationById(first.id).undoState, 'undone');
+  assert.strictEqual(project.read('a.txt'), 'one\ntwo\nTHREE\n');
+});
+
+test('a string replacement undone with --only is replaced back', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoOnly, redoOperation } = project.load('undo');
+
+  project.write('a.txt', 'alpha beta\ngamma\n');
+  const replace = logFileEdit('a.txt', { oldString: 'alpha', newString: 'ALPHA' });
+  project.write('a.txt', 'ALPHA beta\ngamma!\n');
+  logFileEdit('a.txt', { before: 'ALPHA beta\ngamma\n', after: 'ALPHA beta\ngamma!\n' });
+
+  await undoOnly(replace.id);
+  assert.strictEqual(project.read('a.txt'), 'alpha beta\ngamma!\n');
+
+  await redoOperation(replace.id);
+  assert.strictEqual(project.read('a.txt'), 'ALPHA beta\ngamma!\n');
+});
+
+test('redo refuses while a later edit depends on the text the undo removed', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileEdit } = project.load('logger');
+  const { undoOnly, redoOperation } = project.load('undo');
+
+  project.write('a.txt', 'one\nTWO\nthree\nfour\n');
+  const first = logFileEdit('a.txt', { before: 'one\ntwo\nthree\nfour\n', after: 'one\nTWO\nthree\nfour\n' });
+  project.write('a.txt', 'one\nTWO\nthree\nFOUR\n');
+  logFileEdit('a.txt', { before: 'one\nTWO\nthree\nfour\n', after: 'one\nTWO\nthree\nFOUR\n' });
+  await undoOnly(first.id);
+
+  // A new edit of the reverted line: redoing the first edit would lose it
+  project.write('a.txt', 'one\ntwo?\nthree\nFOUR\n');
+  logFileEdit('a.txt', { before: 'one\ntwo\nthree\nFOUR\n', after: 'one\ntwo?\nthree\nFOUR\n' });
+
+  await assert.rejects(() => redoOperation(first.id), /Cannot redo .* on its own/);
+  assert.strictEqual(project.read('a.txt'), 'one\ntwo?\nthree\nFOUR\n');
+});
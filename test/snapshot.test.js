@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createProject } = require('./helpers');
+
+test('snapshots leave out what .gitignore files exclude', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { captureSnapshot, readSnapshotManifest } = project.load('snapshot');
+
+  project.write('.gitignore', '*.log\n/build/\n!keep.log\n');
+  project.write('src/.gitignore', 'generated.js\n');
+  project.write('src/main.js', 'main\n');
+  project.write('src/generated.js', 'generated\n');
+  project.write('src/build/out.js', 'nested build dirs are not anchored to the root\n');
+  project.write('build/out.js', 'out\n');
+  project.write('debug.log', 'noise\n');
+  project.write('keep.log', 'wanted\n');
+
+  const snapshot = captureSnapshot();
+  assert.deepStrictEqual(
+    readSnapshotManifest(snapshot.hash).files.map(file => file.path),
+    ['.gitignore', 'keep.log', 'src/.gitignore', 'src/build/out.js', 'src/main.js']
+  );
+});
+
+test('a tree over snapshots.maxTotalSize is refused before anything is stored', t => {
+  const project = createProject({ config: { snapshots: { maxTotalSize: '1KB' } } });
+  t.after(() => project.cleanup());
+  const { captureSnapshot } = project.load('snapshot');
+  const { listBlobs } = project.load('blobs');
+
+  project.write('big.txt', 'x'.repeat(2048));
+  assert.throws(() => captureSnapshot(), /more than snapshots\.maxTotalSize/);
+  assert.strictEqual(listBlobs().length, 0);
+});
+
+test('without a project there is no snapshot', t => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gcundo-home-'));
+  const project = createProject({ home: false, env: { GCUNDO_HOME: home } });
+  t.after(() => {
+    project.cleanup();
+    fs.removeSync(home);
+  });
+  const { captureSnapshot } = project.load('snapshot');
+
+  project.write('a.txt', 'a\n');
+  assert.strictEqual(captureSnapshot(), null);
+  assert.strictEqual(fs.existsSync(path.join(home, 'snapshots')), false);
+});
+
+test('a failed restore puts back the symlinks it replaced', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { captureSnapshot, planSnapshotRestore, applySnapshotRestore } = project.load('snapshot');
+  const { logCheckpoint } = project.load('logger');
+
+  project.write('a.txt', 'a\n');
+  project.write('dir/b.txt', 'b\n');
+  logCheckpoint('start', undefined, { snapshot: captureSnapshot() });
+
+  // a.txt becomes a link, and a file stands where dir/ has to be
+  fs.removeSync(path.join(project.root, 'a.txt'));
+  project.write('target.txt', 'target\n');
+  fs.symlinkSync('target.txt', path.join(project.root, 'a.txt'));
+  fs.removeSync(path.join(project.root, 'dir'));
+  project.write('dir', 'in the way\n');
+
+  const plan = planSnapshotRestore('start');
+  assert.deepStrictEqual(plan.writes.map(file => [file.path, file.replacesLink]), [['a.txt', true], ['dir/b.txt', false]]);
+  await assert.rejects(() => applySnapshotRestore(plan), /all changes rolled back/);
+
+  assert.strictEqual(fs.readlinkSync(path.join(project.root, 'a.txt')), 'target.txt');
+  assert.strictEqual(project.read('target.txt'), 'target\n');
+  assert.strictEqual(project.read('dir'), 'in the way\n');
+});
+
+test('restore puts back a symlink and a file that replaced one', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { captureSnapshot, planSnapshotRestore, applySnapshotRestore } = project.load('snapshot');
+  const { logCheckpoint } = project.load('logger');
+
+  project.write('a.txt', 'a\n');
+  project.write('target.txt', 'target\n');
+  fs.symlinkSync('target.txt', path.join(project.root, 'link'));
+  logCheckpoint('start', undefined, { snapshot: captureSnapshot() });
+
+  fs.removeSync(path.join(project.root, 'a.txt'));
+  fs.symlinkSync('target.txt', path.join(project.root, 'a.txt'));
+  fs.removeSync(path.join(project.root, 'link'));
+  project.write('link', 'a file now\n');
+
+  const result = await applySnapshotRestore(planSnapshotRestore('start'));
+  assert.strictEqual(fs.lstatSync(path.join(project.root, 'a.txt')).isSymbolicLink(), false);
+  assert.strictEqual(project.read('a.txt'), 'a\n');
+  assert.strictEqual(fs.readlinkSync(path.join(project.root, 'link')), 'target.txt');
+  assert.strictEqual(project.read('target.txt'), 'target\n');
+  assert.strictEqual(result.operations.length, 0);
+});
+
+test('a restore plan marks the deletes that would not be backed up', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { captureSnapshot, planSnapshotRestore } = project.load('snapshot');
+  const { logCheckpoint } = project.load('logger');
+
+  project.write('a.txt', 'a\n');
+  logCheckpoint('start', undefined, { snapshot: captureSnapshot() });
+  project.write('notes.txt', 'new\n');
+  project.write('.env.local', 'DEBUG=1\n');
+
+  const plan = planSnapshotRestore('start');
+  assert.deepStrictEqual(
+    plan.deletes.map(file => [file.path, file.unprotected || null]),
+    [['.env.local', 'it matches a sensitive path'], ['notes.txt', null]]
+  );
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+test('time expressions: relative, clock, absolute and epoch', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { parseTimeExpression } = project.load('time');
+
+  const now = new Date(2026, 9, 19, 15, 0, 0).getTime();
+  assert.strictEqual(parseTimeExpression('15m', now), now - 15 * MINUTE);
+  assert.strictEqual(parseTimeExpression('1h30m ago', now), now - 90 * MINUTE);
+  assert.strictEqual(parseTimeExpression('2d', now), now - 2 * 24 * 60 * MINUTE);
+  assert.strictEqual(parseTimeExpression('now', now), now);
+  assert.strictEqual(parseTimeExpression('14:30', now), new Date(2026, 9, 19, 14, 30, 0).getTime());
+  assert.strictEqual(parseTimeExpression('2026-10-19 14:30', now), new Date(2026, 9, 19, 14, 30, 0).getTime());
+  assert.strictEqual(parseTimeExpression('2026-10-19T14:30:00Z', now), Date.UTC(2026, 9, 19, 14, 30, 0));
+  assert.strictEqual(parseTimeExpression('1760884200000', now), 1760884200000);
+  assert.strictEqual(parseTimeExpression('1760884200', now), 1760884200000);
+  assert.throws(() => parseTimeExpression('yesterday-ish', now), /Invalid time/);
+});
+
+test('timestamps in every format the log holds compare on one scale', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { compareTimestamps, isWithin } = project.load('time');
+
+  const iso = { timestamp: '2026-10-19T14:00:00.000Z' };
+  const millis = { timestamp: Date.UTC(2026, 9, 19, 13, 0, 0) };
+  const seconds = { timestamp: Date.UTC(2026, 9, 19, 15, 0, 0) / 1000 };
+  const unreadable = { timestamp: 'whenever' };
+
+  assert.deepStrictEqual([iso, millis, seconds, unreadable].sort(compareTimestamps), [unreadable, millis, iso, seconds]);
+  assert.strictEqual(isWithin(iso, Date.UTC(2026, 9, 19, 13, 30, 0), Date.UTC(2026, 9, 19, 14, 30, 0)), true);
+  assert.strictEqual(isWithin(millis, Date.UTC(2026, 9, 19, 13, 30, 0)), false);
+});
+
+test('undo --since undoes what was logged in the window, and nothing before it', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logOperation } = project.load('logger');
+  const { undoSince } = project.load('undo');
+  const { getActiveOperations } = project.load('sessions');
+
+  const ago = minutes => new Date(Date.now() - minutes * MINUTE).toISOString();
+  project.write('old.txt', 'old\n');
+  const old = logOperation({ type: 'file_create', file: 'old.txt', after: 'old\n', timestamp: ago(60) });
+  project.write('new.txt', 'new\n');
+  logOperation({ type: 'file_create', file: 'new.txt', after: 'new\n', timestamp: ago(5) });
+
+  await undoSince('15m');
+  assert.deepStrictEqual(getActiveOperations().map(op => op.id), [old.id]);
+  assert.strictEqual(project.exists('new.txt'), false);
+  assert.strictEqual(project.read('old.txt'), 'old\n');
+
+  await assert.rejects(() => undoSince('15m'), /No active operations since/);
+});
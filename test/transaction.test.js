@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('a failed commit puts back every file it already wrote', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { StagedTree } = project.load('transaction');
+
+  project.write('a.txt', 'a1\n');
+  project.write('blocker', 'a file where a directory is needed\n');
+
+  const tree = new StagedTree();
+  tree.write('a.txt', 'a2\n');
+  tree.write('new.txt', 'created\n');
+  tree.write('blocker/inside.txt', 'cannot be written\n');
+
+  await assert.rejects(() => tree.commit(), /all changes rolled back/);
+  assert.strictEqual(project.read('a.txt'), 'a1\n');
+  assert.strictEqual(project.exists('new.txt'), false);
+  assert.strictEqual(project.read('blocker'), 'a file where a directory is needed\n');
+});
+
+test('a failing backup stops the commit before anything is written', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { StagedTree } = project.load('transaction');
+
+  project.write('a.txt', 'a1\n');
+  project.write('b.txt', 'b1\n');
+
+  const tree = new StagedTree();
+  tree.write('a.txt', 'a2\n');
+  tree.remove('b.txt');
+
+  let backups = 0;
+  const backup = async () => {
+    if (++backups === 2) throw new Error('disk full');
+  };
+
+  await assert.rejects(() => tree.commit({ backup }), /disk full/);
+  assert.strictEqual(project.read('a.txt'), 'a1\n');
+  assert.strictEqual(project.read('b.txt'), 'b1\n');
+});
+
+test('cascading undo is all or nothing', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoOperation } = project.load('undo');
+  const { getOperationById } = project.load('sessions');
+
+  project.write('a.txt', 'one\n');
+  const created = logFileCreate('a.txt', 'one\n');
+  project.write('a.txt', 'two\n');
+  logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  project.write('b.txt', 'b\n');
+  const createdB = logFileCreate('b.txt', 'b\n');
+
+  // b.txt changed by hand: the whole cascade is refused
+  project.write('b.txt', 'edited by hand\n');
+  await assert.rejects(() => undoOperation(created.id), { name: 'ConflictError' });
+
+  assert.strictEqual(project.read('a.txt'), 'two\n');
+  assert.strictEqual(project.read('b.txt'), 'edited by hand\n');
+  assert.strictEqual(getOperationById(created.id).undoState, 'active');
+  assert.strictEqual(getOperationById(createdB.id).undoState, 'active');
+});
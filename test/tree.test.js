@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject } = require('./helpers');
+
+test('a change after an undo starts a branch instead of burying the undone one', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoLast } = project.load('undo');
+  const { getOperationById, getBranches, getHeadOperation } = project.load('sessions');
+
+  project.write('a.txt', 'one\n');
+  const created = logFileCreate('a.txt', 'one\n');
+  project.write('a.txt', 'two\n');
+  const edited = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  await undoLast();
+
+  project.write('a.txt', 'other\n');
+  const other = logFileEdit('a.txt', { before: 'one\n', after: 'other\n' });
+
+  assert.strictEqual(getOperationById(edited.id).parent, created.id);
+  assert.strictEqual(getOperationById(other.id).parent, created.id);
+  assert.strictEqual(getOperationById(other.id).branch, 'branch-2');
+  assert.strictEqual(getHeadOperation().id, other.id);
+  assert.deepStrictEqual(
+    getBranches().map(branch => [branch.name, branch.tip.id, branch.current]),
+    [['main', edited.id, false], ['branch-2', other.id, true]]
+  );
+});
+
+test('switching branches undoes one history and replays the other', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const { logFileCreate, logFileEdit } = project.load('logger');
+  const { undoLast, switchBranch } = project.load('undo');
+  const { getOperationById, getHeadOperation } = project.load('sessions');
+  const { redoLast } = project.load('redo');
+
+  project.write('a.txt', 'one\n');
+  logFileCreate('a.txt', 'one\n');
+  project.write('a.txt', 'two\n');
+  const edited = logFileEdit('a.txt', { before: 'one\n', after: 'two\n' });
+  await undoLast();
+  project.write('b.txt', 'b\n');
+  const other = logFileCreate('b.txt', 'b\n');
+
+  const result = await switchBranch('main');
+  assert.deepStrictEqual(result.undone.map(op => op.id), [other.id]);
+  assert.deepStrictEqual(result.redone.map(op => op.id), [edited.id]);
+  assert.strictEqual(project.read('a.txt'), 'two\n');
+  assert.strictEqual(project.exists('b.txt'), false);
+  assert.strictEqual(getHeadOperation().id, edited.id);
+
+  // Redo stays on the branch that is checked out
+  await assert.rejects(() => redoLast(), /No operations to redo/);
+  assert.strictEqual(getOperationById(other.id).undoState, 'undone');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { createProject } = require('./helpers');
+
+const LOG = '.gcundo/logs/log.jsonl';
+
+// Three edits of a.txt, each with its own bodies
+function logEdits(project) {
+  const { logFileEdit } = project.load('logger');
+  const edits = ['one\n', 'two\n', 'three\n'].map((after, index, all) =>
+    logFileEdit('a.txt', { before: all[index - 1] || '', after }));
+  project.write('a.txt', 'three\n');
+  return edits;
+}
+
+test('an untouched log verifies, ending at the hash of its last line', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  logEdits(project);
+  const { verifyLog } = project.load('chain');
+
+  const report = verifyLog();
+  const lines = project.read(LOG).trim().split('\n');
+  assert.strictEqual(report.ok, true);
+  assert.strictEqual(report.lines, 3);
+  assert.strictEqual(report.unchained, 0);
+  assert.strictEqual(report.tip, crypto.createHash('sha256').update(lines[2]).digest('hex'));
+  assert.strictEqual(report.bodies.checked, 4);
+});
+
+test('a changed or removed line breaks the link after it', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const edits = logEdits(project);
+  const { verifyLog } = project.load('chain');
+  const lines = project.read(LOG).trim().split('\n');
+
+  project.write(LOG, [lines[0], lines[1].replace('"a.txt"', '"b.txt"'), lines[2]].join('\n') + '\n');
+  let report = verifyLog();
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.brokenLink.line, 3);
+  assert.strictEqual(report.brokenLink.id, edits[2].id);
+
+  project.write(LOG, [lines[0], lines[2]].join('\n') + '\n');
+  report = verifyLog();
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.brokenLink.line, 2);
+});
+
+test('stored bodies are checked against their hashes', t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const edits = logEdits(project);
+  const { listBlobs } = project.load('blobs');
+  const { hashContent } = project.load('logger');
+  const { verifyLog } = project.load('chain');
+
+  const blobOf = content => listBlobs().find(blob => blob.hash === hashContent(content));
+  fs.writeFileSync(blobOf('two\n').path, 'tampered\n');
+  fs.removeSync(blobOf('three\n').path);
+
+  const report = verifyLog();
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.brokenLink, null);
+  assert.deepStrictEqual(report.bodies.mismatched.map(body => [body.id, body.field]), [[edits[1].id, 'after']]);
+  assert.deepStrictEqual(report.bodies.missing.map(body => [body.id, body.field]), [[edits[2].id, 'after']]);
+});
+
+test('rewriting the log re-chains it and seals it with the reason', async t => {
+  const project = createProject();
+  t.after(() => project.cleanup());
+  const edits = logEdits(project);
+  const { removeOperationsFromLog } = project.load('delete');
+  const { verifyLog } = project.load('chain');
+
+  await removeOperationsFromLog([edits[1].id]);
+
+  const report = verifyLog();
+  assert.strictEqual(report.ok, true);
+  assert.deepStrictEqual(report.seals.map(seal => seal.reason), ['delete']);
+});